@@ -0,0 +1,145 @@
+// arbgraph.js — token graph over the pool index; bounded-length negative-cycle search (edge weight −log(net rate))
+// A cycle whose weights sum below zero returns more than it started with after fees. cycleindex.js keeps the per-pool
+// routes between scans; findCycles() is the full search from the base tokens.
+import 'dotenv/config';
+
+/* ----------------------------
+   Settings
+---------------------------- */
+const csvLower = (s) => String(s || '').split(',').map((t) => t.trim().toLowerCase()).filter(Boolean);
+
+export const MAX_HOPS = Math.min(6, Math.max(3, Number(process.env.ARB_MAX_HOPS || 4)));
+const MAX_ROUTES      = Math.max(1, Number(process.env.ARB_MAX_ROUTES || 50));       // per search, best first
+const BASE_TOP        = Math.max(1, Number(process.env.ARB_BASE_TOP || 8));          // base tokens when ARB_BASE_TOKENS is unset
+const BASE_TOKENS     = csvLower(process.env.ARB_BASE_TOKENS);
+const TOKEN_WHITELIST = csvLower(process.env.ARB_TOKEN_WHITELIST);                   // empty = every token
+
+/* ----------------------------
+   Graph
+---------------------------- */
+/**
+ * Build the graph for `pools` (objects with token0/token1/pairAddr). Edge weights are evaluated at
+ * search time through rate(pool, fromToken, toToken) — output per unit input, net of fees — so the
+ * graph follows pool state updates without being rebuilt; pools can be added or removed later.
+ */
+export function createArbGraph(pools, { rate, whitelist = TOKEN_WHITELIST } = {}) {
+  if (typeof rate !== 'function') throw new Error('[arbgraph] rate(pool, from, to) is required');
+  const allowed = whitelist.length ? new Set(whitelist) : null;
+  const adj = new Map();               // token -> [{ to, pool }]
+  const members = new Set();
+
+  const addEdge = (from, to, pool) => {
+    if (!adj.has(from)) adj.set(from, []);
+    adj.get(from).push({ to, pool });
+  };
+  const dropEdges = (token, pool) => {
+    const edges = (adj.get(token) || []).filter((e) => e.pool !== pool);
+    if (edges.length) adj.set(token, edges); else adj.delete(token);
+  };
+
+  /** Add a pool's two directed edges; false when it is filtered out (whitelist, bad tokens) or already present */
+  function addPool(pool) {
+    const a = (pool?.token0 || '').toLowerCase(), b = (pool?.token1 || '').toLowerCase();
+    if (!a || !b || a === b || members.has(pool)) return false;
+    if (allowed && !(allowed.has(a) && allowed.has(b))) return false;
+    members.add(pool);
+    addEdge(a, b, pool);
+    addEdge(b, a, pool);
+    return true;
+  }
+
+  /** Drop a pool's edges; false when it wasn't in the graph */
+  function removePool(pool) {
+    if (!members.delete(pool)) return false;
+    dropEdges((pool.token0 || '').toLowerCase(), pool);
+    dropEdges((pool.token1 || '').toLowerCase(), pool);
+    return true;
+  }
+
+  for (const pool of pools || []) addPool(pool);
+
+  const weight = (from, e) => {
+    const r = Number(rate(e.pool, from, e.to));
+    return r > 0 && Number.isFinite(r) ? -Math.log(r) : Infinity;
+  };
+
+  /** Price one directed cycle (tokens closed: first === last, one pool per hop) at current pool state */
+  function evaluate(tokens, pools) {
+    let w = 0;
+    for (let i = 0; i < pools.length; i++) w += weight(tokens[i], { to: tokens[i + 1], pool: pools[i] });
+    if (!Number.isFinite(w)) return null;
+    const cycleRate = Math.exp(-w);
+    return { tokens, pools, hops: pools.length, rate: cycleRate, edge: cycleRate - 1 };
+  }
+
+  /**
+   * Paths src -> target of at most maxLen hops that never revisit a token or pool. Layered
+   * Bellman-Ford: each layer keeps the lightest path per token; every edge into target is a candidate.
+   */
+  function closingPaths(src, target, maxLen, { minLen = 1 } = {}) {
+    const found = [];
+    let layer = new Map([[src, { w: 0, tokens: [src], pools: [] }]]);
+    for (let k = 1; k <= maxLen && layer.size; k++) {
+      const next = new Map();
+      for (const [u, path] of layer) {
+        for (const e of adj.get(u) || []) {
+          if (path.pools.includes(e.pool)) continue;
+          const w = path.w + weight(u, e);
+          if (!Number.isFinite(w)) continue;
+          if (e.to === target) {
+            if (k >= minLen) found.push({ w, tokens: [...path.tokens, e.to], pools: [...path.pools, e.pool] });
+            continue;
+          }
+          if (e.to === src || path.tokens.includes(e.to)) continue;
+          const cur = next.get(e.to);
+          if (!cur || w < cur.w) next.set(e.to, { w, tokens: [...path.tokens, e.to], pools: [...path.pools, e.pool] });
+        }
+      }
+      layer = next;
+    }
+    return found;
+  }
+
+  // One entry per distinct cycle (same pools in the same direction, whatever the start token)
+  const cycleKey = (pools) => {
+    const ids = pools.map((p) => (p.viewKey || p.pairAddr || '').toLowerCase());
+    const i = ids.indexOf([...ids].sort()[0]);
+    return [...ids.slice(i), ...ids.slice(0, i)].join('>');
+  };
+
+  function rank(candidates, limit) {
+    const out = [];
+    const seen = new Set();
+    for (const c of candidates.filter((c) => c.w < 0).sort((x, y) => x.w - y.w)) {
+      const key = cycleKey(c.pools);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const cycleRate = Math.exp(-c.w);
+      out.push({ tokens: c.tokens, pools: c.pools, hops: c.pools.length, rate: cycleRate, edge: cycleRate - 1 });
+      if (out.length >= limit) break;
+    }
+    return out;
+  }
+
+  /** Most connected tokens: the default cycle starting points */
+  function topTokens(n = BASE_TOP) {
+    return [...adj.keys()].sort((x, y) => adj.get(y).length - adj.get(x).length).slice(0, n);
+  }
+
+  /** Profitable cycles (3..maxHops hops) starting at each base token (ARB_BASE_TOKENS, else the ARB_BASE_TOP best connected), best first */
+  function findCycles({ baseTokens = BASE_TOKENS, maxHops = MAX_HOPS, limit = MAX_ROUTES } = {}) {
+    const bases = (baseTokens.length ? baseTokens : topTokens()).map((t) => t.toLowerCase()).filter((t) => adj.has(t));
+    const candidates = [];
+    for (const base of bases) candidates.push(...closingPaths(base, base, maxHops, { minLen: 3 }));
+    return rank(candidates, limit);
+  }
+
+  return {
+    tokens: () => [...adj.keys()],
+    edgesFrom: (token) => adj.get(token) || [],
+    has: (pool) => members.has(pool),
+    addPool, removePool, evaluate, topTokens, findCycles,
+  };
+}
+
+export default { MAX_HOPS, createArbGraph };
@@ -0,0 +1,52 @@
+// balancermath.js — Balancer V2 weighted and stable pool math on pair views of (possibly multi-token) pools
+// A view is a pool object for one token pair whose `bal` = { type, tokens, balances, weights, amp, scales } covers the whole pool.
+// Floats over raw token units, like tradesizer.js; stable pools use stableswap.js with amp as A (precision divided out).
+import { stableSwapOut } from './stableswap.js';
+
+const lower = (a) => String(a || '').toLowerCase();
+
+/* ----------------------------
+   Weighted: Π B_k^w_k constant
+---------------------------- */
+function weightedOut(bIn, bOut, wIn, wOut, x) {
+  if (!(bIn > 0 && bOut > 0 && wIn > 0 && wOut > 0 && x > 0)) return 0;
+  return bOut * (1 - (bIn / (bIn + x)) ** (wIn / wOut));
+}
+
+/* ----------------------------
+   Views
+---------------------------- */
+function indices(pool, tokenIn, tokenOut) {
+  const tokens = pool?.bal?.tokens || [];
+  return [tokens.indexOf(lower(tokenIn)), tokens.indexOf(lower(tokenOut))];
+}
+
+/** Raw tokenOut for `amountIn` raw tokenIn; gamma = 1 − swap fee (Balancer charges the fee on the input) */
+export function balOutGivenIn(pool, tokenIn, tokenOut, amountIn, gamma = 1) {
+  const [i, j] = indices(pool, tokenIn, tokenOut);
+  if (i < 0 || j < 0 || i === j || !(amountIn > 0)) return 0;
+  const { type, balances, weights, amp, scales } = pool.bal;
+  const x = amountIn * gamma;
+  if (type === 'weighted') return weightedOut(balances[i], balances[j], weights[i], weights[j], x);
+  if (type === 'stable') {
+    const up = balances.map((b, k) => b * scales[k]);
+    return stableSwapOut(amp, up, i, j, x * scales[i]) / scales[j];
+  }
+  return 0;
+}
+
+/** Marginal raw tokenOut per raw tokenIn, before fees */
+export function balSpotRate(pool, tokenIn, tokenOut) {
+  const [i, j] = indices(pool, tokenIn, tokenOut);
+  if (i < 0 || j < 0 || i === j) return 0;
+  const { type, balances, weights } = pool.bal;
+  if (type === 'weighted') {
+    const r = (balances[j] / weights[j]) / (balances[i] / weights[i]);
+    return Number.isFinite(r) && r > 0 ? r : 0;
+  }
+  // Stable: no closed form worth keeping; a trade of 1e-7 of the input balance is flat enough
+  const dx = balances[i] * 1e-7;
+  return dx > 0 ? balOutGivenIn(pool, tokenIn, tokenOut, dx) / dx : 0;
+}
+
+export default { balOutGivenIn, balSpotRate };
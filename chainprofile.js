@@ -0,0 +1,54 @@
+// chainprofile.js — chain profiles (chainprofiles.json) selected by CHAIN_PROFILE; Polygon when unset
+// A profile carries chain id, RPC lists, routers file, factories, Multicall3, Chainlink feeds and the CoinGecko platform id.
+import 'dotenv/config';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROFILES_FILE = path.join(__dirname, 'chainprofiles.json');
+
+export const CHAIN_PROFILES = JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'));
+
+/** Per-chain env override first (KEY__<chainId>, same convention as telegramalert.js), then KEY */
+export function pickEnvByChain(baseKey, chainId) {
+  return process.env[`${baseKey}__${chainId}`] || process.env[baseKey];
+}
+
+const csv = (s) => String(s || '').split(',').map((u) => u.trim()).filter(Boolean);
+const isAddr = (a) => typeof a === 'string' && /^0x[0-9a-fA-F]{40}$/.test(a);
+
+/** Resolve a profile by name ("polygon", "arbitrum", ...) or chain id, with env overrides applied */
+export function getChainProfile(nameOrChainId = process.env.CHAIN_PROFILE || 'polygon') {
+  const key = String(nameOrChainId).trim().toLowerCase();
+  const entry = Object.entries(CHAIN_PROFILES).find(([name, p]) => name === key || String(p.chainId) === key);
+  if (!entry) {
+    throw new Error(`[chainprofile] Unknown chain profile "${nameOrChainId}" (known: ${Object.keys(CHAIN_PROFILES).join(', ')})`);
+  }
+  const [name, p] = entry;
+  const chainId = Number(p.chainId);
+  // The POLYGON_* env names predate profiles and keep working for the polygon profile
+  const legacy = (k) => (name === 'polygon' ? process.env[`POLYGON_${k}`] : undefined);
+  const mc = pickEnvByChain('MULTICALL3', chainId);
+  const envRpcs = csv(pickEnvByChain('RPCS', chainId) || legacy('RPCS'));
+  const envWs = csv(pickEnvByChain('WS_RPCS', chainId) || legacy('WS_RPCS'));
+
+  return Object.freeze({
+    ...p,
+    name,
+    chainId,
+    rpcs: envRpcs.length ? envRpcs : [...(p.rpcs || [])],
+    wsRpcs: envWs.length ? envWs : [...(p.wsRpcs || [])],
+    writeRpc: pickEnvByChain('WRITE_RPC_URL', chainId) || p.writeRpc || null,
+    multicall3: isAddr(mc) ? mc : p.multicall3,
+    coingeckoPlatform: pickEnvByChain('COINGECKO_PLATFORM', chainId) || p.coingeckoPlatform,
+    routersFile: p.routersFile || `routers.${name}.json`,
+    routersPath: path.join(__dirname, p.routersFile || `routers.${name}.json`),
+    factories: { ...(p.factories || {}) },
+    chainlinkFeeds: [...(p.chainlinkFeeds || [])],
+  });
+}
+
+export const ACTIVE_PROFILE = getChainProfile();
+
+export default { CHAIN_PROFILES, ACTIVE_PROFILE, getChainProfile, pickEnvByChain };
@@ -0,0 +1,69 @@
+// curvemath.js — Curve StableSwap pricing on pair views: plain and lending pools, and meta pools traded through their base pool
+// A view's `curve` = { tokens, balances, scales, A, fee, base? } with tokens in the order of the pool's exchange / exchange_underlying.
+// Meta pools list their own coins (minus the base LP) and then the base pool's coins; `base` = { balances, scales, A, fee, supply }.
+import { stableInvariant, stableBalanceGiven, stableSwapOut } from './stableswap.js';
+
+const lower = (a) => String(a || '').toLowerCase();
+const upscale = (balances, scales) => balances.map((b, k) => b * scales[k]);
+
+// Single-sided add/remove pays Curve's imbalance fee, n/(4(n−1))·fee, on (roughly) the whole amount
+const imbalanceFee = (fee, n) => (fee * n) / (4 * (n - 1));
+
+/* ----------------------------
+   Base pool legs of a meta pool trade
+---------------------------- */
+/** LP tokens minted for depositing dx (raw) of base coin k alone */
+function depositOne(base, k, dx) {
+  const xp = upscale(base.balances, base.scales);
+  const D0 = stableInvariant(base.A, xp);
+  xp[k] += dx * base.scales[k];
+  const D1 = stableInvariant(base.A, xp);
+  const minted = D0 > 0 ? (base.supply * (D1 - D0)) / D0 : 0;
+  return minted > 0 ? minted * (1 - imbalanceFee(base.fee, xp.length)) : 0;
+}
+
+/** Raw base coin k paid out for burning `lp` LP tokens (remove_liquidity_one_coin) */
+function withdrawOne(base, k, lp) {
+  if (!(lp > 0 && lp < base.supply)) return 0;
+  const xp = upscale(base.balances, base.scales);
+  const D0 = stableInvariant(base.A, xp);
+  const D1 = D0 - (lp * D0) / base.supply;
+  const dy = (xp[k] - stableBalanceGiven(base.A, xp, D1, k)) / base.scales[k];
+  return Number.isFinite(dy) && dy > 0 ? dy * (1 - imbalanceFee(base.fee, xp.length)) : 0;
+}
+
+/* ----------------------------
+   Views
+---------------------------- */
+/** Raw tokenOut for `amountIn` raw tokenIn; gamma = 1 − the pool's fee, which Curve takes from the output */
+export function curveOutGivenIn(pool, tokenIn, tokenOut, amountIn, gamma = 1) {
+  const c = pool?.curve;
+  if (!c) return 0;
+  const i = c.tokens.indexOf(lower(tokenIn)), j = c.tokens.indexOf(lower(tokenOut));
+  if (i < 0 || j < 0 || i === j || !(amountIn > 0)) return 0;
+  const xp = upscale(c.balances, c.scales);
+  const swap = (from, to, dx) => (stableSwapOut(c.A, xp, from, to, dx * c.scales[from]) / c.scales[to]) * gamma;
+  if (!c.base) return swap(i, j, amountIn);
+
+  // Meta: index `lp` is the base LP in the pool's own coins and the first base coin in `tokens`
+  const lp = c.balances.length - 1;
+  if (i < lp && j < lp) return swap(i, j, amountIn);
+  if (i < lp) return withdrawOne(c.base, j - lp, swap(i, lp, amountIn));
+  if (j < lp) return swap(lp, j, depositOne(c.base, i - lp, amountIn));
+  // Base coin to base coin: exchange_underlying hands it to the base pool's exchange
+  const b = c.base;
+  return (stableSwapOut(b.A, upscale(b.balances, b.scales), i - lp, j - lp, amountIn * b.scales[i - lp]) / b.scales[j - lp]) * (1 - b.fee);
+}
+
+/** Marginal raw tokenOut per raw tokenIn, before the pool's own fee: a trade of 1e-7 of tokenIn's pool balance */
+export function curveSpotRate(pool, tokenIn, tokenOut) {
+  const c = pool?.curve;
+  const i = c ? c.tokens.indexOf(lower(tokenIn)) : -1;
+  if (i < 0) return 0;
+  const lp = c.balances.length - 1;
+  const balance = c.base && i >= lp ? c.base.balances[i - lp] : c.balances[i];
+  const dx = balance * 1e-7;
+  return dx > 0 ? curveOutGivenIn(pool, tokenIn, tokenOut, dx) / dx : 0;
+}
+
+export default { curveOutGivenIn, curveSpotRate };
@@ -0,0 +1,174 @@
+// curvepools.js — Curve StableSwap pools: discovery from the AddressProvider's main registry and stable factory, state reads, pair views
+// Plain pools are viewed through exchange(i, j); lending (Aave-style aTokens, 1:1 with their underlying) and meta pools
+// through exchange_underlying(i, j), so views carry the coin indices the router needs. Pricing lives in curvemath.js.
+import 'dotenv/config';
+import { ethers } from 'ethers';
+
+/* ----------------------------
+   Settings
+---------------------------- */
+// Same address on every chain Curve is deployed to
+export const CURVE_ADDRESS_PROVIDER = (process.env.CURVE_ADDRESS_PROVIDER || '0x0000000022D53366457F9d5E68Ec105046FC4383').toLowerCase();
+const MAX_POOLS = Math.max(1, Number(process.env.CURVE_MAX_POOLS || 2000));   // per registry
+
+// AddressProvider ids; crypto (id 5/6) pools use a different invariant and are not indexed
+const REGISTRIES = { main: 0, factory: 3 };
+
+const ADDRESS_PROVIDER_ABI = ['function get_address(uint256 id) view returns (address)'];
+const REGISTRY_ABI = {
+  main: [
+    'function pool_count() view returns (uint256)',
+    'function pool_list(uint256) view returns (address)',
+    'function get_coins(address) view returns (address[8])',
+    'function get_underlying_coins(address) view returns (address[8])',
+    'function is_meta(address) view returns (bool)',
+    'function get_pool_from_lp_token(address) view returns (address)'
+  ],
+  factory: [
+    'function pool_count() view returns (uint256)',
+    'function pool_list(uint256) view returns (address)',
+    'function get_coins(address) view returns (address[4])',
+    'function get_underlying_coins(address) view returns (address[8])',
+    'function is_meta(address) view returns (bool)',
+    'function get_base_pool(address) view returns (address)'
+  ],
+};
+const POOL_ABI = [
+  'function A() view returns (uint256)',
+  'function fee() view returns (uint256)',
+  'function balances(uint256) view returns (uint256)',
+  'function get_virtual_price() view returns (uint256)'
+];
+const ERC20_SUPPLY_ABI = ['function totalSupply() view returns (uint256)'];
+
+// Plain/lending/meta StableSwap pools log coin indices as int128 (crypto pools use uint256 and a different topic)
+export const TOKEN_EXCHANGE_TOPIC            = ethers.id('TokenExchange(address,int128,uint256,int128,uint256)');
+export const TOKEN_EXCHANGE_UNDERLYING_TOPIC = ethers.id('TokenExchangeUnderlying(address,int128,uint256,int128,uint256)');
+
+export const CURVE_DEX = 'curve-router';     // routers.json key, like 'balancer-vault' for Balancer views
+
+const FEE_DENOMINATOR = 1e10;
+const lower = (a) => String(a || '').toLowerCase();
+const isCoin = (a) => /^0x[0-9a-fA-F]{40}$/.test(a || '') && lower(a) !== ethers.ZeroAddress;   // coin arrays are zero-padded
+
+/* ----------------------------
+   Discovery
+---------------------------- */
+/** { address, type: 'plain'|'lending'|'meta', coins, underlying, base } for one registry entry; null when unusable */
+async function describePool(read, registry, kind, addr) {
+  const abi = REGISTRY_ABI[kind];
+  const [coins, underlying, isMeta] = await Promise.all([
+    read(registry, abi, 'get_coins', addr),
+    read(registry, abi, 'get_underlying_coins', addr).catch(() => []),
+    read(registry, abi, 'is_meta', addr).catch(() => false),
+  ]);
+  const c = [...coins].filter(isCoin).map(lower);
+  const u = [...underlying].filter(isCoin).map(lower);
+  if (c.length < 2) return null;
+  if (isMeta) {
+    const base = lower(kind === 'factory'
+      ? await read(registry, abi, 'get_base_pool', addr)
+      : await read(registry, abi, 'get_pool_from_lp_token', c[c.length - 1]));
+    if (!isCoin(base) || u.length < c.length) return null;
+    return { address: lower(addr), type: 'meta', coins: c, underlying: u, base };
+  }
+  const lending = u.length === c.length && u.some((t, k) => t !== c[k]);
+  return { address: lower(addr), type: lending ? 'lending' : 'plain', coins: c, underlying: lending ? u : c, base: null };
+}
+
+/** Every StableSwap pool in the main registry and the stable factory (first sighting wins), through a pinned reader */
+export async function discoverCurvePools(read) {
+  const out = new Map();
+  for (const [kind, id] of Object.entries(REGISTRIES)) {
+    try {
+      const registry = await read(CURVE_ADDRESS_PROVIDER, ADDRESS_PROVIDER_ABI, 'get_address', id);
+      if (!isCoin(registry)) continue;
+      const count = Math.min(MAX_POOLS, Number(await read(registry, REGISTRY_ABI[kind], 'pool_count')));
+      const addrs = await Promise.all(Array.from({ length: count }, (_, i) => read(registry, REGISTRY_ABI[kind], 'pool_list', i)));
+      const descs = await Promise.all(addrs.map((a) => describePool(read, registry, kind, a).catch(() => null)));
+      for (const d of descs) if (d && !out.has(d.address)) out.set(d.address, d);
+    } catch (e) {
+      console.warn(`[curve] ${kind} registry scan failed: ${e?.message || e}`);
+    }
+  }
+  return [...out.values()];
+}
+
+/* ----------------------------
+   State
+---------------------------- */
+async function readStable(read, addr, coins, decimalsOf) {
+  const [A, fee, balances, decimals] = await Promise.all([
+    read(addr, POOL_ABI, 'A'),
+    read(addr, POOL_ABI, 'fee'),
+    Promise.all(coins.map((_, k) => read(addr, POOL_ABI, 'balances', k))),
+    Promise.all(coins.map(decimalsOf)),
+  ]);
+  return {
+    A: Number(A),
+    fee: Number(fee) / FEE_DENOMINATOR,
+    raw: balances.map((b) => BigInt(b)),
+    scales: decimals.map((d) => 10 ** (18 - Number(d))),
+  };
+}
+
+/**
+ * Pool state for `desc` (discoverCurvePools entry): { model, raw } where model is the views' `curve` object
+ * and raw[k] the bigint balance behind tokens[k]. Meta pools also read the base pool, its LP supply and virtual price.
+ */
+export async function readCurvePool(read, desc, decimalsOf) {
+  const own = await readStable(read, desc.address, desc.coins, decimalsOf);
+  const model = { tokens: desc.underlying, balances: own.raw.map(Number), scales: own.scales, A: own.A, fee: own.fee };
+  if (desc.type !== 'meta') return { model, raw: own.raw };
+
+  const lp = desc.coins.length - 1;
+  const [base, supply, virtualPrice] = await Promise.all([
+    readStable(read, desc.base, desc.underlying.slice(lp), decimalsOf),
+    read(desc.coins[lp], ERC20_SUPPLY_ABI, 'totalSupply'),
+    read(desc.base, POOL_ABI, 'get_virtual_price'),
+  ]);
+  model.scales[lp] = Number(virtualPrice) / 1e18;      // LP has 18 decimals; its rate is the base pool's virtual price
+  model.base = { balances: base.raw.map(Number), scales: base.scales, A: base.A, fee: base.fee, supply: Number(supply) };
+  return { model, raw: [...own.raw.slice(0, lp), ...base.raw] };
+}
+
+/* ----------------------------
+   Views
+---------------------------- */
+/** Fields of the view over coin indices (i0, i1) from a readCurvePool result */
+export function curveViewState({ model, raw }, i0, i1) {
+  return { reserve0: raw[i0] ?? 0n, reserve1: raw[i1] ?? 0n, feeBps: Math.round(model.fee * FEE_DENOMINATOR) / 1e6, curve: model };
+}
+
+/** One pool object per tradable coin pair; a meta pool's base-coin pairs are left to the base pool */
+export function curvePairViews(desc, state) {
+  const views = [];
+  const lp = desc.type === 'meta' ? desc.coins.length - 1 : Infinity;
+  const tokens = desc.underlying;
+  for (let i = 0; i < Math.min(tokens.length, lp); i++) {
+    for (let j = i + 1; j < tokens.length; j++) {
+      views.push({
+        dex: CURVE_DEX, __kind: 'curve',
+        pairAddr: desc.address,
+        viewKey: `${desc.address}:${i}-${j}`,
+        token0: tokens[i], token1: tokens[j],
+        coinIndex0: i, coinIndex1: j,
+        underlying: desc.type !== 'plain',
+        curveDesc: desc,
+        ...curveViewState(state, i, j),
+      });
+    }
+  }
+  return views;
+}
+
+/** Router parameters of a Curve view for opportunity records: coin index per token and which exchange to call */
+export function curveCoins(pool) {
+  if (pool?.__kind !== 'curve') return undefined;
+  return { [pool.token0]: pool.coinIndex0, [pool.token1]: pool.coinIndex1, underlying: !!pool.underlying };
+}
+
+export default {
+  CURVE_ADDRESS_PROVIDER, CURVE_DEX, TOKEN_EXCHANGE_TOPIC, TOKEN_EXCHANGE_UNDERLYING_TOPIC,
+  discoverCurvePools, readCurvePool, curveViewState, curvePairViews, curveCoins,
+};
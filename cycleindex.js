@@ -0,0 +1,159 @@
+// cycleindex.js — persistent route index: pool address -> every cycle (3..ARB_MAX_HOPS hops) that trades through it
+// Built on an arbgraph.js graph. Cycles are enumerated once, when their last pool joins; a pool update re-prices only its own cycles.
+import 'dotenv/config';
+import { MAX_HOPS } from './arbgraph.js';
+
+/* ----------------------------
+   Settings
+---------------------------- */
+const MAX_PER_POOL = Math.max(1, Number(process.env.CYCLE_INDEX_MAX_PER_POOL || 2000));   // cycles enumerated per added pool
+const MAX_VISITS   = Math.max(100, Number(process.env.CYCLE_INDEX_MAX_VISITS || 50_000));   // graph edges examined per added pool
+const MAX_ROUTES   = Math.max(1, Number(process.env.ARB_MAX_ROUTES || 50));
+
+const addrOf = (pool) => (pool?.pairAddr || '').toLowerCase();
+// Balancer pair views share their pool's address; viewKey tells them apart
+const keyOf = (pool) => (pool?.viewKey || pool?.pairAddr || '').toLowerCase();
+
+// Same pools in the same ring are one cycle whatever the start pool or direction
+function cycleId(pools) {
+  const ids = pools.map(keyOf);
+  const i = ids.indexOf([...ids].sort()[0]);
+  const fwd = [...ids.slice(i), ...ids.slice(0, i)];
+  const rev = [fwd[0], ...fwd.slice(1).reverse()];
+  return (fwd.join('>') < rev.join('>') ? fwd : rev).join('>');
+}
+
+/* ----------------------------
+   Index
+---------------------------- */
+/**
+ * Index over `graph` (createArbGraph). Pools go through addPool/removePool here, which keeps the
+ * graph's adjacency in step. Each cycle is stored once, undirected; both directions are priced.
+ * An added pool's walk stops after maxPerPool cycles or maxVisits examined edges, whichever comes first.
+ */
+export function createCycleIndex(graph, { maxHops = MAX_HOPS, maxPerPool = MAX_PER_POOL, maxVisits = MAX_VISITS } = {}) {
+  const cycles = new Map();            // id -> { id, tokens (closed), pools }
+  const byPool = new Map();            // pool address -> Set(id) (all views of a Balancer pool together)
+  const views = new Map();             // pool address -> number of its pool objects indexed
+  let truncated = 0;
+
+  const link = (addr, id) => {
+    if (!byPool.has(addr)) byPool.set(addr, new Set());
+    byPool.get(addr).add(id);
+  };
+
+  /**
+   * Simple paths from -> to of 2..maxLen hops avoiding `skip`'s pool; cb returns false to stop the walk.
+   * Examines at most `budget` edges; false when it stopped early (cb or budget), true when it saw every path.
+   */
+  function walk(from, to, maxLen, skip, budget, cb) {
+    const tokens = [from], pools = [];
+    const usedTokens = new Set([from]);
+    // By address: a ring through two views of one Balancer pool would price the second on stale balances
+    const usedPools = new Set([addrOf(skip)]);
+    let visits = 0;
+    const step = () => {
+      const u = tokens[tokens.length - 1];
+      for (const e of graph.edgesFrom(u)) {
+        if (++visits > budget) return false;
+        if (usedPools.has(addrOf(e.pool))) continue;
+        if (e.to === to) {
+          if (pools.length >= 1 && cb([...tokens, to], [...pools, e.pool]) === false) return false;
+          continue;
+        }
+        if (pools.length + 1 >= maxLen || usedTokens.has(e.to)) continue;
+        tokens.push(e.to); pools.push(e.pool); usedTokens.add(e.to); usedPools.add(addrOf(e.pool));
+        const more = step();
+        tokens.pop(); pools.pop(); usedTokens.delete(e.to); usedPools.delete(addrOf(e.pool));
+        if (more === false) return false;
+      }
+      return true;
+    };
+    return step();
+  }
+
+  /** Add a pool and index every cycle it closes with pools already present; returns the number of new cycles */
+  function addPool(pool) {
+    if (!graph.addPool(pool)) return 0;
+    const addr = addrOf(pool);
+    const a = pool.token0.toLowerCase(), b = pool.token1.toLowerCase();
+    let added = 0;
+    // Ring a -> b through `pool`, then back b -> a over the existing graph
+    const complete = walk(b, a, maxHops - 1, pool, maxVisits, (tokens, pools) => {
+      const ring = [pool, ...pools];
+      const id = cycleId(ring);
+      if (cycles.has(id)) return true;
+      cycles.set(id, { id, tokens: [a, ...tokens], pools: ring });
+      for (const p of ring) link(addrOf(p), id);
+      return ++added < maxPerPool;
+    });
+    if (!complete) truncated++;
+    if (!byPool.has(addr)) byPool.set(addr, new Set());
+    views.set(addr, (views.get(addr) || 0) + 1);
+    return added;
+  }
+
+  /** Drop a pool and every cycle that uses it; returns the number of cycles removed */
+  function removePool(pool) {
+    if (!graph.removePool(pool)) return 0;
+    const addr = addrOf(pool);
+    let removed = 0;
+    for (const id of [...(byPool.get(addr) || [])]) {
+      const c = cycles.get(id);
+      if (!c || !c.pools.includes(pool)) continue;
+      cycles.delete(id);
+      for (const p of c.pools) byPool.get(addrOf(p))?.delete(id);
+      removed++;
+    }
+    const left = (views.get(addr) || 1) - 1;
+    if (left > 0) views.set(addr, left);
+    else { views.delete(addr); byPool.delete(addr); }
+    return removed;
+  }
+
+  /** The more profitable direction of a stored cycle, priced at current pool state (null when neither is finite) */
+  function price(c) {
+    const fwd = graph.evaluate(c.tokens, c.pools);
+    const rev = graph.evaluate([...c.tokens].reverse(), [...c.pools].reverse());
+    if (!fwd) return rev;
+    if (!rev) return fwd;
+    return rev.edge > fwd.edge ? rev : fwd;
+  }
+
+  function rankIds(ids, limit) {
+    const out = [];
+    for (const id of ids) {
+      const c = cycles.get(id);
+      const best = c && price(c);
+      if (best && best.edge > 0) out.push({ ...best, id });
+    }
+    return out.sort((x, y) => y.edge - x.edge).slice(0, limit);
+  }
+
+  /** Profitable indexed cycles through `pool` (by object or address), best first; `id` is the undirected ring */
+  function cyclesThrough(pool, { limit = MAX_ROUTES } = {}) {
+    const addr = typeof pool === 'string' ? pool.toLowerCase() : addrOf(pool);
+    return rankIds(byPool.get(addr) || [], limit);
+  }
+
+  /** Every profitable indexed cycle, best first */
+  function profitable({ limit = MAX_ROUTES } = {}) {
+    return rankIds(cycles.keys(), limit);
+  }
+
+  /** The graph's base-token search (findCycles) under the index's ring ids; it also reaches rings the index truncated */
+  function fromBases(opts) {
+    return graph.findCycles(opts)
+      .filter((c) => new Set(c.pools.map(addrOf)).size === c.pools.length)
+      .map((c) => ({ ...c, id: cycleId(c.pools) }));
+  }
+
+  return {
+    graph,
+    addPool, removePool, cyclesThrough, profitable, fromBases,
+    has: (pool) => byPool.has(typeof pool === 'string' ? pool.toLowerCase() : addrOf(pool)),
+    stats: () => ({ pools: byPool.size, cycles: cycles.size, truncatedPools: truncated }),
+  };
+}
+
+export default { createCycleIndex };
@@ -1,7 +1,32 @@
-// dataprovider.js — single RPC, auto-recovery, leading-zero hex fix
+// dataprovider.js — multi-endpoint read pool (READ_RPCS of the active chain profile), health scoring, real rotation, shared RPC scheduler, opt-in quorum reads, block-pinned snapshots, record/replay, leading-zero hex fix
 import 'dotenv/config';
+import fs from 'node:fs';
+import path from 'node:path';
 import { ethers } from 'ethers';
-import { WRITE_RPC_URL } from './rpcConfig.js';
+import { READ_RPCS, CHAIN_ID, READ_RPC_TIMEOUT_MS } from './rpcConfig.js';
+import { scheduleRpc, currentPriority, isRateLimitError } from './rpcscheduler.js';
+import { createCallBatcher } from './multicall.js';
+
+/* ----------------------------
+   Tunables
+---------------------------- */
+const HEALTH_INTERVAL_MS  = Math.max(2000, Number(process.env.RPC_HEALTH_INTERVAL_MS || 10_000));
+const REQUEST_TIMEOUT_MS  = Math.max(1000, Number(process.env.RPC_REQUEST_TIMEOUT_MS || 15_000));
+const MAX_BLOCK_LAG       = Math.max(0,    Number(process.env.RPC_MAX_BLOCK_LAG || 3));
+const ROTATE_COOLDOWN_MS  = Math.max(0,    Number(process.env.RPC_ROTATE_COOLDOWN_MS || 30_000));
+const EWMA_ALPHA          = Math.min(1, Math.max(0.01, Number(process.env.RPC_EWMA_ALPHA || 0.2)));
+const SWITCH_HYSTERESIS   = Math.max(1,    Number(process.env.RPC_SWITCH_HYSTERESIS || 1.25));
+
+// Quorum (opt-in): critical reads fan out to N endpoints and must agree
+export const QUORUM_ENABLED = ['1', 'true', 'yes'].includes(String(process.env.RPC_QUORUM || '').toLowerCase());
+const QUORUM_SIZE         = Math.max(2, Number(process.env.RPC_QUORUM_SIZE || 3));
+const QUORUM_THRESHOLD    = Math.max(2, Number(process.env.RPC_QUORUM_THRESHOLD || 2));
+const QUORUM_MAX_LAG      = Math.max(0, Number(process.env.RPC_QUORUM_MAX_LAG ?? MAX_BLOCK_LAG));
+const QUORUM_TIMEOUT_MS   = Math.max(500, Number(process.env.RPC_QUORUM_TIMEOUT_MS || 2 * READ_RPC_TIMEOUT_MS));
+
+// Record / replay: RPC_RECORD=<file> saves every JSON-RPC exchange; RPC_REPLAY=<file> serves them back offline
+export const RECORD_FILE  = process.env.RPC_RECORD ? path.resolve(process.env.RPC_RECORD) : null;
+export const REPLAY_FILE  = process.env.RPC_REPLAY ? path.resolve(process.env.RPC_REPLAY) : null;
 
 /* ----------------------------
    Fix for RPC leading-zero hex block arguments
@@ -31,34 +56,481 @@ function normalizeBlockLike(x) {
   }
   return x;
 }
-function wrapProvider(p) {
+
+/* ----------------------------
+   Endpoint bookkeeping
+---------------------------- */
+// Errors that say something about the *contract call*, not about the endpoint.
+const NON_ENDPOINT_ERRORS = new Set(['CALL_EXCEPTION', 'INVALID_ARGUMENT', 'ACTION_REJECTED', 'NOT_IMPLEMENTED']);
+
+function redact(url) {
+  try { return new URL(url).host; } catch { return String(url).slice(0, 32); }
+}
+
+function isEndpointError(err) {
+  return !NON_ENDPOINT_ERRORS.has(err?.code);
+}
+
+function ewma(prev, sample) {
+  return prev == null ? sample : prev + EWMA_ALPHA * (sample - prev);
+}
+
+function recordSuccess(ep, ms) {
+  ep.calls++;
+  ep.streak = 0;
+  ep.latencyMs = ewma(ep.latencyMs, ms);
+  ep.errorRate = ewma(ep.errorRate, 0);
+}
+
+function recordFailure(ep, err) {
+  ep.calls++;
+  ep.failures++;
+  ep.streak++;
+  ep.errorRate = ewma(ep.errorRate, 1);
+  ep.lastError = err?.shortMessage || err?.message || String(err);
+  ep.lastErrorAt = Date.now();
+}
+
+function recordHead(ep, bn) {
+  const n = Number(bn);
+  if (!Number.isFinite(n)) return;
+  if (ep.head == null || n > ep.head) ep.head = n;
+  ep.headAt = Date.now();
+}
+
+// Per request: param normalization, endpoint errors, head tracking, and the caller's priority.
+// Per HTTP round trip (_send, one request or a JSON-RPC batch): the shared scheduler (rpcscheduler.js)
+// and latency, timed after the slot is granted so queueing doesn't count against the endpoint.
+// ethers drains its batch from a timer that carries whichever caller opened the window, so _send takes the
+// most urgent priority recorded for its requests rather than its own async context. Rate-limit errors inside an
+// HTTP-200 batch back the endpoint off and retry like a 429; once retries run out each request gets its own error.
+function wrapProvider(p, ep) {
+  const priorityOf = new WeakMap();      // params array (ethers passes it through to the payload) -> priority
   const origSend = p.send.bind(p);
   p.send = async (method, params = []) => {
     const fixedParams = params.map(normalizeBlockLike);
-    return origSend(method, fixedParams);
+    priorityOf.set(fixedParams, currentPriority());
+    try {
+      const result = await origSend(method, fixedParams);
+      if (method === 'eth_blockNumber') recordHead(ep, result);
+      return result;
+    } catch (err) {
+      if (isEndpointError(err)) recordFailure(ep, err);
+      throw err;
+    }
+  };
+  const origRaw = p._send.bind(p);
+  p._send = async (payload) => {
+    const reqs = Array.isArray(payload) ? payload : [payload];
+    const priority = Math.min(...reqs.map((r) => priorityOf.get(r.params) ?? currentPriority()));
+    try {
+      return await scheduleRpc(ep.label, async () => {
+        const t0 = Date.now();
+        const resp = await origRaw(payload);
+        recordSuccess(ep, Date.now() - t0);
+        const limited = resp.find((r) => r?.error && isRateLimitError({ error: r.error }));
+        if (limited) throw Object.assign(new Error(`rate limited: ${limited.error.message || limited.error.code}`), { error: limited.error, batchResponse: resp });
+        return resp;
+      }, { priority, weight: reqs.length });
+    } catch (err) {
+      if (err?.batchResponse) return err.batchResponse;
+      throw err;
+    }
   };
   return p;
 }
 
 /* ----------------------------
-   Single shared provider
+   Record / replay fixtures
+   Shape: { version, chainId, recordedAt, calls: { "<method> <params-json>": [response, ...] } }
+   Responses for one key are served in recorded order; the last one repeats once exhausted.
 ---------------------------- */
-let currentProvider = null;
+function fixtureKey(method, params) {
+  return `${method} ${canonical(params ?? [])}`;
+}
+
+const recording = RECORD_FILE
+  ? { version: 1, chainId: CHAIN_ID, recordedAt: new Date().toISOString(), calls: {} }
+  : null;
+let recordFlushTimer = null;
+
+/** Write the recording to RPC_RECORD now (atomic; also runs on exit) */
+export function flushRecording() {
+  if (!recording) return;
+  clearTimeout(recordFlushTimer);
+  recordFlushTimer = null;
+  try {
+    const tmp = path.join(path.dirname(RECORD_FILE), `.${path.basename(RECORD_FILE)}.tmp`);
+    fs.writeFileSync(tmp, JSON.stringify(recording));
+    fs.renameSync(tmp, RECORD_FILE);
+  } catch (e) {
+    console.error(`[dataprovider] Failed to write RPC recording ${RECORD_FILE}:`, e?.message || e);
+  }
+}
+if (recording) {
+  process.on('exit', flushRecording);
+  console.log(`[dataprovider] 🎙️ Recording JSON-RPC traffic → ${RECORD_FILE}`);
+}
+
+// Hook the raw transport: JSON-RPC responses (including error responses) are recorded,
+// transport failures (timeouts, 5xx) are not — those aren't part of the chain's answer.
+function attachRecorder(p) {
+  const origSend = p._send.bind(p);
+  p._send = async (payload) => {
+    const resp = await origSend(payload);
+    const reqs = Array.isArray(payload) ? payload : [payload];
+    for (const req of reqs) {
+      const r = resp.find((x) => x?.id === req.id);
+      if (!r) continue;
+      const entry = 'error' in r ? { error: r.error } : { result: r.result };
+      (recording.calls[fixtureKey(req.method, req.params)] ||= []).push(entry);
+    }
+    if (!recordFlushTimer) {
+      recordFlushTimer = setTimeout(flushRecording, 1000);
+      recordFlushTimer.unref?.();
+    }
+    return resp;
+  };
+  return p;
+}
+
+/** Offline provider answering from a fixture written under RPC_RECORD; deterministic per call key */
+export class ReplayProvider extends ethers.JsonRpcProvider {
+  #calls;
+  #cursor = new Map();
+
+  constructor(fixtureFile, chainId = CHAIN_ID) {
+    const fixture = JSON.parse(fs.readFileSync(fixtureFile, 'utf8'));
+    const network = ethers.Network.from(Number(fixture.chainId ?? chainId));
+    super('http://replay.invalid', network, { staticNetwork: network });
+    this.#calls = fixture.calls || {};
+  }
+
+  #answer(req) {
+    const key = fixtureKey(req.method, req.params);
+    const list = this.#calls[key];
+    if (!list?.length) {
+      return { jsonrpc: '2.0', id: req.id, error: { code: -32601, message: `replay: no fixture for ${key.slice(0, 160)}` } };
+    }
+    const i = this.#cursor.get(key) ?? 0;
+    this.#cursor.set(key, i + 1);
+    return { jsonrpc: '2.0', id: req.id, ...list[Math.min(i, list.length - 1)] };
+  }
+
+  async _send(payload) {
+    return (Array.isArray(payload) ? payload : [payload]).map((req) => this.#answer(req));
+  }
+}
+
+function buildEndpoint(url, makeProvider) {
+  const ep = {
+    url,
+    label: redact(url),
+    provider: null,
+    latencyMs: null,
+    errorRate: 0,
+    head: null,
+    headAt: 0,
+    calls: 0,
+    failures: 0,
+    streak: 0,            // consecutive failures
+    lastError: null,
+    lastErrorAt: 0,
+    cooldownUntil: 0,
+  };
+  if (makeProvider) {
+    ep.provider = wrapProvider(makeProvider(), ep);
+    return ep;
+  }
+  const req = new ethers.FetchRequest(url);
+  req.timeout = REQUEST_TIMEOUT_MS;
+  req.setThrottleParams({ maxAttempts: 1 }); // 429s surface to rpcscheduler, which backs off the whole endpoint
+  // staticNetwork: a dead endpoint must not spin ethers' network auto-detect forever
+  const network = ethers.Network.from(CHAIN_ID);
+  const p = new ethers.JsonRpcProvider(req, network, { staticNetwork: network });
+  ep.provider = wrapProvider(recording ? attachRecorder(p) : p, ep);
+  // health probes use their own connection so they never land in app batches or recordings
+  ep.probeProvider = new ethers.JsonRpcProvider(req.clone(), network, { staticNetwork: network, batchMaxCount: 1 });
+  return ep;
+}
+
+const endpoints = REPLAY_FILE
+  ? [buildEndpoint(`replay://${path.basename(REPLAY_FILE)}`, () => new ReplayProvider(REPLAY_FILE))]
+  : [...new Set(READ_RPCS)].map((url) => buildEndpoint(url));
+if (REPLAY_FILE) console.log(`[dataprovider] ⏯️ Replaying JSON-RPC from ${REPLAY_FILE} (no network)`);
+const byProvider = new Map(endpoints.map((ep) => [ep.provider, ep]));
+let current = endpoints[0];
 
 /* ----------------------------
-   Get shared read provider
+   Health scoring (lower is better)
 ---------------------------- */
-export async function getReadProvider() {
-  if (!currentProvider) {
-    currentProvider = wrapProvider(new ethers.JsonRpcProvider(WRITE_RPC_URL));
+function bestHead() {
+  let max = null;
+  for (const ep of endpoints) if (ep.head != null && (max == null || ep.head > max)) max = ep.head;
+  return max;
+}
+
+function blockLag(ep, head = bestHead()) {
+  if (head == null || ep.head == null) return 0;
+  return Math.max(0, head - ep.head);
+}
+
+function scoreOf(ep, head = bestHead(), now = Date.now()) {
+  const latency = ep.latencyMs ?? READ_RPC_TIMEOUT_MS;       // unknown endpoints rank as "slow"
+  const lag = blockLag(ep, head);
+  let score = latency * (1 + 4 * ep.errorRate) + 250 * lag;
+  score += 20_000 * Math.min(ep.streak, 4);                  // currently failing: worse than lagging
+  if (lag > MAX_BLOCK_LAG) score += 10_000;                  // lagging: last resort only
+  if (ep.cooldownUntil > now) score += 100_000;              // rotated away from recently
+  return score;
+}
+
+function rankEndpoints() {
+  const head = bestHead();
+  const now = Date.now();
+  return endpoints
+    .map((ep) => ({ ep, score: scoreOf(ep, head, now) }))
+    .sort((a, b) => a.score - b.score);
+}
+
+function selectBest(reason) {
+  const ranked = rankEndpoints();
+  const best = ranked[0]?.ep;
+  if (!best) return current;
+  if (best !== current) {
+    const curScore = scoreOf(current);
+    // hysteresis: only move when the winner is clearly better (or current is cooling down)
+    if (curScore > ranked[0].score * SWITCH_HYSTERESIS || current.cooldownUntil > Date.now()) {
+      console.warn(`[dataprovider] Read RPC ${current.label} → ${best.label}${reason ? ` (${reason})` : ''}`);
+      current = best;
+    }
   }
+  return current;
+}
+
+/* ----------------------------
+   Active health probe
+---------------------------- */
+function withTimeout(promise, ms, label = 'timeout') {
+  let t;
+  return Promise.race([
+    promise,
+    new Promise((_, rej) => { t = setTimeout(() => rej(new Error(label)), ms); }),
+  ]).finally(() => clearTimeout(t));
+}
+
+async function probeEndpoint(ep) {
+  const t0 = Date.now();
   try {
-    await currentProvider.getBlockNumber(); // lightweight test
+    const bn = await withTimeout(ep.probeProvider.send('eth_blockNumber', []), Math.max(READ_RPC_TIMEOUT_MS, 500), 'probe_timeout');
+    recordSuccess(ep, Date.now() - t0);
+    recordHead(ep, bn);
+    return true;
   } catch (err) {
-    console.warn(`[dataprovider] Provider failed, recreating...`);
-    currentProvider = wrapProvider(new ethers.JsonRpcProvider(WRITE_RPC_URL));
+    recordFailure(ep, err);
+    return false;
+  }
+}
+
+let probing = null;
+function probeAll() {
+  if (REPLAY_FILE) return Promise.resolve([]); // replay must only see the app's own calls
+  if (!probing) {
+    probing = Promise.all(endpoints.map(probeEndpoint)).finally(() => { probing = null; });
+  }
+  return probing;
+}
+
+if (!REPLAY_FILE) {
+  const healthTimer = setInterval(() => { probeAll().then(() => selectBest('health')); }, HEALTH_INTERVAL_MS);
+  healthTimer.unref?.();
+}
+
+/* ----------------------------
+   Public API
+---------------------------- */
+
+/** Healthiest read provider (async: probes the pool once on first use) */
+export async function getReadProvider() {
+  if (endpoints.every((ep) => ep.calls === 0)) await probeAll();
+  return selectBest().provider;
+}
+
+/** Synchronous variant for module-level bindings; scores may still be cold */
+export function getProvider() {
+  return selectBest().provider;
+}
+
+/** Demote the active endpoint for a cooldown window and return the next best */
+export function rotateProvider(reason = 'rotate') {
+  const from = current;
+  from.cooldownUntil = Date.now() + ROTATE_COOLDOWN_MS;
+  from.errorRate = ewma(from.errorRate, 1);
+  const next = selectBest(reason);
+  if (next === from) console.warn(`[dataprovider] rotateProvider(${reason}): no alternative to ${from.label}`);
+  return next.provider;
+}
+
+/** Throws unless the provider answers eth_chainId with the expected chain (the active profile's by default) */
+export async function ensureChainNetwork(provider, expectedChainId = CHAIN_ID) {
+  const p = provider || (await getReadProvider());
+  const chainId = Number(await p.send('eth_chainId', []));
+  if (chainId !== Number(expectedChainId)) {
+    const ep = byProvider.get(p);
+    if (ep) ep.cooldownUntil = Date.now() + ROTATE_COOLDOWN_MS;
+    throw new Error(`[dataprovider] RPC chainId mismatch — expected ${expectedChainId}, got ${chainId}`);
+  }
+  return chainId;
+}
+
+/** @deprecated Polygon-era name for ensureChainNetwork */
+export const ensurePolygonNetwork = ensureChainNetwork;
+
+/** Best endpoint that is reachable *and* on the right chain, tried in score order */
+export async function getSafeReadProvider() {
+  if (endpoints.every((ep) => ep.calls === 0)) await probeAll();
+  let lastErr;
+  for (const { ep } of rankEndpoints()) {
+    try {
+      await withTimeout(ensureChainNetwork(ep.provider), Math.max(READ_RPC_TIMEOUT_MS, 500), 'chainid_timeout');
+      if (ep !== current) {
+        console.warn(`[dataprovider] Read RPC ${current.label} → ${ep.label} (safe read)`);
+        current = ep;
+      }
+      return ep.provider;
+    } catch (err) {
+      lastErr = err;
+    }
   }
-  return currentProvider;
+  throw new Error(`[dataprovider] No healthy RPC in pool: ${lastErr?.message || lastErr}`);
+}
+
+/* ----------------------------
+   Quorum / cross-checked reads
+---------------------------- */
+function canonical(v) {
+  return JSON.stringify(v, (_k, x) => (typeof x === 'bigint' ? x.toString() : x));
+}
+
+function demote(ep, why) {
+  ep.cooldownUntil = Date.now() + ROTATE_COOLDOWN_MS;
+  ep.errorRate = ewma(ep.errorRate, 1);
+  console.warn(`[dataprovider] Demoting ${ep.label}: ${why}`);
+}
+
+function quorumMembers(size) {
+  const now = Date.now();
+  const ranked = rankEndpoints().map((r) => r.ep);
+  const fresh = ranked.filter((ep) => ep.cooldownUntil <= now && ep.streak === 0);
+  // top up with cooling/failing endpoints only when the healthy set is too small
+  return [...fresh, ...ranked.filter((ep) => !fresh.includes(ep))].slice(0, size);
+}
+
+async function fanOut(label, fn, members, timeoutMs) {
+  return Promise.all(members.map(async (ep) => {
+    try {
+      const value = await withTimeout(fn(ep.provider), timeoutMs, `${label}_quorum_timeout`);
+      return { ep, ok: true, value };
+    } catch (err) {
+      return { ep, ok: false, err };
+    }
+  }));
+}
+
+/**
+ * Run `fn(provider)` on N endpoints and return the value at least `threshold` of them agree on.
+ * Endpoints that answer differently from the agreeing group are demoted. Throws when no
+ * group reaches the threshold. `key(value)` decides equality (default: canonical JSON).
+ */
+export async function quorumRead(label, fn, opts = {}) {
+  const size = Math.max(2, Number(opts.size ?? QUORUM_SIZE));
+  const threshold = Math.min(size, Math.max(2, Number(opts.threshold ?? QUORUM_THRESHOLD)));
+  const key = opts.key || canonical;
+
+  const members = quorumMembers(size);
+  if (members.length < threshold) {
+    throw new Error(`[dataprovider] quorum ${label}: only ${members.length} endpoint(s) for threshold ${threshold}`);
+  }
+
+  const answers = await fanOut(label, fn, members, opts.timeoutMs ?? QUORUM_TIMEOUT_MS);
+  const groups = new Map();
+  for (const a of answers) {
+    if (!a.ok) continue;
+    const k = key(a.value);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(a);
+  }
+  const winner = [...groups.values()].sort((x, y) => y.length - x.length)[0];
+  if (!winner || winner.length < threshold) {
+    throw new Error(`[dataprovider] quorum ${label}: no agreement (${winner?.length || 0}/${threshold} over ${members.length})`);
+  }
+  for (const a of answers) {
+    if (a.ok && !winner.includes(a)) demote(a.ep, `disagreed on ${label}`);
+  }
+  return winner[0].value;
+}
+
+/**
+ * Head block confirmed by `threshold` endpoints: the highest block that at least that many
+ * have reached. Endpoints more than `maxLagBlocks` behind it — or claiming a head that far
+ * ahead of what anyone else confirms — are demoted.
+ */
+export async function getQuorumBlockNumber(opts = {}) {
+  const size = Math.max(2, Number(opts.size ?? QUORUM_SIZE));
+  const threshold = Math.min(size, Math.max(2, Number(opts.threshold ?? QUORUM_THRESHOLD)));
+  const maxLag = Math.max(0, Number(opts.maxLagBlocks ?? QUORUM_MAX_LAG));
+
+  const members = quorumMembers(size);
+  const answers = (await fanOut('blockNumber', (p) => p.getBlockNumber(), members, opts.timeoutMs ?? QUORUM_TIMEOUT_MS))
+    .filter((a) => a.ok && Number.isFinite(Number(a.value)));
+  if (answers.length < threshold) {
+    throw new Error(`[dataprovider] quorum blockNumber: ${answers.length}/${threshold} endpoints answered`);
+  }
+
+  const heads = answers.map((a) => Number(a.value)).sort((x, y) => y - x);
+  const confirmed = heads[threshold - 1];
+  const agreeing = answers.filter((a) => Math.abs(Number(a.value) - confirmed) <= maxLag);
+  if (agreeing.length < threshold) {
+    throw new Error(`[dataprovider] quorum blockNumber: heads ${heads.join(',')} disagree beyond ${maxLag} blocks`);
+  }
+  for (const a of answers) {
+    const n = Number(a.value);
+    if (n < confirmed - maxLag) demote(a.ep, `lagging ${confirmed - n} blocks`);
+    else if (n > confirmed + maxLag) demote(a.ep, `head ${n} unconfirmed (quorum ${confirmed})`);
+  }
+  return confirmed;
+}
+
+/* ----------------------------
+   Block-pinned snapshots
+---------------------------- */
+
+/**
+ * Consistent read snapshot: every read made through it is pinned to one blockTag, so an
+ * evaluation never mixes state from different blocks. Defaults to the current head
+ * (quorum-confirmed when RPC_QUORUM is on). Reads go through the healthiest endpoint at
+ * call time, so rotation mid-evaluation keeps the same block. read() is batched via
+ * Multicall3 and memoized per snapshot (multicall.js).
+ */
+export async function createSnapshot(blockTag) {
+  let blockNumber = blockTag;
+  if (blockNumber == null || blockNumber === 'latest') {
+    blockNumber = QUORUM_ENABLED ? await getQuorumBlockNumber() : await (await getReadProvider()).getBlockNumber();
+  }
+  blockNumber = Number(blockNumber);
+  if (!Number.isInteger(blockNumber) || blockNumber < 0) {
+    throw new Error(`[dataprovider] createSnapshot: bad blockTag ${blockTag}`);
+  }
+  const overrides = Object.freeze({ blockTag: blockNumber });
+  const batcher = createCallBatcher(getProvider, blockNumber);
+  return Object.freeze({
+    blockNumber,
+    overrides,
+    /** view call `method(...args)` on `address`, pinned to the snapshot block */
+    read: batcher.read,
+    /** raw eth_call pinned to the snapshot block */
+    call: (tx) => getProvider().call({ ...tx, blockTag: blockNumber }),
+  });
 }
 
 /* ----------------------------
@@ -67,20 +539,44 @@ export async function getReadProvider() {
 export async function verifySameChain() {
   const provider = await getReadProvider();
   const network = await provider.getNetwork();
-  const expectedChain = Number(process.env.CHAIN_ID || 137);
-  if (network.chainId !== expectedChain) {
-    throw new Error(
-      `[dataprovider] RPC chainId mismatch — expected ${expectedChain}, got ${network.chainId}`
-    );
-  }
-  console.log(`[dataprovider] ✅ RPC verified on chainId ${network.chainId}`);
+  const expectedChain = Number(process.env.CHAIN_ID || CHAIN_ID);
+  await ensureChainNetwork(provider, expectedChain);
+  console.log(`[dataprovider] ✅ RPC verified on chainId ${Number(network.chainId)}`);
   return true;
 }
 
+/** Snapshot of per-endpoint health, best first (for logs / dashboards) */
+export function getPoolStats() {
+  const head = bestHead();
+  return rankEndpoints().map(({ ep, score }) => ({
+    endpoint: ep.label,
+    active: ep === current,
+    score: Math.round(score),
+    latencyMs: ep.latencyMs == null ? null : Math.round(ep.latencyMs),
+    errorRate: Number(ep.errorRate.toFixed(3)),
+    head: ep.head,
+    blockLag: blockLag(ep, head),
+    calls: ep.calls,
+    failures: ep.failures,
+    lastError: ep.lastError,
+  }));
+}
+
 /* ----------------------------
    Default export
 ---------------------------- */
 export default {
   getReadProvider,
+  getProvider,
+  rotateProvider,
+  getSafeReadProvider,
+  ensureChainNetwork,
+  ensurePolygonNetwork,
   verifySameChain,
-};
\ No newline at end of file
+  getPoolStats,
+  quorumRead,
+  getQuorumBlockNumber,
+  createSnapshot,
+  flushRecording,
+  ReplayProvider,
+};
@@ -0,0 +1,74 @@
+// dexadapter.js — DEX adapter contract, plugin loader and the pool-kind registry pricing and sizing dispatch through
+// Adapters live in plugins/<name>.js and are enabled by name from dexconfig.json ("adapters"); poolfetcher.js runs one
+// generic log poller and evaluator over each of them.
+import 'dotenv/config';
+
+/* ----------------------------
+   Contract
+---------------------------- */
+/*
+ * A plugin's default export is a factory, (ctx) => adapter, where ctx holds poolfetcher's shared readers and
+ * event-state helpers. The adapter:
+ *   name          string; dexconfig.json key, poller checkpoint and record `source` suffix
+ *   label         log label (defaults to name)
+ *   kinds         pool.__kind values it owns
+ *   eventTopics   topic0 values the poller asks for
+ *   discover(snap)               -> Promise<pool[]>  pools (or pair views) with state at snap
+ *   watch(pools)                 -> address[]        log emitters to filter on; (re)builds the adapter's lookups
+ *   decodeEvent(log)             -> { pools, evaluate } | null   the tracked pool objects a log touches
+ *   applyEvent(event, log)       synchronous, in arrival order: state the log itself carries (optional)
+ *   refresh(event, log, snap)    -> Promise<void>  RPC reads the log can't replace, before evaluation (optional)
+ *   readState(read, pool)        -> Promise<state> price-relevant fields through a pinned reader (leg confirmation)
+ *   spotPrice(pool)              token0 per token1, decimals applied
+ *   quote(pool, tokenIn, amountIn)  raw tokenOut for raw amountIn, fee included
+ */
+const REQUIRED = ['name', 'kinds', 'eventTopics', 'discover', 'watch', 'decodeEvent', 'readState', 'spotPrice', 'quote'];
+
+export const BUILTIN_ADAPTERS = ['v2', 'v3', 'balancer', 'curve'];
+
+/* ----------------------------
+   Registry
+---------------------------- */
+const byKind = new Map();               // pool.__kind -> adapter
+
+/** Adapter owning `pool` (pools without a kind are V2 pairs); undefined before loadDexAdapters */
+export const adapterFor = (pool) => byKind.get(String(pool?.__kind || 'v2').toLowerCase());
+
+function checkAdapter(adapter) {
+  const missing = REQUIRED.filter((k) => adapter?.[k] == null);
+  if (missing.length) throw new Error(`missing ${missing.join(', ')}`);
+  if (!Array.isArray(adapter.kinds) || !Array.isArray(adapter.eventTopics)) throw new Error('kinds/eventTopics must be arrays');
+  const taken = adapter.kinds.find((k) => byKind.has(k));
+  if (taken) throw new Error(`pool kind "${taken}" already belongs to ${byKind.get(taken).name}`);
+}
+
+/**
+ * Import plugins/<name>.js for each name, build its adapter with `ctx` and register its pool kinds.
+ * A plugin that fails to load or breaks the contract is skipped with a warning.
+ */
+export async function loadDexAdapters(names, ctx) {
+  const adapters = [];
+  for (const name of names) {
+    try {
+      if (!/^[\w-]+$/.test(name)) throw new Error('invalid plugin name');
+      const mod = await import(new URL(`./plugins/${name}.js`, import.meta.url));
+      const adapter = (mod.default ?? mod.createAdapter)(ctx);
+      checkAdapter(adapter);
+      for (const k of adapter.kinds) byKind.set(k, adapter);
+      adapters.push(adapter);
+    } catch (e) {
+      console.warn(`[dexadapter] ⚠️ plugin "${name}" skipped: ${e?.message || e}`);
+    }
+  }
+  console.log(`[dexadapter] 🔌 ${adapters.map((a) => a.name).join(', ') || 'no adapters'} enabled`);
+  return adapters;
+}
+
+/** Enabled adapter names from dexconfig.json: "adapters" as a list, or per chain profile; built-ins otherwise */
+export function configuredAdapterNames(dexConfig, profileName) {
+  const cfg = dexConfig?.adapters;
+  const names = Array.isArray(cfg) ? cfg : Array.isArray(cfg?.[profileName]) ? cfg[profileName] : BUILTIN_ADAPTERS;
+  return [...new Set(names.map((n) => String(n).trim()).filter(Boolean))];
+}
+
+export default { BUILTIN_ADAPTERS, adapterFor, loadDexAdapters, configuredAdapterNames };
@@ -1,39 +1,16 @@
-// getchainlinkpricefeed.js — fetches DAI/USDC/USDT prices from Chainlink (Polygon) without using the Feed Registry
+// getchainlinkpricefeed.js — fetches stablecoin prices from Chainlink feeds listed in the active chain profile, without using the Feed Registry
 
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
 import { ethers } from "ethers";
 import { getProvider, rotateProvider } from "./dataprovider.js";
+import { ACTIVE_PROFILE } from "./chainprofile.js";
+import { getStore } from "./store.js";
 
-// ---------- ESM __dirname ----------
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// ---------- Output ----------
+// chainlinkpricefeed.json, or the price_feeds table with STORE_BACKEND=sqlite
+const feedStore = getStore().priceFeeds;
 
-// ---------- Files ----------
-const OUT_FILE = path.resolve(__dirname, "chainlinkpricefeed.json");
-
-// ---------- Polygon Chainlink Feeds ----------
-const FEEDS = [
-  {
-    symbol: "DAI",
-    tokenAddr: "0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063",
-    tokenDecimals: 18,
-    feedAddr: "0x4746DeC9e833A82EC7C2C1356372CcF2cfcD2F3D"
-  },
-  {
-    symbol: "USDC",
-    tokenAddr: "0x2791BfD60D232150bFF86b39b7146c0eAaA2bA81",
-    tokenDecimals: 6,
-    feedAddr: "0xfE4A8cc5b5B2366C1B58Bea3858e81843581b2F7"
-  },
-  {
-    symbol: "USDT",
-    tokenAddr: "0xc2132D05D31c914a87C6611C10748AEb04B58e8F",
-    tokenDecimals: 6,
-    feedAddr: "0x0A6513e40db6EB1b165753AD52E80663aeA50545"
-  }
-];
+// ---------- Chainlink Feeds (chainprofiles.json -> chainlinkFeeds) ----------
+const FEEDS = ACTIVE_PROFILE.chainlinkFeeds;
 
 const FEED_ABI = [
   "function latestRoundData() external view returns (uint80 roundId,int256 answer,uint256 startedAt,uint256 updatedAt,uint80 answeredInRound)",
@@ -58,27 +35,6 @@ async function withProvider(fn) {
   return fn(provider).catch((e) => { throw (lastErr || e); });
 }
 
-// ---------- JSON helpers ----------
-function safeLoadJSON(file, fallback) {
-  try {
-    if (!fs.existsSync(file)) return fallback;
-    const raw = fs.readFileSync(file, "utf8");
-    const data = JSON.parse(raw);
-    return (data && typeof data === "object") ? data : fallback;
-  } catch {
-    return fallback;
-  }
-}
-
-function writeJsonAtomic(file, data) {
-  const pretty = JSON.stringify(data, null, 2);
-  const dir = path.dirname(file);
-  const tmp = path.join(dir, `.${path.basename(file)}.tmp`);
-  fs.writeFileSync(tmp, pretty, "utf8");
-  fs.renameSync(tmp, file);
-  console.log(`💾 ${path.basename(file)} updated (${Object.keys(data).length} entries)`);
-}
-
 // ---------- Chainlink direct feed read ----------
 async function readFeedPrice(feedAddr) {
   const feed = new ethers.Contract(feedAddr, FEED_ABI, provider);
@@ -112,7 +68,7 @@ async function readFeedPrice(feedAddr) {
 
 // ---------- Main ----------
 async function main() {
-  const prevOut = safeLoadJSON(OUT_FILE, {});
+  const prevOut = feedStore.get();
   const now = Math.floor(Date.now() / 1000);
   const updates = {};
 
@@ -142,9 +98,10 @@ async function main() {
   }
 
   const merged = { ...prevOut, ...updates };
-  writeJsonAtomic(OUT_FILE, merged);
+  feedStore.replace(merged);
+  console.log(`💾 Price feeds updated (${Object.keys(merged).length} entries)`);
 
-  console.log("✅ chainlinkpricefeed.json updated with stablecoin prices.");
+  console.log("✅ Stablecoin prices updated.");
 }
 
 main().catch((e) => {
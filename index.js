@@ -1,8 +1,9 @@
-// index.js — ESM + ethers v6, Polygon RPC-only (no .env)
+// index.js — ESM + ethers v6, RPC-only; chain picked by CHAIN_PROFILE (Polygon by default)
 // Ensure package.json has: { "type": "module" }
 
 import { JsonRpcProvider } from 'ethers';
-import { POLYGON_RPCS } from './rpcConfig.js';
+import { READ_RPCS } from './rpcConfig.js';
+import { ACTIVE_PROFILE } from './chainprofile.js';
 
 // ⬇️ NEW — Assign IDs to all opportunities before anything starts
 import './assign_ids.js';
@@ -28,10 +29,10 @@ async function probeRpc(url, attempts = 3) {
 }
 
 async function pickWorkingRpc() {
-  for (const url of POLYGON_RPCS) {
+  for (const url of READ_RPCS) {
     if (await probeRpc(url)) return url;
   }
-  throw new Error('No Polygon RPC endpoint reachable from fallback list.');
+  throw new Error(`No ${ACTIVE_PROFILE.label} RPC endpoint reachable from fallback list.`);
 }
 
 function startModule(name, modulePath) {
@@ -52,7 +53,7 @@ function startModule(name, modulePath) {
 // 1) Probe one working RPC; expose it globally for consumers
 const ACTIVE_RPC = await pickWorkingRpc();
 globalThis.__ACTIVE_POLYGON_RPC__ = ACTIVE_RPC;
-console.log(`🔗 Using ACTIVE Polygon RPC: ${ACTIVE_RPC}`);
+console.log(`🔗 Using ACTIVE ${ACTIVE_PROFILE.label} RPC: ${ACTIVE_RPC}`);
 
 // 2) Start crash protection (This will monitor and restart the bot if necessary)
 protect();
@@ -76,7 +77,7 @@ const modules = [
 // Start all remaining modules
 modules.forEach(m => startModule(m.name, m.path));
 
-console.log('🎯 Polygon RPC confirmed. Services are starting…');
+console.log(`🎯 ${ACTIVE_PROFILE.label} RPC confirmed. Services are starting…`);
 
 // graceful shutdown
 function shutdown(sig) {
@@ -0,0 +1,54 @@
+// kyberelastic.js — KyberSwap Elastic pool adapter: state ABI, fee units, liquidity split and the Elastic-only log
+// Swap/Mint/Burn/PoolCreated share Uniswap V3's signatures (so its topics); what differs is how state is read and what
+// "liquidity" means: active liquidity is baseL (positions) + reinvestL (swap fees compounded back into the range).
+import { ethers } from 'ethers';
+
+export const ELASTIC_POOL_ABI = [
+  'function getPoolState() view returns (uint160 sqrtP, int24 currentTick, int24 nearestCurrentTick, bool locked)',
+  'function getLiquidityState() view returns (uint128 baseL, uint128 reinvestL, uint128 reinvestLLast)',
+  'function swapFeeUnits() view returns (uint24)',
+  'function tickDistance() view returns (int24)'
+];
+
+// BurnRTokens(address indexed owner, uint256 qty, uint256 qty0, uint256 qty1): reinvestment liquidity leaving the pool
+export const BURN_RTOKENS_TOPIC = ethers.id('BurnRTokens(address,uint256,uint256,uint256)');
+
+const FEE_UNITS_PER_BPS = 10;          // swapFeeUnits: 100_000 = 100%, so 1 unit = 0.001%
+
+/** Registry/dexconfig label check (factory names like "kyber-elastic") */
+export const isElasticDex = (dex) => /elastic/i.test(String(dex || ''));
+
+export function elasticFeeBps(feeUnits) {
+  return Number(feeUnits) / FEE_UNITS_PER_BPS;
+}
+
+/**
+ * Price-relevant state through a pinned reader (snap.read / batcher read): sqrtP in Q96 like
+ * Uniswap V3, baseL/reinvestL kept apart because Swap logs only report baseL.
+ */
+export async function readElasticState(read, poolAddr) {
+  const [ps, ls, feeUnits, tickDistance] = await Promise.all([
+    read(poolAddr, ELASTIC_POOL_ABI, 'getPoolState'),
+    read(poolAddr, ELASTIC_POOL_ABI, 'getLiquidityState'),
+    read(poolAddr, ELASTIC_POOL_ABI, 'swapFeeUnits'),
+    read(poolAddr, ELASTIC_POOL_ABI, 'tickDistance'),
+  ]);
+  return {
+    sqrtPriceX96: BigInt(ps[0]),
+    tick: Number(ps[1]),
+    baseL: BigInt(ls[0]),
+    reinvestL: BigInt(ls[1]),
+    feeBps: elasticFeeBps(feeUnits),
+    tickSpacing: Number(tickDistance),
+  };
+}
+
+/**
+ * Active liquidity after an Elastic Swap log (which carries baseL). reinvestL also grows by the
+ * swap's fee, which the log doesn't report, so the last read value slightly understates depth.
+ */
+export function elasticActiveLiquidity(pool, baseL) {
+  return BigInt(baseL) + BigInt(pool.reinvestL ?? 0n);
+}
+
+export default { ELASTIC_POOL_ABI, BURN_RTOKENS_TOPIC, isElasticDex, elasticFeeBps, readElasticState, elasticActiveLiquidity };
@@ -0,0 +1,157 @@
+// multicall.js — batched contract reads: Multicall3 aggregate3 first, JSON-RPC batch (parallel eth_call) as fallback
+import 'dotenv/config';
+import { ethers } from 'ethers';
+import { ACTIVE_PROFILE } from './chainprofile.js';
+
+/* ----------------------------
+   Config
+---------------------------- */
+export const MULTICALL3_ADDR = ACTIVE_PROFILE.multicall3; // MULTICALL3 / MULTICALL3__<chainId> override the profile
+
+const BATCH_SIZE = Math.max(1, Number(process.env.MULTICALL_BATCH_SIZE || 100));  // calls per aggregate3
+const WINDOW_MS  = Math.max(0, Number(process.env.MULTICALL_WINDOW_MS || 0));     // 0 = flush on next turn of the event loop
+const DISABLED   = ['1', 'true', 'yes'].includes(String(process.env.MULTICALL_DISABLE || '').toLowerCase());
+
+const MULTICALL3_ABI = [
+  'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) view returns (tuple(bool success, bytes returnData)[])'
+];
+const MC_IFACE = new ethers.Interface(MULTICALL3_ABI);
+
+const ifaceCache = new WeakMap();
+function ifaceFor(abi) {
+  if (abi instanceof ethers.Interface) return abi;
+  let iface = ifaceCache.get(abi);
+  if (!iface) { iface = new ethers.Interface(abi); ifaceCache.set(abi, iface); }
+  return iface;
+}
+
+function chunk(arr, n) {
+  const out = [];
+  for (let i = 0; i < arr.length; i += n) out.push(arr.slice(i, i + n));
+  return out;
+}
+
+/* ----------------------------
+   Transports
+---------------------------- */
+async function viaAggregate3(provider, calls, blockTag) {
+  const data = MC_IFACE.encodeFunctionData('aggregate3', [
+    calls.map((c) => [c.target, c.allowFailure ?? true, c.callData]),
+  ]);
+  const ret = await provider.call({ to: MULTICALL3_ADDR, data, blockTag });
+  const [results] = MC_IFACE.decodeFunctionResult('aggregate3', ret);
+  return results.map((r) => ({ success: r.success, returnData: r.returnData }));
+}
+
+// ethers' JsonRpcProvider coalesces concurrent sends into one JSON-RPC batch request
+function viaRpcBatch(provider, calls, blockTag) {
+  return Promise.all(calls.map((c) =>
+    provider.call({ to: c.target, data: c.callData, blockTag }).then(
+      (returnData) => ({ success: true, returnData }),
+      (error) => (error?.code === 'CALL_EXCEPTION'
+        ? { success: false, returnData: error.data || '0x' }
+        : { success: false, returnData: '0x', error }),
+    )
+  ));
+}
+
+let warnedFallback = false;
+
+/** aggregate3 itself reverted, or there is no Multicall3 contract at MULTICALL3_ADDR (the call returns empty data) */
+const multicallUnusable = (e) => e?.code === 'CALL_EXCEPTION' || (e?.code === 'BAD_DATA' && (e.value ?? '0x') === '0x');
+
+/**
+ * One chunk of raw calls: aggregate3 when available, else a JSON-RPC batch. Rate limits, timeouts and
+ * transport errors are rethrown: one eth_call per call would only deepen the trouble the scheduler backs off from.
+ */
+async function executeChunk(provider, calls, blockTag) {
+  if (!DISABLED) {
+    try {
+      return await viaAggregate3(provider, calls, blockTag);
+    } catch (e) {
+      if (!multicallUnusable(e)) throw e;
+      if (!warnedFallback) {
+        warnedFallback = true;
+        console.warn(`[multicall] aggregate3 unavailable (${e?.shortMessage || e?.message || e}); using JSON-RPC batches`);
+      }
+    }
+  }
+  return viaRpcBatch(provider, calls, blockTag);
+}
+
+/* ----------------------------
+   Public API
+---------------------------- */
+/**
+ * Raw batched calls: [{ target, callData, allowFailure? }] -> [{ success, returnData }] (index-aligned).
+ * A chunk that fails outright yields nulls so callers keep their index mapping.
+ */
+export async function multicall(provider, calls, batchSize = BATCH_SIZE, blockTag = 'latest') {
+  const results = [];
+  for (const part of chunk(calls, batchSize)) {
+    try {
+      results.push(...(await executeChunk(provider, part, blockTag)));
+    } catch (err) {
+      console.error('[multicall] batch error:', err?.message || err);
+      results.push(...part.map(() => null));
+    }
+  }
+  return results;
+}
+
+/**
+ * Collects view calls issued in the same tick and sends them as a few aggregate3 calls pinned to blockTag.
+ * Identical (target, calldata) reads are memoized for the batcher's lifetime, since the block is fixed.
+ * read() resolves like ethers.Contract: a single output unwrapped, otherwise the Result.
+ */
+export function createCallBatcher(getProvider, blockTag) {
+  const memo = new Map();
+  let pending = [];
+  let scheduled = false;
+
+  const flush = async () => {
+    scheduled = false;
+    const batch = pending;
+    pending = [];
+    const provider = getProvider();
+    await Promise.all(chunk(batch, BATCH_SIZE).map(async (part) => {
+      let results;
+      try { results = await executeChunk(provider, part, blockTag); }
+      catch (err) { part.forEach((c) => c.reject(err)); return; }
+      part.forEach((c, i) => {
+        const r = results[i];
+        if (r?.error) return c.reject(r.error);
+        if (!r?.success) return c.reject(c.iface.makeError(r?.returnData || '0x', { to: c.target, data: c.callData }));
+        try {
+          const out = c.iface.decodeFunctionResult(c.fragment, r.returnData);
+          c.resolve(out.length === 1 ? out[0] : out);
+        } catch (err) { c.reject(err); }
+      });
+    }));
+  };
+
+  function read(address, abi, method, ...args) {
+    const iface = ifaceFor(abi);
+    const fragment = iface.getFunction(method, args);
+    if (!fragment) return Promise.reject(new Error(`[multicall] no function ${method} in ABI`));
+    const callData = iface.encodeFunctionData(fragment, args);
+    const key = `${address.toLowerCase()}:${callData}`;
+    const hit = memo.get(key);
+    if (hit) return hit;
+
+    const p = new Promise((resolve, reject) => {
+      pending.push({ target: address, callData, allowFailure: true, iface, fragment, resolve, reject });
+      if (!scheduled) {
+        scheduled = true;
+        if (WINDOW_MS) setTimeout(flush, WINDOW_MS); else setImmediate(flush);
+      }
+    });
+    memo.set(key, p);
+    p.catch(() => memo.delete(key)); // failures are not cached; a retry goes back to the chain
+    return p;
+  }
+
+  return { read };
+}
+
+export default { MULTICALL3_ADDR, multicall, createCallBatcher };
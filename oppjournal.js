@@ -0,0 +1,201 @@
+// oppjournal.js — append-only opportunity journal: NDJSON segments with rotation and retention, compacted into a current view
+// Writers append one line per record (O(1), nothing is read back). Compaction keeps the newest record per opportunity key
+// younger than OPPORTUNITY_TTL_MS and atomically rewrites the view file (direct_pool.json / tri_pool.json) with the ones `keep` accepts.
+// Consumers either read the view or tail the segments with tailJournal(), which only ever consumes whole lines.
+import 'dotenv/config';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/* ----------------------------
+   Tunables
+---------------------------- */
+export const JOURNAL_DIR = path.resolve(__dirname, process.env.JOURNAL_DIR || 'journal');
+const SEGMENT_BYTES      = Math.max(64 * 1024, Number(process.env.JOURNAL_SEGMENT_BYTES || 8 * 1024 * 1024));
+const SEGMENT_MS         = Math.max(60_000, Number(process.env.JOURNAL_SEGMENT_MS || 3600_000));          // rotate at least hourly
+const RETAIN_MS          = Math.max(SEGMENT_MS, Number(process.env.JOURNAL_RETAIN_MS || 24 * 3600_000));   // closed segments kept this long
+const TTL_MS             = Math.max(1000, Number(process.env.OPPORTUNITY_TTL_MS || 120_000));             // view drops records older than this
+const COMPACT_MS         = Math.max(500, Number(process.env.JOURNAL_COMPACT_MS || 5000));
+
+/* ----------------------------
+   Segments
+---------------------------- */
+// <name>.<start ms, zero-padded>.ndjson: lexical order is write order
+const segmentName = (name, startMs) => `${name}.${String(startMs).padStart(15, '0')}.ndjson`;
+const segmentStart = (file) => Number(file.split('.').at(-2));
+
+function listSegments(dir, name) {
+  if (!fs.existsSync(dir)) return [];
+  const re = new RegExp(`^${name.replace(/[^\w-]/g, '\\$&')}\\.\\d{15}\\.ndjson$`);
+  return fs.readdirSync(dir).filter((f) => re.test(f)).sort();
+}
+
+/** Complete lines of `buf` (a trailing partial line is left for the next read) and the bytes they span */
+function wholeLines(buf) {
+  const end = buf.lastIndexOf(0x0a);
+  if (end < 0) return { lines: [], bytes: 0 };
+  return { lines: buf.subarray(0, end).toString('utf8').split('\n').filter(Boolean), bytes: end + 1 };
+}
+
+function parseLines(lines) {
+  const out = [];
+  for (const line of lines) {
+    try { out.push(JSON.parse(line)); } catch {}      // a torn line from a crash is skipped, not fatal
+  }
+  return out;
+}
+
+function readFrom(file, offset) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const size = fs.fstatSync(fd).size;
+    if (size <= offset) return Buffer.alloc(0);
+    const buf = Buffer.alloc(size - offset);
+    const n = fs.readSync(fd, buf, 0, buf.length, offset);
+    return buf.subarray(0, n);
+  } finally { fs.closeSync(fd); }
+}
+
+function writeJsonAtomic(file, data) {
+  try {
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = path.join(dir, `.${path.basename(file)}.tmp`);
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  } catch (e) { console.error(`[journal] Failed to write ${file}:`, e?.message || e); }
+}
+
+/* ----------------------------
+   Writer
+---------------------------- */
+/**
+ * Journal `name` under `dir`. keyOf(record) identifies an opportunity (later records replace earlier ones in the view);
+ * view is the compacted file of the newest records `keep` accepts, sorted by estProfitUSD. Records younger than the TTL
+ * are replayed from disk on creation.
+ */
+export function createJournal(name, { keyOf, view, keep = () => true, dir = JOURNAL_DIR, ttlMs = TTL_MS, compactMs = COMPACT_MS } = {}) {
+  if (!/^[\w-]+$/.test(name)) throw new Error(`[journal] invalid journal name "${name}"`);
+  const current = new Map();            // key -> newest record
+  let fd = null, segStart = 0, segBytes = 0;
+  let dirty = true, closed = false;
+
+  const now = () => Date.now();
+  const fresh = (rec) => now() - Number(rec?.timestamp || 0) <= ttlMs;
+
+  function openSegment() {
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const last = listSegments(dir, name).at(-1);
+    segStart = Math.max(now(), last ? segmentStart(last) + 1 : 0);
+    fd = fs.openSync(path.join(dir, segmentName(name, segStart)), 'a');
+    segBytes = 0;
+  }
+
+  function closeSegment() {
+    if (fd == null) return;
+    try { fs.closeSync(fd); } catch {}
+    fd = null;
+  }
+
+  /** Closed segments past retention; tailers still on one simply move to the next */
+  function prune() {
+    const active = fd != null ? segmentName(name, segStart) : null;
+    for (const f of listSegments(dir, name)) {
+      if (f === active) continue;
+      const file = path.join(dir, f);
+      try {
+        if (now() - fs.statSync(file).mtimeMs > RETAIN_MS) fs.unlinkSync(file);
+      } catch {}
+    }
+  }
+
+  function rotateIfDue() {
+    if (fd != null && (segBytes >= SEGMENT_BYTES || now() - segStart >= SEGMENT_MS)) {
+      closeSegment();
+      prune();
+    }
+    if (fd == null) openSegment();
+  }
+
+  /** One line per record; `timestamp` is set when missing so the TTL applies to every record */
+  function append(record) {
+    if (closed) return;
+    const rec = record.timestamp ? record : { ...record, timestamp: now() };
+    try {
+      rotateIfDue();
+      const line = `${JSON.stringify(rec, (_, v) => (typeof v === 'bigint' ? v.toString() : v))}\n`;
+      fs.writeSync(fd, line);          // one write per line: tailers never see half a record followed by another
+      segBytes += Buffer.byteLength(line);
+    } catch (e) {
+      console.error(`[journal] ${name} append failed:`, e?.message || e);
+      closeSegment();
+    }
+    current.set(keyOf(rec), rec);
+    dirty = true;
+  }
+
+  /** Live records, best first */
+  function currentRecords() {
+    return [...current.values()].filter((rec) => fresh(rec) && keep(rec)).sort((a, b) => (b.estProfitUSD ?? 0) - (a.estProfitUSD ?? 0));
+  }
+
+  /** Drop expired records and rewrite the view when anything changed */
+  function compact() {
+    for (const [k, rec] of current) if (!fresh(rec)) { current.delete(k); dirty = true; }
+    if (!dirty || !view) return;
+    writeJsonAtomic(view, currentRecords());
+    dirty = false;
+  }
+
+  function close() {
+    if (closed) return;
+    compact();
+    closed = true;
+    clearInterval(timer);
+    closeSegment();
+  }
+
+  // Restart: whatever is still inside the TTL comes back from the newest segments
+  for (const f of listSegments(dir, name).reverse()) {
+    const file = path.join(dir, f);
+    if (now() - fs.statSync(file).mtimeMs > ttlMs) break;
+    for (const rec of parseLines(wholeLines(readFrom(file, 0)).lines)) {
+      if (!fresh(rec)) continue;
+      const k = keyOf(rec);
+      if (!current.has(k) || Number(current.get(k).timestamp) < Number(rec.timestamp)) current.set(k, rec);
+    }
+  }
+
+  const timer = setInterval(compact, compactMs);
+  timer.unref?.();
+  compact();
+
+  return { name, ttlMs, append, compact, current: currentRecords, close };
+}
+
+/* ----------------------------
+   Reader
+---------------------------- */
+/**
+ * Records appended to journal `name` since `cursor` ({ segment, offset }; null = the oldest retained segment), and the
+ * cursor to pass next time. Only complete lines are consumed, so reading while the writer appends is safe.
+ */
+export function tailJournal(name, cursor = null, { dir = JOURNAL_DIR } = {}) {
+  const segments = listSegments(dir, name);
+  let i = cursor ? segments.findIndex((f) => f >= cursor.segment) : 0;
+  if (i < 0) return { records: [], cursor };
+  const records = [];
+  let next = cursor;
+  for (; i < segments.length; i++) {
+    const segment = segments[i];
+    const offset = cursor && segment === cursor.segment ? cursor.offset : 0;
+    const { lines, bytes } = wholeLines(readFrom(path.join(dir, segment), offset));
+    records.push(...parseLines(lines));
+    next = { segment, offset: offset + bytes };
+  }
+  return { records, cursor: next };
+}
+
+export default { JOURNAL_DIR, createJournal, tailJournal };
@@ -0,0 +1,142 @@
+// opptracker.js — opportunity lifecycle over an oppjournal.js journal: open -> updated -> closed, one identity per opportunity
+// An identity is the pool set, the direction and the route (see directId / cycleOppId). Re-finding a live opportunity updates it
+// instead of logging a duplicate; re-evaluating its pools without finding it closes it; going unseen for the TTL expires it.
+const lower = (x) => String(x || '').toLowerCase();
+const poolKey = (pool) => lower(pool?.viewKey || pool?.pairAddr);
+
+/* ----------------------------
+   Identities
+---------------------------- */
+/** Direct A/B on the (base, quote) pair: buy on the cheaper pool, sell on the dearer one */
+export function directId(A, B, base, quote, q) {
+  const [buy, sell] = q.priceA <= q.priceB ? [A, B] : [B, A];
+  return `direct:${lower(base)}|${lower(quote)}:${poolKey(buy)}>${poolKey(sell)}`;
+}
+
+/** Indexed cycle (cycleindex.js id = its undirected pool ring) traded along `tokens` */
+export const cycleOppId = (cycle) => `cycle:${lower(cycle.id)}:${cycle.tokens.map(lower).join('>')}`;
+
+/* ----------------------------
+   Tracker
+---------------------------- */
+/**
+ * Tracker appending every state change to `journal` (createJournal keyed by record id), and handing it to onRecord
+ * when given. observe() takes a confirmed record with `id` and `blockNumber`; settle() closes what a re-evaluation of
+ * a pool no longer found. Opportunities still open in the journal (within its TTL) are picked up again on creation.
+ */
+export function createOpportunityTracker(journal, { ttlMs = journal.ttlMs, sweepMs = Math.min(ttlMs, 5000), onRecord = null } = {}) {
+  const open = new Map();            // id -> newest record
+  const byPool = new Map();          // pool address -> Set(id)
+  const journaledAt = new Map();     // id -> when its last record was appended
+  const heartbeatMs = (journal.ttlMs ?? ttlMs) / 2;
+
+  function write(rec) {
+    journal.append(rec);
+    try { onRecord?.(rec); }
+    catch (e) { console.error(`[opptracker] ${journal.name} record hook failed:`, e?.message || e); }
+  }
+
+  const membersOf = (rec) => (rec.members || []).map(lower);
+
+  function track(rec) {
+    open.set(rec.id, rec);
+    for (const addr of membersOf(rec)) {
+      if (!byPool.has(addr)) byPool.set(addr, new Set());
+      byPool.get(addr).add(rec.id);
+    }
+  }
+
+  function untrack(rec) {
+    open.delete(rec.id);
+    journaledAt.delete(rec.id);
+    for (const addr of membersOf(rec)) {
+      const ids = byPool.get(addr);
+      ids?.delete(rec.id);
+      if (ids && !ids.size) byPool.delete(addr);
+    }
+  }
+
+  /** A confirmed opportunity; `members` are the pool addresses whose re-evaluation can close it. Returns the record written */
+  function observe(record, { members }) {
+    const now = Date.now();
+    const block = Number(record.blockNumber) || 0;
+    const prev = open.get(record.id);
+    if (!prev) {
+      const rec = {
+        ...record, members, state: 'open',
+        firstSeenBlock: block, lastSeenBlock: block, firstSeenAt: now, lastSeenAt: now,
+        peakEdge: record.edge, peakProfitUSD: record.estProfitUSD, updates: 0, durationMs: 0, durationBlocks: 0,
+        timestamp: now,
+      };
+      track(rec);
+      write(rec);
+      journaledAt.set(rec.id, now);
+      return rec;
+    }
+    const changed = block !== prev.lastSeenBlock || record.edge !== prev.edge || record.estProfitUSD !== prev.estProfitUSD;
+    const rec = {
+      ...record, members, state: changed ? 'updated' : prev.state,
+      firstSeenBlock: prev.firstSeenBlock, lastSeenBlock: Math.max(prev.lastSeenBlock, block),
+      firstSeenAt: prev.firstSeenAt, lastSeenAt: now,
+      peakEdge: Math.max(prev.peakEdge ?? -Infinity, record.edge ?? -Infinity),
+      peakProfitUSD: Math.max(prev.peakProfitUSD ?? -Infinity, record.estProfitUSD ?? -Infinity),
+      updates: prev.updates + (changed ? 1 : 0),
+      durationMs: now - prev.firstSeenAt, durationBlocks: Math.max(prev.lastSeenBlock, block) - prev.firstSeenBlock,
+      timestamp: now,
+    };
+    open.set(rec.id, rec);
+    // Same block, same numbers: nothing new to journal, only the liveness stamp moves. A heartbeat every half
+    // journal TTL keeps a long-lived opportunity inside the journal's view.
+    if (changed || now - (journaledAt.get(rec.id) ?? 0) >= heartbeatMs) {
+      write(rec);
+      journaledAt.set(rec.id, now);
+    }
+    return rec;
+  }
+
+  function closeOpp(rec, block, reason) {
+    const now = Date.now();
+    untrack(rec);
+    const last = Math.max(rec.lastSeenBlock, Number(block) || rec.lastSeenBlock);
+    write({
+      ...rec, state: 'closed', closeReason: reason, closedBlock: last, closedAt: now,
+      durationMs: now - rec.firstSeenAt, durationBlocks: last - rec.firstSeenBlock, timestamp: now,
+    });
+  }
+
+  /** Close every open opportunity through pool `addr` that this pass (ids in `seen`) did not find again */
+  function settle(addr, seen, { block, reason = 'gone' } = {}) {
+    let closed = 0;
+    for (const id of [...(byPool.get(lower(addr)) || [])]) {
+      if (seen.has(id)) continue;
+      closeOpp(open.get(id), block, reason);
+      closed++;
+    }
+    return closed;
+  }
+
+  /** Close whatever went unseen for the TTL (its pools stopped being evaluated) */
+  function expire() {
+    const cutoff = Date.now() - ttlMs;
+    for (const rec of [...open.values()]) if (rec.lastSeenAt < cutoff) closeOpp(rec, rec.lastSeenBlock, 'expired');
+  }
+
+  for (const rec of journal.current()) {
+    if (!rec.id || rec.state === 'closed') continue;
+    track({ ...rec, lastSeenAt: rec.lastSeenAt ?? rec.timestamp });
+    journaledAt.set(rec.id, rec.timestamp);
+  }
+
+  const timer = setInterval(expire, sweepMs);
+  timer.unref?.();
+
+  return {
+    observe, settle, expire,
+    /** Live open opportunities, best first */
+    open: () => [...open.values()].sort((a, b) => (b.estProfitUSD ?? 0) - (a.estProfitUSD ?? 0)),
+    stats: () => ({ open: open.size }),
+    close: () => clearInterval(timer),
+  };
+}
+
+export default { directId, cycleOppId, createOpportunityTracker };
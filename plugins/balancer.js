@@ -0,0 +1,211 @@
+// plugins/balancer.js — Balancer V2 Vault pools: PoolRegistered discovery, weighted/stable models, one pair view per token pair
+// A Vault Swap re-reads the whole pool at the poll's snapshot and refreshes every view of it. Math lives in balancermath.js.
+import { ethers } from 'ethers';
+import { balOutGivenIn, balSpotRate } from '../balancermath.js';
+import { feeOf } from '../tradesizer.js';
+
+export const BAL_DEX = 'balancer-vault';
+
+const BAL_TOPIC_POOL_REGISTERED = ethers.id('PoolRegistered(bytes32,address,uint8)');
+const BAL_TOPIC_SWAP            = ethers.id('Swap(bytes32,address,address,uint256,uint256)');
+
+const BAL_VAULT_ABI = [
+  'function getPoolTokens(bytes32 poolId) view returns (address[] tokens, uint256[] balances, uint256 lastChangeBlock)'
+];
+const BAL_POOL_ABI = [
+  'function getSwapFeePercentage() view returns (uint256)',
+  'function getNormalizedWeights() view returns (uint256[])',
+  'function getAmplificationParameter() view returns (uint256 value, bool isUpdating, uint256 precision)',
+  'function getScalingFactors() view returns (uint256[])'
+];
+
+const isAddr = (a) => typeof a === 'string' && /^0x[0-9a-fA-F]{40}$/.test(a);
+const normPoolId = (poolId) => (poolId ? String(poolId).toLowerCase() : '');
+const same = (a, b) => (a || '').toLowerCase() === (b || '').toLowerCase();
+
+/** State of the (token0, token1) view from a pool read: that pair's balances as reserves plus the whole-pool model */
+function balViewState(info, token0, token1) {
+  const i = info.tokens.indexOf(token0.toLowerCase()), j = info.tokens.indexOf(token1.toLowerCase());
+  if (i < 0 || j < 0) return null;
+  return {
+    reserve0: info.balances[i],
+    reserve1: info.balances[j],
+    bal: { type: info.type, tokens: info.tokens, balances: info.balances.map(Number), weights: info.weights, amp: info.amp, scales: info.scales },
+    ...(info.feeBps != null && { feeBps: info.feeBps }),
+    ...(info.blockNumber != null && { blockNumber: info.blockNumber }),
+  };
+}
+
+/** One pool object per token pair; views of a pool share pairAddr/poolId and differ by viewKey */
+function balPairViews(info) {
+  const views = [];
+  for (let i = 0; i < info.tokens.length; i++) {
+    for (let j = i + 1; j < info.tokens.length; j++) {
+      views.push({
+        dex: BAL_DEX, __kind: 'bal',
+        pairAddr: info.pairAddr,
+        viewKey: `${info.pairAddr}:${i}-${j}`,
+        poolId: info.poolId,
+        vault: info.vault,
+        token0: info.tokens[i],
+        token1: info.tokens[j],
+        ...balViewState(info, info.tokens[i], info.tokens[j]),
+      });
+    }
+  }
+  return views;
+}
+
+export default function createBalancerAdapter(ctx) {
+  const vaultAddr = ctx.balancerVault;
+  const viewsByAddr = new Map();        // pool address -> its pair views
+  const addrByPoolId = new Map();
+  // Pool math by address: 'weighted' | 'stable' | 'unsupported' (LBPs, linear and managed pools are skipped)
+  const poolType = new Map();
+
+  /** PoolRegistered logs within the discovery window, de-duplicated by poolId */
+  async function registeredPools(snap) {
+    const out = new Map();
+    for (const [start, end] of ctx.discoverRanges(snap.blockNumber)) {
+      let logs = [];
+      try { logs = await ctx.getLogs({ address: vaultAddr, topics: [BAL_TOPIC_POOL_REGISTERED], fromBlock: start, toBlock: end }); }
+      catch (e) {
+        console.warn(`Balancer discover getLogs failed [${start}-${end}] (${e?.message || e})`);
+        continue;
+      }
+      for (const log of logs) {
+        // PoolRegistered(bytes32 indexed poolId, address indexed poolAddress, uint8 specialization)
+        const poolId = normPoolId(log.topics?.[1]);
+        const poolAddress = `0x${String(log.topics?.[2] || '').slice(-40)}`.toLowerCase();
+        if (poolId && isAddr(poolAddress) && !out.has(poolId)) out.set(poolId, { poolId, poolAddress });
+      }
+    }
+    return [...out.values()];
+  }
+
+  /** Weights (weighted) or amp (stable) plus scaling factors; null for pool types balancermath.js doesn't model */
+  async function poolModel(poolAddress, snap) {
+    const key = poolAddress.toLowerCase();
+    const known = poolType.get(key);
+    if (known === 'unsupported') return null;
+    const scalesP = snap.read(poolAddress, BAL_POOL_ABI, 'getScalingFactors').catch(() => null);
+    let reverted = true;
+    if (known !== 'stable') {
+      try {
+        const weights = await snap.read(poolAddress, BAL_POOL_ABI, 'getNormalizedWeights');
+        poolType.set(key, 'weighted');
+        return { type: 'weighted', weights: weights.map((w) => Number(w) / 1e18), scales: await scalesP };
+      } catch (e) {
+        if (known === 'weighted') throw e;
+        reverted &&= e?.code === 'CALL_EXCEPTION';
+      }
+    }
+    try {
+      const [value, , precision] = await snap.read(poolAddress, BAL_POOL_ABI, 'getAmplificationParameter');
+      poolType.set(key, 'stable');
+      return { type: 'stable', amp: Number(value) / Number(precision || 1n), scales: await scalesP };
+    } catch (e) {
+      if (known === 'stable') throw e;
+      reverted &&= e?.code === 'CALL_EXCEPTION';
+    }
+    // Written off only when both reads reverted; an RPC failure gets another try on the next read
+    if (reverted) poolType.set(key, 'unsupported');
+    return null;
+  }
+
+  /** Whole-pool state from the Vault and the pool contract; the pool's own BPT (composable stable pools) is left out */
+  async function poolInfo(poolId, poolAddress, snap) {
+    try {
+      const addr = poolAddress.toLowerCase();
+      const [{ tokens, balances }, swapFee, model] = await Promise.all([
+        snap.read(vaultAddr, BAL_VAULT_ABI, 'getPoolTokens', poolId),
+        snap.read(poolAddress, BAL_POOL_ABI, 'getSwapFeePercentage').catch(() => null), // 1e18 = 100%
+        poolModel(poolAddress, snap),
+      ]);
+      if (!model || !Array.isArray(tokens)) return null;
+      const keep = tokens.map((_, k) => k).filter((k) => isAddr(tokens[k]) && tokens[k].toLowerCase() !== addr);
+      if (keep.length < 2) return null;
+      // Scaling factor = 10^(18 - decimals) × token rate, as a plain multiplier
+      const scales = model.scales
+        ? keep.map((k) => Number(model.scales[k]) / 1e18)
+        : await Promise.all(keep.map(async (k) => 10 ** (18 - await ctx.getDecimals(tokens[k]))));
+      return {
+        pairAddr: addr,
+        poolId: normPoolId(poolId),
+        vault: vaultAddr.toLowerCase(),
+        type: model.type,
+        tokens: keep.map((k) => tokens[k].toLowerCase()),
+        balances: keep.map((k) => balances[k]),
+        weights: model.weights ? keep.map((k) => model.weights[k]) : null,
+        amp: model.amp ?? null,
+        scales,
+        ...(swapFee != null && { feeBps: Number(swapFee) / 1e14 }),
+        blockNumber: snap.blockNumber
+      };
+    } catch (e) {
+      console.warn('Balancer pool read error:', e?.message || e);
+      return null;
+    }
+  }
+
+  return {
+    name: 'balancer',
+    label: 'Balancer',
+    kinds: ['bal'],
+    eventTopics: [BAL_TOPIC_SWAP],
+
+    async discover(snap) {
+      if (!vaultAddr) return [];
+      const registered = await registeredPools(snap);
+      const infos = await Promise.all(registered.map(({ poolId, poolAddress }) => poolInfo(poolId, poolAddress, snap)));
+      return infos.filter(Boolean).flatMap(balPairViews);
+    },
+
+    // Every Balancer swap is logged by the Vault; the poolId topic says which pool moved
+    watch(pools) {
+      viewsByAddr.clear();
+      addrByPoolId.clear();
+      for (const p of pools) {
+        if (!viewsByAddr.has(p.pairAddr)) viewsByAddr.set(p.pairAddr, []);
+        viewsByAddr.get(p.pairAddr).push(p);
+        if (p.poolId) addrByPoolId.set(normPoolId(p.poolId), p.pairAddr);
+      }
+      return vaultAddr && viewsByAddr.size ? [vaultAddr] : [];
+    },
+
+    decodeEvent(log) {
+      const poolId = normPoolId(log.topics?.[1]);
+      const views = viewsByAddr.get(addrByPoolId.get(poolId));
+      return views?.length ? { pools: views, evaluate: true, poolId } : null;
+    },
+
+    // Balances (and weights/amp) at the poll's snapshot block, for every view of the pool
+    async refresh({ pools, poolId }, log, snap) {
+      const info = await poolInfo(poolId, pools[0].pairAddr, snap);
+      for (const view of pools) {
+        const state = info && balViewState(info, view.token0, view.token1);
+        // A token of this pair left the pool (or only the BPT is left of it): the view is gone for good
+        if (info && !state) ctx.dropPool?.(view, 'pair no longer in the pool');
+        else ctx.applyPoolState(view, state);
+      }
+    },
+
+    async readState(read, pool) {
+      const { tokens, balances } = await read(pool.vault, BAL_VAULT_ABI, 'getPoolTokens', pool.poolId);
+      if (!pool.bal) return { reserve0: balances[0], reserve1: balances[1] };
+      // Balances only; weights/amp/scaling factors keep the last full read
+      const byToken = new Map(tokens.map((t, k) => [t.toLowerCase(), balances[k]]));
+      const state = balViewState({ ...pool.bal, balances: pool.bal.tokens.map((t) => byToken.get(t) ?? 0n) }, pool.token0, pool.token1);
+      if (!state) {
+        ctx.dropPool?.(pool, 'pair no longer in the pool');
+        throw new Error(`balancer pool ${pool.pairAddr} no longer holds ${pool.token0}/${pool.token1}`);
+      }
+      return state;
+    },
+
+    spotPrice: (pool) => balSpotRate(pool, pool.token1, pool.token0) * 10 ** ((pool.decimals1 ?? 18) - (pool.decimals0 ?? 18)),
+
+    quote: (pool, tokenIn, amountIn) =>
+      balOutGivenIn(pool, tokenIn, same(tokenIn, pool.token0) ? pool.token1 : pool.token0, amountIn, 1 - feeOf(pool)),
+  };
+}
@@ -0,0 +1,76 @@
+// plugins/curve.js — Curve StableSwap pools through curvepools.js (discovery, reads, pair views) and curvemath.js (pricing)
+// An exchange on a pool re-reads it and, on a base pool, every meta pool priced through it.
+import { feeOf } from '../tradesizer.js';
+import { curveOutGivenIn, curveSpotRate } from '../curvemath.js';
+import {
+  CURVE_DEX, TOKEN_EXCHANGE_TOPIC, TOKEN_EXCHANGE_UNDERLYING_TOPIC,
+  discoverCurvePools, readCurvePool, curveViewState, curvePairViews,
+} from '../curvepools.js';
+
+const same = (a, b) => (a || '').toLowerCase() === (b || '').toLowerCase();
+
+export default function createCurveAdapter(ctx) {
+  const viewsByAddr = new Map();        // pool address -> its pair views
+  const metasByBase = new Map();        // base pool address -> meta pools that trade through it
+
+  return {
+    name: 'curve',
+    label: 'Curve',
+    kinds: ['curve'],
+    eventTopics: [TOKEN_EXCHANGE_TOPIC, TOKEN_EXCHANGE_UNDERLYING_TOPIC],
+
+    // Registry + stable factory, when the profile routes Curve
+    async discover(snap) {
+      if (!ctx.dexToRouter(CURVE_DEX)) return [];
+      const descs = await discoverCurvePools(snap.read);
+      const states = await Promise.all(descs.map((d) => readCurvePool(snap.read, d, ctx.getDecimals).catch(() => null)));
+      const views = descs.flatMap((desc, i) => (states[i] ? curvePairViews(desc, states[i]) : []))
+        .map((view) => ({ ...view, blockNumber: snap.blockNumber }));
+      console.log(`[curve] 🌊 ${descs.length} StableSwap pools -> ${views.length} pair views`);
+      return views;
+    },
+
+    watch(pools) {
+      viewsByAddr.clear();
+      metasByBase.clear();
+      for (const p of pools) {
+        if (!p.curveDesc) continue;
+        if (!viewsByAddr.has(p.pairAddr)) viewsByAddr.set(p.pairAddr, []);
+        viewsByAddr.get(p.pairAddr).push(p);
+        const base = p.curveDesc.base;
+        if (!base) continue;
+        if (!metasByBase.has(base)) metasByBase.set(base, []);
+        if (!metasByBase.get(base).includes(p.pairAddr)) metasByBase.get(base).push(p.pairAddr);
+      }
+      return [...new Set([...viewsByAddr.keys(), ...metasByBase.keys()])];
+    },
+
+    decodeEvent(log) {
+      const addr = (log.address || '').toLowerCase();
+      const touched = [...(viewsByAddr.has(addr) ? [addr] : []), ...(metasByBase.get(addr) || [])];
+      return touched.length ? { pools: touched.flatMap((a) => viewsByAddr.get(a)), evaluate: true, touched } : null;
+    },
+
+    async refresh({ touched }, log, snap) {
+      await Promise.all(touched.map(async (addr) => {
+        const views = viewsByAddr.get(addr);
+        try {
+          const state = await readCurvePool(snap.read, views[0].curveDesc, ctx.getDecimals);
+          for (const view of views) {
+            ctx.applyPoolState(view, { ...curveViewState(state, view.coinIndex0, view.coinIndex1), blockNumber: snap.blockNumber });
+          }
+        } catch (e) {
+          console.warn(`[curve] ${addr}@${snap.blockNumber} re-read failed: ${e?.message || e}`);
+        }
+      }));
+    },
+
+    readState: async (read, pool) =>
+      curveViewState(await readCurvePool(read, pool.curveDesc, ctx.getDecimals), pool.coinIndex0, pool.coinIndex1),
+
+    spotPrice: (pool) => curveSpotRate(pool, pool.token1, pool.token0) * 10 ** ((pool.decimals1 ?? 18) - (pool.decimals0 ?? 18)),
+
+    quote: (pool, tokenIn, amountIn) =>
+      curveOutGivenIn(pool, tokenIn, same(tokenIn, pool.token0) ? pool.token1 : pool.token0, amountIn, 1 - feeOf(pool)),
+  };
+}
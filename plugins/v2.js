@@ -0,0 +1,73 @@
+// plugins/v2.js — Uniswap V2-style pairs: profile-factory discovery, reserves from Sync logs, constant-product pricing
+import { ethers } from 'ethers';
+import { constantProductOut } from '../tradesizer.js';
+
+// Swap(address,address,uint256,uint256,uint256,uint256)
+export const SWAP_TOPIC_V2 = '0xd78ad95fa46c994b6551d0da85fc275fe613dacf8b9baed548f383ad7bc38c5f';
+// Sync(uint112 reserve0, uint112 reserve1) — emitted right before Swap/Mint/Burn with the new reserves
+export const SYNC_TOPIC_V2 = ethers.id('Sync(uint112,uint112)');
+
+const PAIR_ABI = ['function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'];
+
+const dataWord = (data, i) => BigInt(`0x${data.slice(2 + 64 * i, 66 + 64 * i)}`);
+const units = (raw, decimals) => Number(raw) / 10 ** Number(decimals ?? 18);
+
+export default function createV2Adapter(ctx) {
+  const byAddr = new Map();
+
+  /** Sync(reserve0, reserve1): exact reserves after the Swap/Mint/Burn that follows it */
+  function applySync(pool, log) {
+    const data = String(log.data || '');
+    if (data.length < 2 + 64 * 2) return;
+    const at = ctx.claimLog(pool, log);
+    if (!at) return;
+    pool.reserve0 = dataWord(data, 0);
+    pool.reserve1 = dataWord(data, 1);
+    ctx.markApplied(pool, at);
+  }
+
+  return {
+    name: 'v2',
+    label: 'V2',
+    kinds: ['v2'],
+    eventTopics: [SYNC_TOPIC_V2, SWAP_TOPIC_V2],
+
+    discover: async (snap) => (await ctx.factoryPools(snap)).filter((p) => p.__kind === 'v2'),
+
+    watch(pools) {
+      byAddr.clear();
+      for (const p of pools) byAddr.set(p.pairAddr.toLowerCase(), p);
+      return [...byAddr.keys()];
+    },
+
+    decodeEvent(log) {
+      const pool = byAddr.get((log.address || '').toLowerCase());
+      return pool ? { pools: [pool], evaluate: log.topics?.[0] === SWAP_TOPIC_V2 } : null;
+    },
+
+    // Applied on arrival so queued Swaps see reserves at least as new as their own
+    applyEvent({ pools: [pool] }, log) {
+      if (log.topics?.[0] === SYNC_TOPIC_V2) applySync(pool, log);
+    },
+
+    async refresh({ pools: [pool] }, log, snap) {
+      // The Sync right before this Swap (or a later one) already set the reserves; RPC only for gaps/reorgs
+      if (pool.eventStale || !ctx.stateCovers(pool, Number(log.blockNumber), ctx.logIndexOf(log) - 1)) {
+        ctx.applyPoolState(pool, await ctx.withRetry(() => ctx.getPairInfoV2(pool.pairAddr, snap)));
+        pool.eventStale = false;
+      }
+    },
+
+    async readState(read, pool) {
+      const r = await read(pool.pairAddr, PAIR_ABI, 'getReserves');
+      return { reserve0: r[0], reserve1: r[1] };
+    },
+
+    spotPrice(pool) {
+      const r0 = units(pool.reserve0, pool.decimals0), r1 = units(pool.reserve1, pool.decimals1);
+      return r0 > 0 && r1 > 0 ? r0 / r1 : 0;
+    },
+
+    quote: constantProductOut,
+  };
+}
@@ -0,0 +1,145 @@
+// plugins/v3.js — concentrated-liquidity pools (Uniswap V3, Algebra, KyberSwap Elastic): state from Swap/Mint/Burn logs,
+// sqrtPriceX96 pricing and swap quotes that cross ticks once v3quoter.js holds them
+import { ethers } from 'ethers';
+import { feeOf } from '../tradesizer.js';
+import { hasTicks, quoteExactInput, noteLiquidity, dropTicks } from '../v3quoter.js';
+import { BURN_RTOKENS_TOPIC, elasticActiveLiquidity } from '../kyberelastic.js';
+
+// Swap(address sender, address recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)
+export const SWAP_TOPIC_V3 = ethers.id('Swap(address,address,int256,int256,uint160,uint128,int24)');
+// Liquidity changes (same shape on Algebra): Mint(sender, owner, tickLower, tickUpper, amount, amount0, amount1), Burn(owner, tickLower, tickUpper, amount, amount0, amount1)
+const MINT_TOPIC_V3 = ethers.id('Mint(address,address,int24,int24,uint128,uint256,uint256)');
+const BURN_TOPIC_V3 = ethers.id('Burn(address,int24,int24,uint128,uint256,uint256)');
+// Algebra dynamic fee update Fee(uint16 fee), hundredths of a bip
+const FEE_TOPIC_ALGEBRA = ethers.id('Fee(uint16)');
+
+// Uniswap V3 fee tier (hundredths of a bip) -> tick spacing when the pool doesn't carry tickSpacing; anything else uses 60
+const TICK_SPACING = { 100: 1, 500: 10, 2500: 50, 3000: 60, 10000: 200 };
+
+const dataWord = (data, i) => BigInt(`0x${data.slice(2 + 64 * i, 66 + 64 * i)}`);
+const topicInt24 = (topic) => Number(BigInt.asIntN(24, BigInt(topic)));
+const toNum = (x) => { const n = Number(x); return Number.isFinite(n) ? n : 0; };
+const same = (a, b) => (a || '').toLowerCase() === (b || '').toLowerCase();
+
+/**
+ * Swap inside the current tick-spacing bucket, for pools without cached ticks. Liquidity beyond
+ * the bucket edge is unknown, so input past the edge buys nothing (a conservative, still concave quote).
+ */
+function bucketOut(pool, zeroForOne, gamma, amountIn) {
+  const L = toNum(pool.liquidity);
+  const sqrtP = toNum(pool.sqrtPriceX96) / 2 ** 96;
+  const x = amountIn * gamma;
+  if (!(L > 0 && sqrtP > 0 && x > 0)) return 0;
+  const spacing = toNum(pool.tickSpacing) > 0 ? toNum(pool.tickSpacing) : TICK_SPACING[Math.round(toNum(pool.feeBps) * 100)] || 60;
+  const tick = Number.isFinite(Number(pool.tick)) ? Number(pool.tick) : Math.floor(Math.log(sqrtP * sqrtP) / Math.log(1.0001));
+  const lower = Math.floor(tick / spacing) * spacing;
+  if (zeroForOne) {
+    const sqrtEdge = Math.sqrt(1.0001 ** lower);
+    const used = Math.min(x, Math.max(0, L * (1 / sqrtEdge - 1 / sqrtP)));
+    const sqrtNext = (L * sqrtP) / (L + used * sqrtP);
+    return L * (sqrtP - sqrtNext);
+  }
+  const sqrtEdge = Math.sqrt(1.0001 ** (lower + spacing));
+  const used = Math.min(x, Math.max(0, L * (sqrtEdge - sqrtP)));
+  const sqrtNext = sqrtP + used / L;
+  return L * (1 / sqrtP - 1 / sqrtNext);
+}
+
+export default function createV3Adapter(ctx) {
+  const byAddr = new Map();
+
+  /** Swap (price, tick, active liquidity), Mint/Burn inside the active range, Algebra Fee, Elastic BurnRTokens */
+  function applyLog(pool, log) {
+    const topic = log.topics?.[0];
+    const data = String(log.data || '');
+    if (topic === SWAP_TOPIC_V3) {
+      if (data.length < 2 + 64 * 5) return;
+      const at = ctx.claimLog(pool, log);
+      if (!at) return;
+      // Elastic pools (reinvestL set) report baseL here
+      const L = pool.reinvestL != null ? elasticActiveLiquidity(pool, dataWord(data, 3)) : dataWord(data, 3);
+      Object.assign(pool, ctx.v3State([dataWord(data, 2), BigInt.asIntN(24, dataWord(data, 4))], L));
+      ctx.markApplied(pool, at);
+    } else if (topic === MINT_TOPIC_V3 || topic === BURN_TOPIC_V3) {
+      if (data.length < 2 + 64 * 3 || log.topics.length < 4) return;
+      const at = ctx.claimLog(pool, log);
+      if (!at) return;
+      const lower = topicInt24(log.topics[2]), upper = topicInt24(log.topics[3]);
+      const amount = dataWord(data, topic === MINT_TOPIC_V3 ? 1 : 0);
+      // Cached ticks (v3quoter.js) follow the position change too; Elastic pools have none
+      if (pool.reinvestL == null) noteLiquidity(pool.pairAddr, lower, upper, topic === MINT_TOPIC_V3 ? amount : -amount, Number(log.blockNumber));
+      const tick = Number(pool.tick);
+      if (pool.sqrtPriceX96 != null && lower <= tick && tick < upper) {
+        const L = BigInt(pool.liquidity ?? 0n) + (topic === MINT_TOPIC_V3 ? amount : -amount);
+        Object.assign(pool, ctx.v3State([pool.sqrtPriceX96, tick], L > 0n ? L : 0n));
+      }
+      ctx.markApplied(pool, at);
+    } else if (topic === FEE_TOPIC_ALGEBRA) {
+      if (data.length < 2 + 64) return;
+      const at = ctx.claimLog(pool, log);
+      if (!at) return;
+      pool.feeBps = Number(dataWord(data, 0)) / 100;
+      ctx.markApplied(pool, at);
+    } else if (topic === BURN_RTOKENS_TOPIC) {
+      if (data.length < 2 + 64 || pool.reinvestL == null || pool.sqrtPriceX96 == null) return;
+      const at = ctx.claimLog(pool, log);
+      if (!at) return;
+      const qty = dataWord(data, 0);
+      const reinvestL = BigInt(pool.reinvestL) > qty ? BigInt(pool.reinvestL) - qty : 0n;
+      const L = BigInt(pool.liquidity ?? 0n) - (BigInt(pool.reinvestL) - reinvestL);
+      Object.assign(pool, ctx.v3State([pool.sqrtPriceX96, pool.tick], L > 0n ? L : 0n), { reinvestL });
+      ctx.markApplied(pool, at);
+    }
+  }
+
+  return {
+    name: 'v3',
+    label: 'V3',
+    kinds: ['v3'],
+    eventTopics: [SWAP_TOPIC_V3, MINT_TOPIC_V3, BURN_TOPIC_V3, FEE_TOPIC_ALGEBRA, BURN_RTOKENS_TOPIC],
+
+    discover: async (snap) => (await ctx.factoryPools(snap)).filter((p) => p.__kind === 'v3'),
+
+    watch(pools) {
+      byAddr.clear();
+      for (const p of pools) byAddr.set(p.pairAddr.toLowerCase(), p);
+      return [...byAddr.keys()];
+    },
+
+    decodeEvent(log) {
+      const pool = byAddr.get((log.address || '').toLowerCase());
+      return pool ? { pools: [pool], evaluate: log.topics?.[0] === SWAP_TOPIC_V3 } : null;
+    },
+
+    applyEvent({ pools: [pool] }, log) {
+      applyLog(pool, log);
+    },
+
+    async refresh({ pools: [pool] }, log, snap) {
+      // applyEvent already took this Swap's price/tick/liquidity; RPC only for gaps/reorgs
+      if (pool.eventStale) dropTicks(pool.pairAddr);     // a reorged Mint/Burn may be in the tick cache
+      if (pool.eventStale || !ctx.stateCovers(pool, Number(log.blockNumber), ctx.logIndexOf(log))) {
+        ctx.applyPoolState(pool, await ctx.withRetry(() => ctx.getPoolInfoV3(pool.pairAddr, snap)));
+        pool.eventStale = false;
+      }
+    },
+
+    readState: (read, pool) => ctx.readV3State(read, pool.pairAddr),
+
+    // sqrtPriceX96² is raw token1 per raw token0
+    spotPrice(pool) {
+      const sqrtP = toNum(pool.sqrtPriceX96) / 2 ** 96;
+      const raw1Per0 = sqrtP * sqrtP;
+      return raw1Per0 > 0 ? 10 ** ((pool.decimals1 ?? 18) - (pool.decimals0 ?? 18)) / raw1Per0 : 0;
+    },
+
+    quote(pool, tokenIn, amountIn) {
+      const zeroForOne = same(tokenIn, pool.token0);
+      // Tick-exact once v3quoter.js holds the pool's ticks; otherwise the single-bucket estimate
+      if (hasTicks(pool) && Number.isFinite(amountIn) && amountIn >= 1) {
+        return Number(quoteExactInput(pool, zeroForOne, BigInt(Math.floor(amountIn)))?.amountOut ?? 0n);
+      }
+      return bucketOut(pool, zeroForOne, 1 - feeOf(pool), amountIn);
+    },
+  };
+}
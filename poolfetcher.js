@@ -1,7 +1,8 @@
-// poolfetcher.js — factory-less (dataprovider.js + routers.json + dexconfig.json)
-// ethers v6, HTTP polling (no websockets), with Balancer Vault discovery + Swap poller.
-// Optional Multicall3 helper (ethers v6) included but non-invasive.
-// Logic order unchanged: discover -> liquidity filter -> index -> pollers -> offline arbs -> write JSON.
+// poolfetcher.js — factory-driven discovery into poolregistry.js (dataprovider.js + the chain profile's factories/routers + dexconfig.json)
+// ethers v6, HTTP polling (or WS subscriptions via wsfeed.js when WS RPCs are configured). Each DEX style (V2, V3, Balancer, Curve, …)
+// is a plugins/ adapter (dexadapter.js) enabled from dexconfig.json; one generic poller and evaluator drives them all.
+// Adapters supply discovery, log topics, decoding, state reads and quotes; the poller, leg confirmation and evaluation are shared.
+// Logic order unchanged: discover -> liquidity filter -> index -> pollers -> offline arbs -> opportunity tracker (opptracker.js over oppjournal.js).
 
 import 'dotenv/config';
 // or, if you prefer the explicit method:
@@ -12,22 +13,48 @@ import { ethers } from 'ethers';
 import axios from 'axios';
 import fs from 'node:fs';
 import path from 'node:path';
-import { getReadProvider, getSafeReadProvider } from './dataprovider.js';
+import {
+  getReadProvider, quorumRead, getQuorumBlockNumber, createSnapshot, QUORUM_ENABLED,
+} from './dataprovider.js';
+import { withRpcPriority, PRIORITY } from './rpcscheduler.js';
+import { multicall, createCallBatcher } from './multicall.js';
+import { getSubscriptionFeed } from './wsfeed.js';
+import { ACTIVE_PROFILE } from './chainprofile.js';
+import { feeOf, sizeRoute } from './tradesizer.js';
+import { createArbGraph } from './arbgraph.js';
+import { createCycleIndex } from './cycleindex.js';
+import { loadPoolRegistry } from './poolregistry.js';
+import { loadWarmStart, saveWarmStart, WARM_START_FILE, WARM_START_SAVE_MS } from './warmstart.js';
+import { createJournal } from './oppjournal.js';
+import { createOpportunityTracker, directId, cycleOppId } from './opptracker.js';
+import { getStore } from './store.js';
+import { curveCoins } from './curvepools.js';
+import { loadTicks, dropTicks } from './v3quoter.js';
+import { isElasticDex, elasticFeeBps, readElasticState } from './kyberelastic.js';
+import { adapterFor, loadDexAdapters, configuredAdapterNames } from './dexadapter.js';
+import { SWAP_TOPIC_V2 } from './plugins/v2.js';
+import { SWAP_TOPIC_V3 } from './plugins/v3.js';
+
+// Raw Multicall3 helper, kept as a named export for existing callers
+export { multicall };
 
 // ===================== ENV / TUNABLES =====================
 const MIN_LIQUIDITY_USD = Number(process.env.MIN_LIQUIDITY_USD || 40_000);
 const MIN_PROFIT_USD    = Number(process.env.MIN_PROFIT_USD    || 40);
-const NOTIONAL_USD      = Number(process.env.NOTIONAL_USD      || 10_000);
-const ARB_THRESHOLD     = Number(process.env.ARB_THRESHOLD     || 0.01); // 1%
-
-
-const safeProvider = await getSafeReadProvider();
-
-const RPC_CONCURRENCY   = Math.max(1, Number(process.env.RPC_CONCURRENCY || '8'));
+const ARB_THRESHOLD     = Number(process.env.ARB_THRESHOLD     || 0.01); // 1%, net of swap fees
+const V2_FEE_BPS        = Number(process.env.V2_FEE_BPS        || 30);   // V2 forks without a feeBps in dexconfig.json
 
 // Discovery pass (logs, initial bootstrap)
 const DISCOVER_LOOKBACK_BLOCKS = Math.max(1000, Number(process.env.DISCOVER_LOOKBACK_BLOCKS || 5000));
 const DISCOVER_MAX_RANGE       = Math.max(256,  Number(process.env.DISCOVER_MAX_RANGE || 1500));
+const DISCOVER_INFO_BATCH      = Math.max(1,    Number(process.env.DISCOVER_INFO_BATCH || 250)); // pools fetched concurrently
+// Only load registry pools that swapped within DISCOVER_LOOKBACK_BLOCKS (lighter bootstrap, less coverage)
+const DISCOVER_ACTIVE_ONLY     = (process.env.DISCOVER_ACTIVE_ONLY || 'false').toLowerCase() === 'true';
+
+// Factory discovery (poolregistry.js keeps a cursor per factory, so these bound the first run)
+const FACTORY_LOOKBACK_BLOCKS = Math.max(1000, Number(process.env.FACTORY_LOOKBACK_BLOCKS || 200_000)); // PoolCreated scan without a cursor
+const FACTORY_FROM_BLOCK      = process.env.FACTORY_FROM_BLOCK ? Math.max(0, Number(process.env.FACTORY_FROM_BLOCK)) : null;
+const FACTORY_PAIRS_PER_RUN   = Math.max(100, Number(process.env.FACTORY_PAIRS_PER_RUN || 10_000));       // allPairs indices per V2 factory per run
 
 // Pollers + queues
 const POLL_MS         = Math.max(1000, Number(process.env.SWAP_POLL_MS || 4000));
@@ -38,24 +65,19 @@ const MAX_SEEN        = Math.max(10_000, Number(process.env.SWAP_MAX_SEEN || 100
 const MAX_QUEUE       = Math.max(5_000,  Number(process.env.SWAP_MAX_QUEUE || 50_000));
 
 // CoinGecko
-const CG_BASE    = 'https://api.coingecko.com/api/v3/simple/token_price/polygon-pos';
+const CG_BASE    = `https://api.coingecko.com/api/v3/simple/token_price/${ACTIVE_PROFILE.coingeckoPlatform}`;
 const CG_CHUNK   = Math.max(5, Number(process.env.CG_CHUNK || 50));
 const CG_TIMEOUT = Math.max(5000, Number(process.env.CG_TIMEOUT_MS || 15000));
 const CG_RETRY   = Math.max(1, Number(process.env.CG_RETRY || 3));
 
 // ===================== Topics (ethers v6 — compute via keccak) =====================
-// Uniswap V2 Swap(address,address,uint256,uint256,uint256,uint256)
-const SWAP_TOPIC_V2 = '0xd78ad95fa46c994b6551d0da85fc275fe613dacf8b9baed548f383ad7bc38c5f';
-// Uniswap V3 Swap(address sender, address recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)
-const SWAP_TOPIC_V3 = ethers.id('Swap(address,address,int256,int256,uint160,uint128,int24)');
-
-// Balancer Vault events
-const BAL_TOPIC_POOL_REGISTERED = ethers.id('PoolRegistered(bytes32,address,uint8)');
-const BAL_TOPIC_SWAP            = ethers.id('Swap(bytes32,address,address,uint256,uint256)');
+// Pool event topics live with their adapters in plugins/
+// Factory events: Uniswap V3 / Kyber Elastic PoolCreated(token0, token1, fee, tickSpacing, pool); Algebra Pool(token0, token1, pool)
+const POOL_CREATED_TOPIC_V3      = ethers.id('PoolCreated(address,address,uint24,int24,address)');
+const POOL_CREATED_TOPIC_ALGEBRA = ethers.id('Pool(address,address,address)');
 
 // ===================== ABIs =====================
 const DECIMALS_ABI = ['function decimals() view returns (uint8)'];
-const ERC20_ABI    = ['function balanceOf(address) view returns (uint256)'];
 
 const PAIR_ABI_V2  = [
   'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
@@ -65,64 +87,44 @@ const PAIR_ABI_V2  = [
 
 const POOL_ABI_V3  = [
   'function token0() view returns (address)',
-  'function token1() view returns (address)'
+  'function token1() view returns (address)',
+  'function fee() view returns (uint24)',
+  'function liquidity() view returns (uint128)',
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)'
 ];
 
-// --- Balancer Vault (pair-like via Vault) ---
-const BAL_VAULT_ABI = [
-  'event PoolRegistered(bytes32 indexed poolId, address indexed poolAddress, uint8 specialization)',
-  'event Swap(bytes32 indexed poolId, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut)',
-  'function getPoolTokens(bytes32 poolId) view returns (address[] tokens, uint256[] balances, uint256 lastChangeBlock)'
+const FACTORY_ABI_V2 = [
+  'function allPairsLength() view returns (uint256)',
+  'function allPairs(uint256) view returns (address)'
 ];
+const POOL_FACTORY_ABI = ['function factory() view returns (address)'];
 
-// ---------- Multicall Config ----------
-const MULTICALL3_ABI = [
-  'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) view returns (tuple(bool success, bytes returnData)[])'
+// Algebra (QuickSwap V3): same Swap event as Uniswap V3, but slot0/fee live in globalState (dynamic fee)
+const POOL_ABI_ALGEBRA = [
+  'function globalState() view returns (uint160 price, int24 tick, uint16 fee, uint16 timepointIndex, uint8 communityFeeToken0, uint8 communityFeeToken1, bool unlocked)'
 ];
-const MULTICALL3_ADDR = (process.env.MULTICALL3 && ethers.utils.isAddress(process.env.MULTICALL3))
-  ? process.env.MULTICALL3
-  : '0xca11bde05977b3631167028862be2a173976ca11';
-
-// ---------- Multicall Helper ----------
-export async function multicall(provider, calls, batchSize = 40) {
-  const mc = new ethers.Contract(MULTICALL3_ADDR, MULTICALL3_ABI, provider);
-
-  const results = [];
-  // chunk calls into batches
-  for (let i = 0; i < calls.length; i += batchSize) {
-    const chunk = calls.slice(i, i + batchSize);
-    try {
-      const res = await mc.aggregate3(
-        chunk.map(c => ({
-          target: c.target,
-          allowFailure: c.allowFailure ?? true,
-          callData: c.callData
-        }))
-      );
-      results.push(...res);
-    } catch (err) {
-      console.error("Multicall batch error:", err);
-      // push nulls to maintain index mapping
-      results.push(...chunk.map(() => null));
-    }
-  }
-
-  return results;
-}
 
 // ===================== LOAD CONFIGS =====================
-let dexConfig = { polygon: [] };
+let dexConfig = { [ACTIVE_PROFILE.name]: [] };
 try {
   const jsonPath = new URL('./dexconfig.json', import.meta.url);
   dexConfig = JSON.parse(fs.readFileSync(jsonPath, 'utf-8'));
 } catch (e) {
   console.warn('⚠️ Could not read dexconfig.json:', e?.message || e);
 }
+const configuredDexes = Array.isArray(dexConfig?.[ACTIVE_PROFILE.name]) ? dexConfig[ACTIVE_PROFILE.name] : [];
+
+/** V2 forks have no fee getter: dexconfig.json { name, feeBps } per DEX, else V2_FEE_BPS */
+function dexFeeBps(name) {
+  const bps = Number(configuredDexes.find(d => d?.name === name)?.feeBps);
+  return Number.isFinite(bps) && bps >= 0 ? bps : V2_FEE_BPS;
+}
+
+const store = getStore();
 
 let routers = {};
 try {
-  const rPath = new URL('./routers.json', import.meta.url);
-  routers = JSON.parse(fs.readFileSync(rPath, 'utf-8'));
+  routers = store.routers.get();
     // ✅ Normalize routers to ensure plain addresses
   for (const [dex, entry] of Object.entries(routers)) {
     if (typeof entry === "object" && entry.address) {
@@ -130,7 +132,7 @@ try {
     }
   }
 } catch (e) {
-  console.warn('⚠️ Could not read routers.json:', e?.message || e);
+  console.warn(`⚠️ Could not read ${ACTIVE_PROFILE.routersFile}:`, e?.message || e);
 }
 
 /* ===== Router helpers (quarantine disabled, flat + nested, memoized) ===== */
@@ -148,8 +150,8 @@ const _routerCache = new Map();
 function dexToRouter(name, { allowQuarantined = false } = {}) {
   if (_routerCache.has(name)) return _routerCache.get(name);
 
-  // Support both nested and flat schemas
-  const poly = routers?.polygon;
+  // Support both nested (keyed by profile name) and flat schemas
+  const poly = routers?.[ACTIVE_PROFILE.name];
   const raw =
     (poly && (poly[name] ?? poly[name?.toLowerCase?.()])) ??
     (routers[name] ?? routers[name?.toLowerCase?.()]);
@@ -187,22 +189,6 @@ async function ensureProviderHealthy() {
 // ===================== UTILS =====================
 const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
 
-function createLimiter(max = 12) {
-  let active = 0;
-  const queue = [];
-  const next = () => {
-    if (active >= max || queue.length === 0) return;
-    active++;
-    const { fn, resolve, reject } = queue.shift();
-    Promise.resolve()
-      .then(fn)
-      .then((v) => { active--; resolve(v); next(); })
-      .catch((e) => { active--; reject(e); next(); });
-  };
-  return (fn) => new Promise((resolve, reject) => { queue.push({ fn, resolve, reject }); next(); });
-}
-const limitRPC = createLimiter(RPC_CONCURRENCY);
-
 function isAddr(a) { return typeof a === 'string' && /^0x[0-9a-fA-F]{40}$/.test(a); }
 function toNum(x, fallback = 0) {
   if (typeof x === 'bigint') { const n = Number(x); return Number.isFinite(n) ? n : fallback; }
@@ -220,41 +206,75 @@ function calcPrice(reserve0, reserve1, dec0 = 18, dec1 = 18) {
     return r0>0 && r1>0 ? r0/r1 : 0;
   } catch { return 0; }
 }
+const Q96 = 2n ** 96n;
+/** token0-per-token1 price of a pool from its DEX adapter; reserve ratio for pools no adapter claims */
+function poolPrice(pool) {
+  const adapter = adapterFor(pool);
+  if (adapter) return adapter.spotPrice(pool);
+  return calcPrice(pool.reserve0, pool.reserve1, pool.decimals0 ?? 18, pool.decimals1 ?? 18);
+}
 function priceFor(pool, base, quote) {
   const b=(base||'').toLowerCase(), q=(quote||'').toLowerCase();
   const t0=(pool.token0||'').toLowerCase(), t1=(pool.token1||'').toLowerCase();
-  if (t0===b && t1===q) return calcPrice(pool.reserve0, pool.reserve1, pool.decimals0 ?? 18, pool.decimals1 ?? 18);
-  if (t0===q && t1===b) return safeInv(calcPrice(pool.reserve0, pool.reserve1, pool.decimals0 ?? 18, pool.decimals1 ?? 18));
+  if (t0===b && t1===q) return poolPrice(pool);
+  if (t0===q && t1===b) return safeInv(poolPrice(pool));
   return 0;
 }
-const rateFor = (pool, fromToken, toToken) => priceFor(pool, fromToken, toToken);
-function estimateDirectEdge(a,b){ a=Number(a)||0; b=Number(b)||0; const denom=((a+b)/2)||1; const rel=Math.abs(a-b)/denom; return Number.isFinite(rel)?Math.max(rel,0):0; }
-function estimateTriEdge(cycleRate){ const gross=(Number(cycleRate)||0)-1; return Number.isFinite(gross)?Math.max(gross,0):0; }
-function edgeToProfitUSD(edge, notional=NOTIONAL_USD){ edge=Number(edge)||0; notional=Number(notional)||0; return edge>0?edge*notional:0; }
+/** Output per unit of input for one hop (mid-price, before fees) */
+const rateFor = (pool, fromToken, toToken) => priceFor(pool, toToken, fromToken);
+const feeBpsOf = (pool) => (pool?.feeBps ?? null);
+/** Round trip buy-cheap/sell-dear across two pools of one pair, net of both fees */
+function estimateDirectEdge(a, b, feeA = 0, feeB = 0) {
+  a=Number(a)||0; b=Number(b)||0;
+  if (a <= 0 || b <= 0) return 0;
+  const net = (Math.max(a, b) / Math.min(a, b)) * (1 - feeA) * (1 - feeB) - 1;
+  return Number.isFinite(net) ? Math.max(net, 0) : 0;
+}
+/** Edge of a cycle given its mid-price rate and the fee of each hop */
+function estimateCycleEdge(cycleRate, fees = []) {
+  const net = (Number(cycleRate)||0) * fees.reduce((acc, f) => acc * (1 - f), 1) - 1;
+  return Number.isFinite(net) ? Math.max(net, 0) : 0;
+}
 
-function writeJsonAtomic(filename, data) {
-  try {
-    const dir = path.dirname(filename) || '.';
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    const tmp = path.join(dir, `.${path.basename(filename)}.tmp`);
-    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
-    fs.renameSync(tmp, filename);
-  } catch (e) { console.error(`Failed to write ${filename}:`, e?.message || e); }
+// USD price per whole token (lowercased address), filled from CoinGecko during bootstrap
+const tokenUsd = Object.create(null);
+/** USD per whole `token`; unpriced tokens are valued through `pool`'s other side at mid-price */
+function usdPerToken(token, pool) {
+  const direct = tokenUsd[(token || '').toLowerCase()];
+  if (direct > 0) return direct;
+  const other = (pool?.token0 || '').toLowerCase() === (token || '').toLowerCase() ? pool?.token1 : pool?.token0;
+  const otherUsd = tokenUsd[(other || '').toLowerCase()];
+  return otherUsd > 0 ? rateFor(pool, token, other) * otherUsd : 0;
 }
-function appendJson(filename, record) {
-  try {
-    const dir = path.dirname(filename) || '.';
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    let arr = [];
-    if (fs.existsSync(filename)) {
-      const prev = fs.readFileSync(filename, 'utf8');
-      if (prev) { try { const parsed = JSON.parse(prev); if (Array.isArray(parsed)) arr = parsed; } catch {} }
-    }
-    arr.push(record);
-    writeJsonAtomic(filename, arr);
-  } catch (e) { console.error(`Failed to append ${filename}:`, e?.message || e); }
+
+/** Size base -> quote on the cheaper pool -> base on the dearer one; null when no size is profitable */
+function sizeDirect(A, B, base, quote) {
+  const [cheap, dear] = priceFor(A, base, quote) <= priceFor(B, base, quote) ? [A, B] : [B, A];
+  return sizeRoute(
+    [{ pool: cheap, tokenIn: base }, { pool: dear, tokenIn: quote }],
+    { usdPerToken: usdPerToken(base, cheap) },
+  );
+}
+
+/** Size the cycle tokens[0] -> ... -> tokens[0], one pool per hop */
+function sizeCycle(pools, tokens) {
+  return sizeRoute(
+    pools.map((pool, i) => ({ pool, tokenIn: tokens[i] })),
+    { usdPerToken: usdPerToken(tokens[0], pools[0]) },
+  );
 }
 
+/** Graph edge rate: output per unit input after the pool's fee */
+const netRateFor = (pool, fromToken, toToken) => rateFor(pool, fromToken, toToken) * (1 - feeOf(pool));
+
+// Opportunity journals (oppjournal.js) hold every lifecycle record; the direct_pool.json / tri_pool.json views are the open set
+const isOpen = (r) => r.state !== 'closed';
+const directJournal = createJournal('direct', { view: 'direct_pool.json', keyOf: (r) => r.id, keep: isOpen });
+const triJournal = createJournal('tri', { view: 'tri_pool.json', keyOf: (r) => r.id, keep: isOpen });
+// store.js keeps the lifecycle as queryable history when it is SQLite-backed
+const directOpps = createOpportunityTracker(directJournal, { onRecord: (rec) => store.opportunities.record('direct', rec) });
+const cycleOpps = createOpportunityTracker(triJournal, { onRecord: (rec) => store.opportunities.record('tri', rec) });
+
 // ===================== SAFE GUARDS =====================
 
 // Safe getLogs with retries + provider rotation + exponential backoff
@@ -273,54 +293,342 @@ async function safeGetLogs(filter, attempts = 4) {
   }
 }
 
-// Safe poolId normalization
-function normPoolId(poolId) {
-  if (!poolId) return '';
-  if (typeof poolId === 'string') return poolId.toLowerCase();
-  try { return String(poolId).toLowerCase(); } catch { return ''; }
-}
-
-// ===================== OPTIONAL MULTICALL3 HELPERS =====================
-function getMulticallContract() {
-  try { return new ethers.Contract(MULTICALL3_ADDR, MULTICALL3_ABI, provider); }
-  catch { return null; }
+// Head block for pollers/discovery: quorum-confirmed when RPC_QUORUM is on (throws without agreement)
+async function readHead() {
+  if (QUORUM_ENABLED) return getQuorumBlockNumber();
+  try { return await provider.getBlockNumber(); }
+  catch {
+    provider = await getReadProvider();
+    await sleep(200);
+    return provider.getBlockNumber();
+  }
 }
 
-/** aggregate3(reads) -> returns decoded results (or null on failure per call) */
-async function multicallAggregate3(reads) {
-  const mc = getMulticallContract();
-  if (!mc) throw new Error('No multicall contract');
-  // reads: [{ target, allowFailure, bytes callData }]
-  return mc.aggregate3(reads);
-}
+// ethers v6 logs carry their position as `index`; raw JSON-RPC logs as `logIndex`
+const logIndexOf = (log) => Number(log?.index ?? log?.logIndex);
 
 // ===================== ON-CHAIN READS (V2/V3) =====================
-async function getPairInfoV2(pairAddr) {
-  const c = new ethers.Contract(pairAddr, PAIR_ABI_V2, provider);
-  const [t0, t1, reserves] = await Promise.all([
-    limitRPC(() => c.token0()),
-    limitRPC(() => c.token1()),
-    limitRPC(() => c.getReserves()),
+// Every read is pinned to a snapshot block; the pool object records which block it reflects.
+// snap.read batches through Multicall3, so concurrent refreshes of many pools share a few round trips.
+const pairTokens = new Map();         // pair address -> [token0, token1]; immutable once the pair exists
+
+async function getPairInfoV2(pairAddr, snap) {
+  snap ||= await createSnapshot();
+  const key = pairAddr.toLowerCase();
+  const [[t0, t1], reserves] = await Promise.all([
+    pairTokens.get(key) || Promise.all([snap.read(pairAddr, PAIR_ABI_V2, 'token0'), snap.read(pairAddr, PAIR_ABI_V2, 'token1')]),
+    snap.read(pairAddr, PAIR_ABI_V2, 'getReserves'),
   ]);
+  pairTokens.set(key, [t0, t1]);
   const reserve0 = Array.isArray(reserves) ? reserves[0] : reserves?.reserve0 ?? 0n;
   const reserve1 = Array.isArray(reserves) ? reserves[1] : reserves?.reserve1 ?? 0n;
-  return { pairAddr, token0: t0, token1: t1, reserve0, reserve1 };
+  return { pairAddr, token0: t0, token1: t1, reserve0, reserve1, blockNumber: snap.blockNumber };
 }
 
-async function getPoolInfoV3(poolAddr) {
-  const c = new ethers.Contract(poolAddr, POOL_ABI_V3, provider);
-  const [t0, t1] = await Promise.all([
-    limitRPC(() => c.token0()),
-    limitRPC(() => c.token1()),
-  ]);
-  // reserves proxy by balances (works for UniswapV3/Kyber-like)
-  const e0 = new ethers.Contract(t0, ERC20_ABI, provider);
-  const e1 = new ethers.Contract(t1, ERC20_ABI, provider);
-  const [bal0, bal1] = await Promise.all([
-    limitRPC(() => e0.balanceOf(poolAddr)),
-    limitRPC(() => e1.balanceOf(poolAddr)),
+/** Concentrated-liquidity state; reserve0/1 are the virtual reserves at the current price (L/√P, L·√P) */
+function v3State(slot0, liquidity) {
+  const sqrtPriceX96 = BigInt(slot0[0]);
+  const L = BigInt(liquidity);
+  return {
+    sqrtPriceX96,
+    tick: Number(slot0[1]),
+    liquidity: L,
+    reserve0: sqrtPriceX96 > 0n ? (L * Q96) / sqrtPriceX96 : 0n,
+    reserve1: (L * sqrtPriceX96) / Q96,
+  };
+}
+
+// Concentrated-liquidity state readers, tried in order until one answers; fees end up in basis points
+const V3_READERS = {
+  // slot0 + fee() (hundredths of a bip)
+  uniswap: async (read, poolAddr) => {
+    const [slot0, fee, liquidity] = await Promise.all([
+      read(poolAddr, POOL_ABI_V3, 'slot0'),
+      read(poolAddr, POOL_ABI_V3, 'fee'),
+      read(poolAddr, POOL_ABI_V3, 'liquidity'),
+    ]);
+    return { ...v3State(slot0, liquidity), feeBps: Number(fee) / 100 };
+  },
+  // globalState() carries the dynamic fee (hundredths of a bip)
+  algebra: async (read, poolAddr) => {
+    const [gs, liquidity] = await Promise.all([
+      read(poolAddr, POOL_ABI_ALGEBRA, 'globalState'),
+      read(poolAddr, POOL_ABI_V3, 'liquidity'),
+    ]);
+    return { ...v3State(gs, liquidity), feeBps: Number(gs[2]) / 100 };
+  },
+  // KyberSwap Elastic (kyberelastic.js)
+  elastic: async (read, poolAddr) => {
+    const st = await readElasticState(read, poolAddr);
+    return {
+      ...v3State([st.sqrtPriceX96, st.tick], st.baseL + st.reinvestL),
+      reinvestL: st.reinvestL, feeBps: st.feeBps, tickSpacing: st.tickSpacing,
+    };
+  },
+};
+
+// pool address -> V3_READERS key, learned on the first successful read
+const v3Flavor = new Map();
+
+async function readV3State(read, poolAddr) {
+  const key = poolAddr.toLowerCase();
+  const known = v3Flavor.get(key);
+  if (known) return V3_READERS[known](read, poolAddr);
+  let lastErr;
+  for (const [flavor, readState] of Object.entries(V3_READERS)) {
+    try {
+      const state = await readState(read, poolAddr);
+      v3Flavor.set(key, flavor);
+      return state;
+    } catch (e) { lastErr = e; }
+  }
+  throw lastErr;
+}
+
+/** Skip flavor probing when the pool's DEX label already says what it is */
+function noteV3Flavor(pool) {
+  if (isElasticDex(pool?.dex) && pool.pairAddr) v3Flavor.set(pool.pairAddr.toLowerCase(), 'elastic');
+}
+
+async function getPoolInfoV3(poolAddr, snap) {
+  snap ||= await createSnapshot();
+  const [t0, t1, state] = await Promise.all([
+    snap.read(poolAddr, POOL_ABI_V3, 'token0'),
+    snap.read(poolAddr, POOL_ABI_V3, 'token1'),
+    readV3State(snap.read, poolAddr),
   ]);
-  return { pairAddr: poolAddr, token0: t0, token1: t1, reserve0: bal0, reserve1: bal1 };
+  return { pairAddr: poolAddr, token0: t0, token1: t1, ...state, blockNumber: snap.blockNumber };
+}
+
+/** Copy the block-dependent fields of a fresh read onto a tracked pool */
+function applyPoolState(pool, state) {
+  if (!state) return;
+  for (const k of ['reserve0', 'reserve1', 'sqrtPriceX96', 'tick', 'liquidity', 'reinvestL', 'tickSpacing', 'bal', 'curve', 'feeBps', 'blockNumber']) {
+    if (state[k] !== undefined) pool[k] = state[k];
+  }
+  pool.eventAt = null;                 // end-of-block state now; pool logs from this block or earlier are older
+}
+
+// ===================== EVENT-SOURCED STATE (adapters' applyEvent) =====================
+// Pools follow their own logs in log order; `eventAt` is the position of the last one applied.
+// State read over RPC (applyPoolState) counts as the end of its block.
+function stateAt(pool) {
+  return pool.eventAt || { block: Number(pool.blockNumber) || 0, index: Number.MAX_SAFE_INTEGER, tx: null };
+}
+
+/** True when the pool's state is at or past log position (block, index) */
+function stateCovers(pool, block, index) {
+  const cur = stateAt(pool);
+  return cur.block > block || (cur.block === block && cur.index >= index);
+}
+
+/**
+ * Position of `log` when it is newer than the pool's state, else null. A different tx at the
+ * current position means that block was reorged: the pool is flagged for an RPC re-read.
+ */
+function claimLog(pool, log) {
+  const at = { block: Number(log.blockNumber), index: logIndexOf(log), tx: log.transactionHash };
+  if (!stateCovers(pool, at.block, at.index)) return at;
+  const cur = stateAt(pool);
+  if (at.block === cur.block && at.index === cur.index && at.tx !== cur.tx) pool.eventStale = true;
+  return null;
+}
+
+function markApplied(pool, at) {
+  pool.blockNumber = at.block;
+  pool.eventAt = at;
+  pool.eventStale = false;
+}
+
+// Block through which each watched address's logs have been fetched and applied by a poll tick
+const logsThrough = new Map();         // address (lowercase) -> block
+
+/** True when the pool follows its logs and none newer than its state exist up to `block`: its state is the one at `block` */
+function eventCurrentAt(pool, block) {
+  if (!pool.eventAt || pool.eventStale || pool.eventAt.block > block) return false;
+  return (logsThrough.get(pool.pairAddr.toLowerCase()) ?? -1) >= block;
+}
+
+// ===================== LEG CONFIRMATION (snapshot block / RPC_QUORUM=1) =====================
+/** Price-relevant state of one pool via a pinned reader (snap.read or a per-endpoint batcher's read) */
+async function readPoolState(read, pool) {
+  const adapter = adapterFor(pool);
+  if (!adapter) throw new Error(`no adapter for pool kind ${pool.__kind || 'v2'}`);
+  return adapter.readState(read, pool);
+}
+
+/** Re-read every leg on N endpoints at one quorum-confirmed block; false when they don't agree */
+async function quorumConfirm(pools) {
+  try {
+    const blockTag = await getQuorumBlockNumber();
+    const states = await Promise.all(pools.map((pl) =>
+      quorumRead(`state:${pl.pairAddr}@${blockTag}`, (p) => readPoolState(createCallBatcher(() => p, blockTag).read, pl))
+    ));
+    states.forEach((state, i) => applyPoolState(pools[i], { ...state, blockNumber: blockTag }));
+    return true;
+  } catch (e) {
+    console.warn(`[quorum] opportunity rejected: ${e?.message || e}`);
+    return false;
+  }
+}
+
+// Pools whose state read reverts, or that their adapter gives up on, leave the pair lists, the cycle index and (factory
+// pools) the registry through this; main sets it once those exist
+let dropPool = () => {};
+
+/**
+ * Re-read any leg whose state is from another block at the evaluation's snapshot block. An event-sourced leg
+ * whose logs are scanned through that block is already at it (its last log is simply older) and keeps its state.
+ */
+async function alignToSnapshot(pools, snap) {
+  await Promise.all(pools.map(async (pl) => {
+    if (pl.blockNumber === snap.blockNumber) return;
+    if (eventCurrentAt(pl, snap.blockNumber)) { pl.blockNumber = snap.blockNumber; return; }
+    try {
+      applyPoolState(pl, { ...(await readPoolState(snap.read, pl)), blockNumber: snap.blockNumber });
+    } catch (e) {
+      if (e?.code === 'CALL_EXCEPTION') dropPool(pl, `state read reverted at ${snap.blockNumber}`);
+      console.warn(`[snapshot] ${pl.pairAddr}@${snap.blockNumber} re-read failed: ${e?.message || e}`);
+    }
+  }));
+}
+
+/** Bring every leg to one block (quorum-confirmed, else the snapshot's); false if they still differ */
+async function confirmLegs(pools, snap) {
+  if (QUORUM_ENABLED) {
+    if (!(await quorumConfirm(pools))) return false;
+  } else {
+    await alignToSnapshot(pools, snap);
+  }
+  const blocks = new Set(pools.map((pl) => pl.blockNumber));
+  if (blocks.size !== 1) {
+    console.warn(`[snapshot] opportunity rejected: legs at blocks ${[...blocks].join(',')}`);
+    return false;
+  }
+  return true;
+}
+
+/** Tick cache for a Uniswap/Algebra leg at `snap` so its sizing is tick-exact; Elastic keeps the single-range estimate */
+async function ensureV3Ticks(pools, snap) {
+  await Promise.all(pools.map(async (pl) => {
+    if ((pl.__kind || '') !== 'v3') return;
+    const flavor = v3Flavor.get(pl.pairAddr.toLowerCase());
+    if (flavor !== 'uniswap' && flavor !== 'algebra') return;
+    try {
+      await loadTicks(snap.read, pl, { flavor, block: snap.blockNumber });
+    } catch (e) {
+      console.warn(`[v3quoter] ${pl.pairAddr}@${snap.blockNumber} tick load failed: ${e?.message || e}`);
+    }
+  }));
+}
+
+/** Confirm both legs at one block and re-price; null when rejected */
+async function recheckDirect(A, B, base, quote, snap) {
+  if (!(await confirmLegs([A, B], snap))) return null;
+  await ensureV3Ticks([A, B], snap);
+  const priceA = priceFor(A, base, quote), priceB = priceFor(B, base, quote);
+  const edge = estimateDirectEdge(priceA, priceB, feeOf(A), feeOf(B));
+  const sized = edge > 0 ? sizeDirect(A, B, base, quote) : null;
+  return {
+    priceA, priceB, edge,
+    estProfitUSD: sized?.estProfitUSD ?? 0, amountIn: sized?.amountIn ?? null, expectedOut: sized?.expectedOut ?? null, pools: sized?.pools ?? null,
+    blockNumber: A.blockNumber,
+  };
+}
+
+/** Confirm every leg of a cycle (tokens[0] → … → tokens[0]) at one block and re-price it */
+async function recheckCycle(pools, tokens, snap) {
+  if (!(await confirmLegs(pools, snap))) return null;
+  await ensureV3Ticks(pools, snap);
+  const cycleRate = pools.reduce((acc, p, i) => acc * rateFor(p, tokens[i], tokens[i + 1]), 1);
+  const edge = estimateCycleEdge(cycleRate, pools.map(feeOf));
+  const sized = edge > 0 ? sizeCycle(pools, tokens) : null;
+  return {
+    cycleRate, edge,
+    estProfitUSD: sized?.estProfitUSD ?? 0, amountIn: sized?.amountIn ?? null, expectedOut: sized?.expectedOut ?? null,
+    blockNumber: pools[0].blockNumber,
+  };
+}
+
+/** direct_pool.json record for a confirmed A/B pair (base/quote = the pairKey order) */
+function directRecord(A, B, base, quote, q, extra = {}) {
+  return {
+    token0: base, token1: quote,
+    dexA: A.dex, dexB: B.dex,
+    routerA: dexToRouter(A.dex), routerB: dexToRouter(B.dex),
+    styleA: A.__kind || 'v2', styleB: B.__kind || 'v2',
+    feeA: feeBpsOf(A), feeB: feeBpsOf(B),
+    priceA: q.priceA, priceB: q.priceB,
+    poolAddrA: A.pairAddr, poolAddrB: B.pairAddr, coinsA: curveCoins(A), coinsB: curveCoins(B),
+    edge: q.edge, estProfitUSD: q.estProfitUSD, amountIn: q.amountIn, expectedOut: q.expectedOut, hopPools: q.pools, blockNumber: q.blockNumber,
+    ...extra,
+  };
+}
+
+/** tri_pool.json record for a confirmed cycle of any hop count */
+function cycleRecord({ tokens, pools }, q, extra = {}) {
+  return {
+    route: tokens,
+    pools: pools.map((p) => p.pairAddr),
+    dexs: pools.map((p) => p.dex),
+    routers: pools.map((p) => dexToRouter(p.dex)),
+    styles: pools.map((p) => p.__kind || 'v2'),
+    fees: pools.map(feeBpsOf),
+    ...(pools.some((p) => p.__kind === 'curve') && { curveCoins: pools.map((p) => curveCoins(p) ?? null) }),
+    hops: pools.length,
+    cycleRate: q.cycleRate, edge: q.edge, estProfitUSD: q.estProfitUSD, amountIn: q.amountIn, expectedOut: q.expectedOut, blockNumber: q.blockNumber,
+    ...extra,
+  };
+}
+
+/** Record a confirmed direct / cycle opportunity with its tracker; each returns the opportunity id */
+const observeDirect = (A, B, base, quote, q, extra) =>
+  directOpps.observe({ id: directId(A, B, base, quote, q), ...directRecord(A, B, base, quote, q, extra) }, { members: [A.pairAddr, B.pairAddr] }).id;
+
+const observeCycle = (cycle, q, extra) =>
+  cycleOpps.observe({ id: cycleOppId(cycle), ...cycleRecord(cycle, q, extra) }, { members: cycle.pools.map((p) => p.pairAddr) }).id;
+
+/** Size, confirm and record every profitable indexed cycle (cycleindex.js) through `pool`; open cycles it no longer yields close */
+async function evaluateCyclesThrough(pool, cycleIndex, snap, extra) {
+  const seen = new Set();
+  for (const cycle of cycleIndex.cyclesThrough(pool)) {
+    const est = sizeCycle(cycle.pools, cycle.tokens)?.estProfitUSD ?? 0;
+    if (est < MIN_PROFIT_USD) continue;
+    const q = await recheckCycle(cycle.pools, cycle.tokens, snap);
+    if (!q || q.edge <= 0 || q.estProfitUSD < MIN_PROFIT_USD) continue;
+    seen.add(observeCycle(cycle, q, extra));
+  }
+  cycleOpps.settle(pool.pairAddr, seen, { block: snap.blockNumber });
+}
+
+/**
+ * Everything an event's pools (or pair views) price into: each against the other pools of its pair, then the
+ * indexed cycles through each pool address (the index groups a pool's views by address). Hits are confirmed and
+ * recorded; open opportunities through these pools that were not found again are closed.
+ */
+async function evaluatePools(pools, poolsByPairKey, cycleIndex, snap, edgeThreshold, extra) {
+  pools = pools.filter((p) => !p.dropped);     // adapters still decode logs of pools dropped since watch()
+  const seen = new Set();
+  for (const pool of pools) {
+    const key = pairKey(pool.token0, pool.token1);
+    const [base, quote] = key.split('|');
+    const priceA = priceFor(pool, base, quote);
+    for (const other of poolsByPairKey[key] || []) {
+      if (!other || other.pairAddr === pool.pairAddr) continue;
+      const edge = estimateDirectEdge(priceA, priceFor(other, base, quote), feeOf(pool), feeOf(other));
+      if (edge <= edgeThreshold) continue;
+      const estProfitUSD = sizeDirect(pool, other, base, quote)?.estProfitUSD ?? 0;
+      if (estProfitUSD < MIN_PROFIT_USD) continue;
+      const q = await recheckDirect(pool, other, base, quote, snap);
+      if (!q || q.edge <= edgeThreshold || q.estProfitUSD < MIN_PROFIT_USD) continue;
+      seen.add(observeDirect(pool, other, base, quote, q, extra));
+    }
+  }
+  const byAddr = new Map(pools.map((p) => [p.pairAddr, p]));
+  for (const addr of byAddr.keys()) directOpps.settle(addr, seen, { block: snap.blockNumber });
+  for (const pool of byAddr.values()) {
+    await evaluateCyclesThrough(pool, cycleIndex, snap, extra);
+  }
 }
 
 async function withRetry(fn, retries = 2, delayMs = 250) {
@@ -345,10 +653,8 @@ async function getDecimals(tokenAddr) {
   if (decimalsCache[addr] !== undefined) return decimalsCache[addr];
 
   try {
-    const dec = await limitRPC(async () => {
-      const contract = new ethers.Contract(addr, DECIMALS_ABI, provider);
-      return await contract.decimals();
-    });
+    const contract = new ethers.Contract(addr, DECIMALS_ABI, provider);
+    const dec = await contract.decimals();
     const n = Number(dec);
     decimalsCache[addr] = Number.isFinite(n) ? n : 18;
     return decimalsCache[addr];
@@ -380,45 +686,124 @@ async function getTokenPrices(tokenAddresses) {
   return out;
 }
 
-// ===================== FACTORY-LESS DISCOVERY (V2/V3 by topics) =====================
-function pickDexLabelFor(kind, configuredDexNames) {
-  const names = configuredDexNames || [];
-  const has = (n) => names.includes(n);
-  if (kind === 'v2') {
-    if (has('quickswap-v2')) return 'quickswap-v2';
-    const anyV2 = names.find(n => /-v2$/i.test(n));
-    return anyV2 || 'v2-generic';
+// ===================== FACTORY DISCOVERY (profile factories -> poolregistry.js) =====================
+/** 'v2' for constant-product factories (enumerable through allPairs), else 'v3' (PoolCreated logs) */
+function factoryStyle(dexName) {
+  return /-v2$/i.test(dexName) ? 'v2' : 'v3';
+}
+
+/**
+ * token0/token1 and deploying factory of `addr`: null when it doesn't answer like a pool (a read reverted
+ * or returned no address), `{ error }` when a read failed for any other reason and is worth retrying.
+ */
+async function describePool(addr, snap) {
+  try {
+    const [token0, token1, factory] = await Promise.all([
+      snap.read(addr, PAIR_ABI_V2, 'token0'),
+      snap.read(addr, PAIR_ABI_V2, 'token1'),
+      snap.read(addr, POOL_FACTORY_ABI, 'factory'),
+    ]);
+    return isAddr(token0) && isAddr(token1) && isAddr(factory) ? { token0, token1, factory: factory.toLowerCase() } : null;
+  } catch (e) {
+    return e?.code === 'CALL_EXCEPTION' ? null : { error: e };
   }
-  if (kind === 'v3') {
-    if (has('uniswap-v3'))   return 'uniswap-v3';
-    if (has('quickswap-v3')) return 'quickswap-v3';
-    const anyV3 = names.find(n => /-v3$/i.test(n));
-    return anyV3 || 'v3-generic';
+}
+
+/**
+ * Register candidates whose factory() is the one they were found under. Returns how many were new and
+ * `failedAt`, the index of the first candidate that couldn't be read (-1 when all were); a factory
+ * mismatch or a non-pool is a verdict, not a failure.
+ */
+async function registerVerified(registry, candidates, snap) {
+  let added = 0, failedAt = -1;
+  for (const [n, chunk] of batches(candidates, DISCOVER_INFO_BATCH).entries()) {
+    const infos = await Promise.all(chunk.map((c) => describePool(c.addr, snap)));
+    chunk.forEach((c, i) => {
+      const info = infos[i];
+      if (info?.error) {
+        if (failedAt < 0) failedAt = n * DISCOVER_INFO_BATCH + i;
+        return;
+      }
+      if (!info || info.factory !== c.factory) return;
+      if (registry.add(c.addr, { ...c, token0: info.token0, token1: info.token1 })) added++;
+    });
   }
-  if (kind === 'bal') return 'balancer-vault';
-  return 'unknown';
+  return { added, failedAt };
 }
 
-async function discoverByLogs() {
-  let head;
-  try { head = await provider.getBlockNumber(); }
-  catch {
-  provider = await getReadProvider();
-  head = await provider.getBlockNumber();
+/** V2 factory: walk allPairs from the stored index, at most FACTORY_PAIRS_PER_RUN per run */
+async function enumerateV2Pairs(registry, dex, factory, snap) {
+  const total = Number(await snap.read(factory, FACTORY_ABI_V2, 'allPairsLength'));
+  const from = Math.min(Number(registry.cursor(factory).pairsIndexed) || 0, total);
+  const indices = Array.from({ length: Math.min(total - from, FACTORY_PAIRS_PER_RUN) }, (_, k) => from + k);
+  let done = 0, added = 0;
+  for (const chunk of batches(indices, DISCOVER_INFO_BATCH)) {
+    const addrs = await Promise.all(chunk.map((i) => snap.read(factory, FACTORY_ABI_V2, 'allPairs', i).catch(() => null)));
+    // Stop at the first failed index so the next run resumes there
+    const miss = addrs.findIndex((a) => !isAddr(a));
+    const got = miss < 0 ? addrs : addrs.slice(0, miss);
+    const res = await registerVerified(registry, got.map((addr) => ({ addr, dex, style: 'v2', factory, feeBps: dexFeeBps(dex) })), snap);
+    added += res.added;
+    // An unreadable pair holds the cursor too; the ones after it are verified again next run
+    if (res.failedAt >= 0) { done += res.failedAt; break; }
+    done += got.length;
+    if (miss >= 0) break;
+  }
+  registry.setCursor(factory, { dex, pairsIndexed: from + done, pairsTotal: total });
+  if (from + done < total) console.log(`[discovery] ${dex}: ${from + done}/${total} pairs indexed; continuing next run`);
+  return added;
 }
-  if (!Number.isFinite(Number(head))) return [];
 
+/** V3-style factory: PoolCreated/Pool logs since the stored block (first run: FACTORY_FROM_BLOCK or FACTORY_LOOKBACK_BLOCKS) */
+async function scanPoolCreated(registry, dex, factory, snap) {
+  const head = snap.blockNumber;
+  const last = registry.cursor(factory).lastBlock;
+  const fromBlock = Number.isFinite(last) ? last + 1 : (FACTORY_FROM_BLOCK ?? Math.max(0, head - FACTORY_LOOKBACK_BLOCKS));
+  const found = [];
+  let scanned = fromBlock - 1;
+  for (let start = fromBlock; start <= head; start += DISCOVER_MAX_RANGE) {
+    const end = Math.min(start + DISCOVER_MAX_RANGE - 1, head);
+    const filter = { address: factory, topics: [[POOL_CREATED_TOPIC_V3, POOL_CREATED_TOPIC_ALGEBRA]], fromBlock: start, toBlock: end };
+    let logs;
+    try { logs = await safeGetLogs(filter); }
+    catch (e) {
+      console.warn(`[discovery] ${dex} PoolCreated getLogs failed [${start}-${end}] (${e?.message || e}); resuming there next run`);
+      break;
+    }
+    for (const log of logs) {
+      // pool is the last word of the data in both event shapes
+      const addr = `0x${String(log.data || '').slice(-40)}`.toLowerCase();
+      if (!isAddr(addr)) continue;
+      // Uniswap V3 fee tiers are hundredths of a bip; Elastic's swapFeeUnits are 0.001%
+      const fee = log.topics[0] === POOL_CREATED_TOPIC_V3 && log.topics[3] ? BigInt(log.topics[3]) : null;
+      const feeBps = fee == null ? null : isElasticDex(dex) ? elasticFeeBps(fee) : Number(fee) / 100;
+      found.push({ addr, dex, style: 'v3', factory, feeBps, createdBlock: Number(log.blockNumber) });
+    }
+    scanned = end;
+  }
+  const { added, failedAt } = await registerVerified(registry, found, snap);
+  // Resume just before the first pool that couldn't be read; only blocks fully registered count as scanned
+  const lastBlock = failedAt >= 0 ? found[failedAt].createdBlock - 1 : scanned;
+  registry.setCursor(factory, { dex, lastBlock });
+  if (failedAt >= 0) console.log(`[discovery] ${dex}: pool ${found[failedAt].addr} unreadable; rescanning from block ${lastBlock + 1} next run`);
+  return added;
+}
+
+/** [start, end] getLogs windows covering the last DISCOVER_LOOKBACK_BLOCKS up to `head` */
+function discoverRanges(head) {
   const fromBlock = Math.max(0, head - DISCOVER_LOOKBACK_BLOCKS);
   const ranges = [];
   for (let start = fromBlock; start <= head; start += DISCOVER_MAX_RANGE) {
-    const end = Math.min(start + DISCOVER_MAX_RANGE - 1, head);
-    ranges.push([start, end]);
+    ranges.push([start, Math.min(start + DISCOVER_MAX_RANGE - 1, head)]);
   }
+  return ranges;
+}
 
-  const addrsV2 = new Set();
-  const addrsV3 = new Set();
+/** Pools that emitted a V2/V3 Swap within DISCOVER_LOOKBACK_BLOCKS */
+async function recentSwapPools(snap) {
+  const active = new Map();             // pool address -> 'v2' | 'v3'
 
-  for (const [start, end] of ranges) {
+  for (const [start, end] of discoverRanges(snap.blockNumber)) {
     for (const topic of [SWAP_TOPIC_V2, SWAP_TOPIC_V3]) {
       const filter = { topics: [topic], fromBlock: start, toBlock: end };
       try {
@@ -426,266 +811,134 @@ async function discoverByLogs() {
         for (const log of logs) {
           const addr = (log?.address || '').toLowerCase();
           if (!isAddr(addr)) continue;
-          if (topic === SWAP_TOPIC_V2) addrsV2.add(addr);
-          else addrsV3.add(addr);
+          active.set(addr, topic === SWAP_TOPIC_V2 ? 'v2' : 'v3');
         }
       } catch (e) {
-        console.warn(`discoverByLogs getLogs failed [${start}-${end}] (${e?.message || e}); rotating...`);
+        console.warn(`recentSwapPools getLogs failed [${start}-${end}] (${e?.message || e}); rotating...`);
         provider = await getReadProvider(); // ✅ properly awaited
       }
     }
   }
 
-  const pools = [];
-  for (const addr of addrsV2) {
-    try {
-      const info = await withRetry(() => getPairInfoV2(addr));
-      if (info?.token0 && info?.token1) {
-        pools.push({ __kind: 'v2', ...info });
-      }
-    } catch (e) { console.warn(`Failed to fetch V2 pool info for ${addr}:`, e?.message || e); }
-  }
-
-  for (const addr of addrsV3) {
-    try {
-      const info = await withRetry(() => getPoolInfoV3(addr));
-      if (info?.token0 && info?.token1) {
-        pools.push({ __kind: 'v3', ...info });
-      }
-    } catch (e) { console.warn(`Failed to fetch V3 pool info for ${addr}:`, e?.message || e); }
-  }
-
-  const configured = Array.isArray(dexConfig?.polygon) ? dexConfig.polygon : [];
-  const configuredNames = configured.map(d => d?.name).filter(Boolean);
-
-  return pools.map(p => {
-    const dexLabel = pickDexLabelFor(p.__kind, configuredNames);
-    return { dex: dexLabel, ...p };
-  });
-}
-
-// ===================== BALANCER HELPERS =====================
-function getBalancerVaultContract(vaultAddr) {
-  return new ethers.Contract(vaultAddr, BAL_VAULT_ABI, provider);
-}
-
-/** Discover Balancer pools from PoolRegistered logs within lookback window */
-async function balDiscoverPools(vaultAddr) {
-  const c = getBalancerVaultContract(vaultAddr);
-  let head;
-  try { head = await provider.getBlockNumber(); }
-  catch {
-    provider = await getReadProvider();  // ✅ await the async function
-    head = await provider.getBlockNumber();
+  return active;
 }
-  if (!Number.isFinite(Number(head))) return [];
 
-  const fromBlock = Math.max(0, head - DISCOVER_LOOKBACK_BLOCKS);
-  const ranges = [];
-  for (let start = fromBlock; start <= head; start += DISCOVER_MAX_RANGE) {
-    const end = Math.min(start + DISCOVER_MAX_RANGE - 1, head);
-    ranges.push([start, end]);
-  }
-
-  const pools = [];
-  for (const [start, end] of ranges) {
-    const filter = { address: vaultAddr, topics: [BAL_TOPIC_POOL_REGISTERED], fromBlock: start, toBlock: end };
-    let logs = [];
-    try { logs = await safeGetLogs(filter); }
-    catch (e) {
-      console.warn(`Balancer discover getLogs failed [${start}-${end}] (${e?.message || e})`);
-      continue;
-    }
-    for (const log of logs) {
-      try {
-        const parsed = c.interface.parseLog({ topics: log.topics, data: log.data });
-        const poolId = parsed?.args?.poolId;
-        const poolAddress = parsed?.args?.poolAddress;
-        if (poolId && isAddr(poolAddress)) {
-          pools.push({ poolId, poolAddress: poolAddress.toLowerCase() });
-        }
-      } catch {}
+/**
+ * Sync every profile factory into the pool registry, attribute recently active pools the registry
+ * doesn't know yet through factory(), then load state for the registry pools (at `snap`).
+ * freshOnly: load only the pools this sync added (a warm start already holds the rest).
+ */
+async function discoverPools(snap, { freshOnly = false } = {}) {
+  const registry = loadPoolRegistry();
+  const known = freshOnly ? new Set(registry.entries().map(([addr]) => addr)) : null;
+  const factories = Object.entries(ACTIVE_PROFILE.factories || {})
+    .filter(([, addr]) => isAddr(addr))
+    .map(([dex, addr]) => [dex, addr.toLowerCase()]);
+  if (!factories.length) console.warn(`[discovery] ⚠️ No factories configured for ${ACTIVE_PROFILE.name}; only pools already in the registry are loaded`);
+
+  for (const [dex, factory] of factories) {
+    try {
+      const added = factoryStyle(dex) === 'v2'
+        ? await enumerateV2Pairs(registry, dex, factory, snap)
+        : await scanPoolCreated(registry, dex, factory, snap);
+      if (added) console.log(`[discovery] 🏭 ${dex}: +${added} pools`);
+    } catch (e) {
+      console.warn(`[discovery] ${dex} factory sync failed:`, e?.message || e);
     }
+    registry.save();
   }
-  // de-dupe by poolId
-  const out = [];
-  const seen = new Set();
-  for (const p of pools) {
-    const pid = normPoolId(p.poolId);
-    if (seen.has(pid)) continue;
-    seen.add(pid); out.push(p);
-  }
-  return out;
-}
 
-/** From Balancer Vault: return pair-like info only for 2-token pools */
-async function balGetPairLikeInfo(vaultAddr, poolId, poolAddress) {
-  try {
-    const c = getBalancerVaultContract(vaultAddr);
-    const { tokens, balances } = await c.getPoolTokens(poolId);
-    if (!Array.isArray(tokens) || tokens.length !== 2) return null;
-    const [t0, t1] = tokens;
-    const [b0, b1] = balances || [];
-    if (!isAddr(t0) || !isAddr(t1)) return null;
-    return {
-      pairAddr: poolAddress.toLowerCase(),
-      token0: t0.toLowerCase(),
-      token1: t1.toLowerCase(),
-      reserve0: b0 ?? 0n,
-      reserve1: b1 ?? 0n
-    };
-  } catch (e) {
-    console.warn('balGetPairLikeInfo error:', e?.message || e);
-    return null;
+  // Active pools older than the PoolCreated window (or from a factory never scanned) join via factory()
+  const active = await recentSwapPools(snap);
+  const dexByFactory = new Map(factories.map(([dex, f]) => [f, dex]));
+  const unknown = [...active.keys()].filter((addr) => !registry.has(addr));
+  let attributed = 0, unreadable = 0;
+  for (const chunk of batches(unknown, DISCOVER_INFO_BATCH)) {
+    const infos = await Promise.all(chunk.map((addr) => describePool(addr, snap)));
+    chunk.forEach((addr, i) => {
+      // Still unknown to the registry, so it comes up again next run
+      if (infos[i]?.error) { unreadable++; return; }
+      const dex = dexByFactory.get(infos[i]?.factory);
+      if (!dex) return;
+      const style = factoryStyle(dex);
+      registry.add(addr, { dex, style, factory: infos[i].factory, token0: infos[i].token0, token1: infos[i].token1, feeBps: style === 'v2' ? dexFeeBps(dex) : null });
+      attributed++;
+    });
   }
-}
+  registry.save();
+  console.log(`[discovery] 📒 Registry ${registry.size} pools; ${attributed} active pools attributed, ${unknown.length - attributed - unreadable} from unconfigured factories skipped, ${unreadable} unreadable`);
 
-// ===================== SWAP EVENT POLLERS — BALANCER, V2 & V3 =====================
-function startSwapPollBalancer(vaultAddr, poolIdToAddr, poolsByAddr, poolsByPairKey, poolsByToken, edgeThreshold = 0, opts = {}) {
-  const { pollMs = POLL_MS, lookbackBlocks = LOOKBACK_BLOCKS, maxRange = MAX_RANGE, maxSeen = MAX_SEEN } = opts;
-  const vault = getBalancerVaultContract(vaultAddr);
-  const poolIds = Object.keys(poolIdToAddr);
-  if (poolIds.length === 0) return;
-
-  console.log(`🚀 Balancer: Polling Swap events for ${poolIds.length} pools (every ${pollMs}ms)`);
-
-  const seen = new Set(); let seenCounter = 0;
-  let lastScanned = 0, stopped = false;
-
-  const handleLog = async (log) => {
+  // Pool state in parallel chunks: the snapshot's batcher turns each chunk into a few aggregate3 calls
+  const fetchInfo = async (addr, entry) => {
+    const getInfo = entry.style === 'v2' ? getPairInfoV2 : getPoolInfoV3;
+    noteV3Flavor({ pairAddr: addr, dex: entry.dex });
     try {
-      // We parse only to know which poolId was swapped; then refresh pair-like balances
-      const parsed = vault.interface.parseLog({ topics: log.topics, data: log.data });
-      const poolId = normPoolId(parsed?.args?.poolId);
-      const poolAddr = (poolIdToAddr[poolId] || '').toLowerCase();
-      if (!isAddr(poolAddr)) return;
-
-      const pool = poolsByAddr[poolAddr];
-      if (!pool) return;
-
-      // Refresh current balances
-      const info = await balGetPairLikeInfo(vaultAddr, poolId, poolAddr);
-      if (info?.reserve0 !== undefined) pool.reserve0 = info.reserve0;
-      if (info?.reserve1 !== undefined) pool.reserve1 = info.reserve1;
-
-      const key = pairKey(pool.token0, pool.token1);
-      const [base, quote] = key.split('|');
-      const group = poolsByPairKey[key] || [];
-      const priceA = priceFor(pool, base, quote);
-
-      // Direct
-      for (const other of group) {
-        if (!other || other.pairAddr === pool.pairAddr) continue;
-        const priceB = priceFor(other, base, quote);
-        const edge = estimateDirectEdge(priceA, priceB);
-        if (edge > edgeThreshold) {
-          const estProfitUSD = edgeToProfitUSD(edge);
-          if (estProfitUSD >= MIN_PROFIT_USD) {
-            appendJson('direct_pool.json', {
-              token0: base, token1: quote,
-              dexA: pool.dex, dexB: other.dex,
-              routerA: dexToRouter(pool.dex), routerB: dexToRouter(other.dex),
-              styleA: pool.__kind || 'bal', styleB: other.__kind || 'v2',
-              feeA: null, feeB: null,
-              priceA, priceB,
-              poolAddrA: pool.pairAddr, poolAddrB: other.pairAddr,
-              edge, estProfitUSD,
-              source: 'swap_poll_balancer', tx: log.transactionHash, logIndex: log.logIndex, timestamp: Date.now()
-            });
-          }
-        }
-      }
-
-      // Triangular
-      const tokenA = pool.token0, tokenB = pool.token1;
-      const fromB = poolsByToken[tokenB] || [];
-      for (const p2 of fromB) {
-        if (!p2 || p2.pairAddr === pool.pairAddr) continue;
-        const tokenC = p2.token0 === tokenB ? p2.token1 : p2.token0;
-        if (!tokenC || tokenC === tokenA) continue;
-        const fromC = poolsByToken[tokenC] || [];
-        for (const p3 of fromC) {
-          const closes = (p3.token0 === tokenC && p3.token1 === tokenA) || (p3.token1 === tokenC && p3.token0 === tokenA);
-          if (!closes) continue;
-          const cycleRate = rateFor(pool, tokenA, tokenB) * rateFor(p2, tokenB, tokenC) * rateFor(p3, tokenC, tokenA);
-          const edgeTri = estimateTriEdge(cycleRate);
-          if (edgeTri > 0) {
-            const est = edgeToProfitUSD(edgeTri);
-            if (est >= MIN_PROFIT_USD) {
-              appendJson('tri_pool.json', {
-                route: [tokenA, tokenB, tokenC, tokenA],
-                pools: [pool.pairAddr, p2.pairAddr, p3.pairAddr],
-                dexs:  [pool.dex,      p2.dex,      p3.dex],
-                routers: [dexToRouter(pool.dex), dexToRouter(p2.dex), dexToRouter(p3.dex)],
-                styles: [pool.__kind || 'bal', p2.__kind || 'v2', p3.__kind || 'v2'],
-                fees: [null, null, null],
-                cycleRate, edge: edgeTri, estProfitUSD: est,
-                source: 'swap_poll_balancer', tx: log.transactionHash, logIndex: log.logIndex, timestamp: Date.now()
-              });
-            }
-          }
-        }
-      }
+      const info = await withRetry(() => getInfo(addr, snap));
+      if (!info?.token0 || !info?.token1) return null;
+      return { dex: entry.dex, __kind: entry.style, ...info, feeBps: info.feeBps ?? entry.feeBps ?? dexFeeBps(entry.dex) };
     } catch (e) {
-      console.warn('Balancer Swap handler error:', e?.message || e);
+      console.warn(`Failed to fetch ${entry.style.toUpperCase()} pool info for ${addr}:`, e?.message || e);
+      return null;
     }
   };
-
-  const tick = async () => {
-    if (stopped) return;
-    try {
-      let head; try { head = await provider.getBlockNumber(); }
-      catch {
-  provider = await getReadProvider();   // ✅ properly await
-  await new Promise(r => setTimeout(r, 200)); // ✅ simple inline sleep
-  const head = await provider.getBlockNumber(); // ✅ works
+  const jobs = registry.entries()
+    .filter(([addr, e]) => adapterFor({ __kind: e.style }) && (!DISCOVER_ACTIVE_ONLY || active.has(addr)))   // styles an enabled adapter owns
+    .filter(([addr]) => !known?.has(addr))
+    .map(([addr, e]) => () => fetchInfo(addr, e));
+  const pools = [];
+  for (const chunk of batches(jobs, DISCOVER_INFO_BATCH)) {
+    pools.push(...(await Promise.all(chunk.map((job) => job()))).filter(Boolean));
+  }
+  return pools;
 }
-      if (!Number.isFinite(Number(head))) return;
 
-      if (lastScanned === 0) lastScanned = Math.max(0, head - lookbackBlocks);
-      const from = Math.max(0, lastScanned - lookbackBlocks + 1), to = head;
+// The v2 and v3 adapters both draw on one factory sync per snapshot
+let factoryRun = null;
+function factoryPools(snap) {
+  if (factoryRun?.block !== snap.blockNumber) factoryRun = { block: snap.blockNumber, pools: discoverPools(snap) };
+  return factoryRun.pools;
+}
 
-      for (let start = from; start <= to; start += maxRange) {
-        const end = Math.min(start + maxRange - 1, to);
-        const filter = { address: vaultAddr, topics: [BAL_TOPIC_SWAP], fromBlock: start, toBlock: end };
-        let logs;
-        try { logs = await safeGetLogs(filter); }
-        catch (e) {
-          console.warn(`Balancer getLogs failed [${start}-${end}] (${e?.message || e}). Rotating provider...`);
-          provider = await getReadProvider();
-          await new Promise(r => setTimeout(r, 150 + Math.floor(Math.random() * 250)));
-          try { logs = await provider.getLogs(filter); } catch { continue; }
-        }
-        for (const log of logs || []) {
-          const key = `${log.transactionHash}:${log.logIndex}`;
-          if (seen.has(key)) continue;
-          if (seenCounter >= maxSeen) {
-            const prune = Math.floor(maxSeen/2);
-            let removed=0; for (const k of seen){ seen.delete(k); if (++removed>=prune) break; }
-            seenCounter = seen.size;
-          }
-          seen.add(key); seenCounter++;
-          // Process immediately (Balancer volumes are lower vs V2/V3 topic scans)
-          await handleLog(log);
-        }
-      }
-      lastScanned = to;
-    } catch (e) {
-      console.warn('Balancer poll tick error:', e?.message || e);
-      provider = await getReadProvider();
-    } finally {
-      if (!stopped) setTimeout(tick, pollMs);
-    }
+// ===================== SWAP EVENT POLLER (one per DEX adapter) =====================
+// WS mode (POLYGON_WS_RPCS): logs arrive over eth_subscribe and pollers idle while the socket is live.
+// On a drop the next poll resumes from the last WS head minus lookback; the seen-set absorbs the overlap.
+const feed = getSubscriptionFeed();
+
+/** Stream logs of `topic` (one topic or an OR-list) for `addrs`, chunked like polling, into ingest(log, snap); returns an unsubscribe fn */
+function subscribeSwapLogs(topic, addrs, ingest) {
+  if (!feed) return () => {};
+  let snapBlock = null, snapP = null;
+  const snapAt = (bn) => {
+    if (bn !== snapBlock) { snapBlock = bn; snapP = createSnapshot(bn); }
+    return snapP;
   };
+  const onLog = (log) => {
+    snapAt(log.blockNumber)
+      .then((snap) => ingest(log, snap))
+      .catch((e) => console.warn(`[wsfeed] log handling failed: ${e?.message || e}`));
+  };
+  const offs = batches(addrs, ADDR_BATCH).map((chunk) => feed.onLogs({ address: chunk, topics: [topic] }, onLog));
+  return () => offs.forEach((off) => off());
+}
 
-  tick();
-  return () => { stopped = true; };
+/** Poll tick guard: while WS is live, only advance the resume point */
+function wsCovering(lastScanned) {
+  if (!feed?.live) return null;
+  return Math.max(lastScanned, feed.head ?? 0);
 }
 
-function startSwapPollV2(pairAddrsLower, poolsByAddr, poolsByPairKey, poolsByToken, edgeThreshold = 0, opts = {}) {
-  if (!Array.isArray(pairAddrsLower) || pairAddrsLower.length === 0) return;
-  const { pollMs = POLL_MS, lookbackBlocks = LOOKBACK_BLOCKS, maxRange = MAX_RANGE, addrBatch = ADDR_BATCH, maxSeen = MAX_SEEN } = opts;
-  console.log(`🚀 V2: Polling Swap events on ${pairAddrsLower.length} pools (every ${pollMs}ms)`);
+/**
+ * Logs of `adapter`'s eventTopics from the addresses its watch() returns, over HTTP getLogs ticks (or WS while live).
+ * applyEvent runs on arrival, in log order; events that move prices queue for refresh() and evaluation.
+ */
+function startSwapPoll(adapter, poolsByAddr, poolsByPairKey, cycleIndex, edgeThreshold = 0, opts = {}) {
+  const { pollMs = POLL_MS, lookbackBlocks = LOOKBACK_BLOCKS, maxRange = MAX_RANGE, addrBatch = ADDR_BATCH, maxSeen = MAX_SEEN, startBlock = 0, onCheckpoint = null } = opts;
+  const label = adapter.label || adapter.name;
+  const watched = adapter.watch(Object.values(poolsByAddr).filter((p) => adapterFor(p) === adapter));
+  if (!watched.length) return null;
+  const topics = [adapter.eventTopics];
+  const source = `swap_poll_${adapter.name}`;
+  console.log(`🚀 ${label}: Polling ${adapter.eventTopics.length} event topics on ${watched.length} contracts (every ${pollMs}ms)`);
 
   const seen = new Set(); let seenCounter = 0;
   const queue = []; let active = 0; const MAX_CONCURRENT = 4;
@@ -693,278 +946,129 @@ function startSwapPollV2(pairAddrsLower, poolsByAddr, poolsByPairKey, poolsByTok
   const processNext = async () => {
     if (active >= MAX_CONCURRENT || queue.length === 0) return;
     active++;
-    const log = queue.shift();
-    try { await handle(log); }
-    catch (e) { console.error('V2 Swap handler error:', e?.message || e); }
+    const { event, log, snap } = queue.shift();
+    try { await handle(event, log, snap); }
+    catch (e) { console.error(`${label} event handler error:`, e?.message || e); }
     finally { active--; setImmediate(processNext); }
   };
 
-  const handle = async (log) => {
-    const addr = (log?.address || '').toLowerCase();
-    const pool = poolsByAddr[addr];
-    if (!pool) return;
-    try {
-      const updated = await withRetry(() => getPairInfoV2(pool.pairAddr));
-      if (updated?.reserve0 !== undefined) pool.reserve0 = updated.reserve0;
-      if (updated?.reserve1 !== undefined) pool.reserve1 = updated.reserve1;
-
-      const key = pairKey(pool.token0, pool.token1);
-      const [base, quote] = key.split('|');
-      const group = poolsByPairKey[key] || [];
-      const priceA = priceFor(pool, base, quote);
-
-      // Direct
-      for (const other of group) {
-        if (!other || other.pairAddr === pool.pairAddr) continue;
-        const priceB = priceFor(other, base, quote);
-        const edge = estimateDirectEdge(priceA, priceB);
-        if (edge > edgeThreshold) {
-          const estProfitUSD = edgeToProfitUSD(edge);
-          if (estProfitUSD >= MIN_PROFIT_USD) {
-            appendJson('direct_pool.json', {
-              token0: base, token1: quote,
-              dexA: pool.dex, dexB: other.dex,
-              routerA: dexToRouter(pool.dex), routerB: dexToRouter(other.dex),
-              styleA: 'v2', styleB: other.__kind || 'v2',
-              feeA: null, feeB: null,
-              priceA, priceB,
-              poolAddrA: pool.pairAddr, poolAddrB: other.pairAddr,
-              edge, estProfitUSD,
-              source: 'swap_poll_v2', tx: log.transactionHash, logIndex: log.logIndex, timestamp: Date.now()
-            });
-          }
-        }
-      }
+  const handle = async (event, log, snap) => {
+    await adapter.refresh?.(event, log, snap);
+    await evaluatePools(event.pools, poolsByPairKey, cycleIndex, snap, edgeThreshold, {
+      source, tx: log.transactionHash, logIndex: logIndexOf(log),
+    });
+  };
 
-      // Triangular
-      const tokenA = pool.token0, tokenB = pool.token1;
-      const fromB = poolsByToken[tokenB] || [];
-      for (const p2 of fromB) {
-        if (!p2 || p2.pairAddr === pool.pairAddr) continue;
-        const tokenC = p2.token0 === tokenB ? p2.token1 : p2.token0;
-        if (!tokenC || tokenC === tokenA) continue;
-
-        const fromC = poolsByToken[tokenC] || [];
-        for (const p3 of fromC) {
-          const closes = (p3.token0 === tokenC && p3.token1 === tokenA) || (p3.token1 === tokenC && p3.token0 === tokenA);
-          if (!closes) continue;
-
-          const cycleRate = rateFor(pool, tokenA, tokenB) * rateFor(p2, tokenB, tokenC) * rateFor(p3, tokenC, tokenA);
-          const edgeTri = estimateTriEdge(cycleRate);
-          if (edgeTri > 0) {
-            const estProfitUSD = edgeToProfitUSD(edgeTri);
-            if (estProfitUSD >= MIN_PROFIT_USD) {
-              appendJson('tri_pool.json', {
-                route: [tokenA, tokenB, tokenC, tokenA],
-                pools: [pool.pairAddr, p2.pairAddr, p3.pairAddr],
-                dexs: [pool.dex, p2.dex, p3.dex],
-                routers: [dexToRouter(pool.dex), dexToRouter(p2.dex), dexToRouter(p3.dex)],
-                styles: [pool.__kind || 'v2', p2.__kind || 'v2', p3.__kind || 'v2'],
-                fees: [null, null, null],
-                cycleRate, edge: edgeTri, estProfitUSD,
-                source: 'swap_poll_v2', tx: log.transactionHash, logIndex: log.logIndex, timestamp: Date.now()
-              });
-            }
-          }
-        }
-      }
-    } catch (e) { console.error('V2 Swap handler error:', e?.message || e); }
+  const ingest = (log, snap) => {
+    const key = `${log.transactionHash}:${logIndexOf(log)}`;
+    if (seen.has(key)) return;
+    if (seenCounter >= maxSeen) {
+      const prune = Math.floor(maxSeen/2);
+      let removed=0; for (const k of seen){ seen.delete(k); if (++removed>=prune) break; }
+      seenCounter = seen.size;
+    }
+    seen.add(key); seenCounter++;
+    const event = adapter.decodeEvent(log);
+    if (!event) return;
+    adapter.applyEvent?.(event, log);
+    if (!event.evaluate) return;
+    if (queue.length >= MAX_QUEUE) {
+      const drop = Math.max(1, Math.floor(queue.length * 0.05));
+      queue.splice(0, drop);
+    }
+    queue.push({ event, log, snap }); setImmediate(processNext);
   };
 
-  let lastScanned = 0, stopped = false;
+  let lastScanned = startBlock, stopped = false;
+  // Resuming from a warm-start checkpoint: the first tick replays the gap even while WS is live
+  let caughtUp = !startBlock;
+  const advance = (block) => { lastScanned = block; onCheckpoint?.(block); };
   const tick = async () => {
     if (stopped) return;
     try {
-      let head; try { head = await provider.getBlockNumber(); }
-      catch {
-  provider = await getReadProvider();   // ✅ properly await
-  await sleep(200);                     // ✅ pause
-  head = await provider.getBlockNumber(); // ✅ get block number
-}
+      const covered = caughtUp ? wsCovering(lastScanned) : null;
+      if (covered != null) { advance(covered); return; }
+      const head = await readHead();
       if (!Number.isFinite(Number(head))) return;
+      const snap = await createSnapshot(head); // every read in this tick's evaluations is pinned here
 
       if (lastScanned === 0) lastScanned = Math.max(0, head - lookbackBlocks);
       const from = Math.max(0, lastScanned - lookbackBlocks + 1), to = head;
 
-      for (let start = from; start <= to; start += MAX_RANGE) {
-        const end = Math.min(start + MAX_RANGE - 1, to);
-        for (const addrChunk of batches(pairAddrsLower, ADDR_BATCH)) {
-          const filter = { address: addrChunk, topics: [SWAP_TOPIC_V2], fromBlock: start, toBlock: end };
+      for (let start = from; start <= to; start += maxRange) {
+        const end = Math.min(start + maxRange - 1, to);
+        for (const addrChunk of batches(watched, addrBatch)) {
+          const filter = { address: addrChunk, topics, fromBlock: start, toBlock: end };
           let logs;
           try { logs = await safeGetLogs(filter); }
           catch (e) {
-            console.warn(`V2 getLogs failed [${start}-${end}] (${e?.message || e}). Rotating provider...`);
+            console.warn(`${label} getLogs failed [${start}-${end}] (${e?.message || e}). Rotating provider...`);
             provider = await getReadProvider();
-           await new Promise(resolve => setTimeout(resolve, 150 + Math.floor(Math.random() * 250)));
+            await new Promise(resolve => setTimeout(resolve, 150 + Math.floor(Math.random() * 250)));
             try { logs = await provider.getLogs(filter); } catch { continue; }
           }
-          for (const log of logs || []) {
-            const key = `${log.transactionHash}:${log.logIndex}`;
-            if (seen.has(key)) continue;
-            if (seenCounter >= maxSeen) {
-              const prune = Math.floor(maxSeen/2);
-              let removed=0; for (const k of seen){ seen.delete(k); if (++removed>=prune) break; }
-              seenCounter = seen.size;
-            }
-            seen.add(key); seenCounter++;
-            if (queue.length >= MAX_QUEUE) {
-              const drop = Math.max(1, Math.floor(queue.length * 0.05));
-              queue.splice(0, drop);
-            }
-            queue.push(log); setImmediate(processNext);
-          }
+          for (const log of logs || []) ingest(log, snap);
+          for (const addr of addrChunk) logsThrough.set(addr.toLowerCase(), end);
         }
       }
-      lastScanned = to;
+      advance(to);
+      caughtUp = true;
     } catch (e) {
-      console.warn('V2 poll tick error:', e?.message || e);
+      console.warn(`${label} poll tick error:`, e?.message || e);
       provider = await getReadProvider();
     } finally { if (!stopped) setTimeout(tick, pollMs); }
   };
 
+  const unsubscribe = subscribeSwapLogs(adapter.eventTopics, watched, ingest);
+
   tick();
-  return () => { stopped = true; };
+  return () => { stopped = true; unsubscribe(); };
 }
 
-function startSwapPollElastic(elasticPoolAddrsLower, poolsByAddr, poolsByPairKey, poolsByToken, edgeThreshold = 0, opts = {}) {
-  if (!Array.isArray(elasticPoolAddrsLower) || elasticPoolAddrsLower.length === 0) return;
-
-  const { pollMs = POLL_MS, lookbackBlocks = LOOKBACK_BLOCKS, maxRange = MAX_RANGE, addrBatch = ADDR_BATCH, maxSeen = MAX_SEEN } = opts;
-  console.log(`🚀 Elastic: Polling Swap events on ${elasticPoolAddrsLower.length} pools (V3) (every ${pollMs}ms)`);
-
-  const seen = new Set(); let seenCounter = 0;
-  const queue = []; let active = 0; const MAX_CONCURRENT = 4;
-
-  const processNext = async () => {
-    if (active >= MAX_CONCURRENT || queue.length === 0) return;
-    active++;
-    const log = queue.shift();
-    try { await handle(log); }
-    catch (e) { console.error('Elastic Swap handler error:', e?.message || e); }
-    finally { active--; setImmediate(processNext); }
-  };
-
-  const handle = async (log) => {
-    const addr = (log?.address || '').toLowerCase();
-    const pool = poolsByAddr[addr];
-    if (!pool) return;
+// ===================== BOOTSTRAP =====================
+/** Full discovery (every enabled adapter) + liquidity filter at `snap` */
+async function bootstrapPools(snap, adapters) {
+  // 1) Each adapter discovers its pools: profile factories (pool registry), Balancer Vault, Curve registries, …
+  //    Discovery RPCs queue behind execution-critical reads (rpcscheduler.js).
+  const discovered = [];
+  for (const adapter of adapters) {
     try {
-      const info = await withRetry(() => getPoolInfoV3(pool.pairAddr));
-      if (info?.reserve0 !== undefined) pool.reserve0 = info.reserve0;
-      if (info?.reserve1 !== undefined) pool.reserve1 = info.reserve1;
+      discovered.push(...await withRpcPriority(PRIORITY.DISCOVERY, () => adapter.discover(snap)));
+    } catch (e) {
+      console.warn(`${adapter.label || adapter.name} discovery error:`, e?.message || e);
+    }
+  }
 
-      const key = pairKey(pool.token0, pool.token1);
-      const [base, quote] = key.split('|');
-      const group = poolsByPairKey[key] || [];
-      const priceA = priceFor(pool, base, quote);
-
-      // Direct
-      for (const other of group) {
-        if (!other || other.pairAddr === pool.pairAddr) continue;
-        const priceB = priceFor(other, base, quote);
-        const edge = estimateDirectEdge(priceA, priceB);
-        if (edge > edgeThreshold) {
-          const est = edgeToProfitUSD(edge);
-          if (est >= MIN_PROFIT_USD) {
-            const kA = (pool.__kind || 'v3'), kB = (other.__kind || 'v2');
-            appendJson('direct_pool.json', {
-              token0: base, token1: quote,
-              dexA: pool.dex, dexB: other.dex,
-              routerA: dexToRouter(pool.dex), routerB: dexToRouter(other.dex),
-              styleA: kA, styleB: kB,
-              feeA: null, feeB: null,
-              priceA, priceB,
-              poolAddrA: pool.pairAddr, poolAddrB: other.pairAddr,
-              edge, estProfitUSD: est,
-              source: 'swap_poll_elastic', tx: log.transactionHash, logIndex: log.logIndex, timestamp: Date.now()
-            });
-          }
-        }
-      }
+  // 2) Liquidity filter via CoinGecko + decimals
+  return filterByLiquidity(discovered);
+}
 
-      // Triangular
-      const tokenA = pool.token0, tokenB = pool.token1;
-      const fromB = poolsByToken[tokenB] || [];
-      for (const p2 of fromB) {
-        if (!p2 || p2.pairAddr === pool.pairAddr) continue;
-        const tokenC = p2.token0 === tokenB ? p2.token1 : p2.token0;
-        if (!tokenC || tokenC === tokenA) continue;
-        const fromC = poolsByToken[tokenC] || [];
-        for (const p3 of fromC) {
-          const closes = (p3.token0 === tokenC && p3.token1 === tokenA) || (p3.token1 === tokenC && p3.token0 === tokenA);
-          if (!closes) continue;
-          const cycleRate = rateFor(pool, tokenA, tokenB) * rateFor(p2, tokenB, tokenC) * rateFor(p3, tokenC, tokenA);
-          const edgeTri = estimateTriEdge(cycleRate);
-          if (edgeTri > 0) {
-            const est = edgeToProfitUSD(edgeTri);
-            if (est >= MIN_PROFIT_USD) {
-              const k1=(pool.__kind||'v3'),k2=(p2.__kind||'v2'),k3=(p3.__kind||'v2');
-              appendJson('tri_pool.json', {
-                route: [tokenA, tokenB, tokenC, tokenA],
-                pools: [pool.pairAddr, p2.pairAddr, p3.pairAddr],
-                dexs:  [pool.dex,      p2.dex,      p3.dex],
-                routers: [dexToRouter(pool.dex), dexToRouter(p2.dex), dexToRouter(p3.dex)],
-                styles: [k1, k2, k3],
-                fees: [null, null, null],
-                cycleRate, edge: edgeTri, estProfitUSD: est,
-                source: 'swap_poll_elastic', tx: log.transactionHash, logIndex: log.logIndex, timestamp: Date.now()
-              });
-            }
-          }
-        }
-      }
-    } catch (e) { console.error('Elastic Swap handler error:', e?.message || e); }
-  };
+/** Pools holding ≥ MIN_LIQUIDITY_USD, decimals attached; CoinGecko is asked only for tokens tokenUsd hasn't priced */
+async function filterByLiquidity(pools) {
+  const unpriced = [...new Set(pools.flatMap(p => [p.token0, p.token1]).filter(isAddr).map(a => a.toLowerCase()))]
+    .filter((addr) => !(addr in tokenUsd));
+  const prices = await getTokenPrices(unpriced);
+  for (const [addr, v] of Object.entries(prices)) tokenUsd[addr.toLowerCase()] = Number(v?.usd || 0);
 
-  let lastScanned = 0, stopped = false;
-  const tick = async () => {
-    if (stopped) return;
+  const filteredPools = [];
+  for (const p of pools) {
     try {
-      let head; try { head = await provider.getBlockNumber(); }
-      catch { provider = await getReadProvider(); await sleep(200); head = await provider.getBlockNumber(); }
-      if (!Number.isFinite(Number(head))) return;
-
-      if (lastScanned === 0) lastScanned = Math.max(0, head - lookbackBlocks);
-      const from = Math.max(0, lastScanned - lookbackBlocks + 1), to = head;
-
-      for (let start = from; start <= to; start += MAX_RANGE) {
-        const end = Math.min(start + MAX_RANGE - 1, to);
-        for (const addrChunk of batches(elasticPoolAddrsLower, ADDR_BATCH)) {
-          const filter = { address: addrChunk, topics: [SWAP_TOPIC_V3], fromBlock: start, toBlock: end };
-          let logs;
-          try { logs = await safeGetLogs(filter); }
-          catch (e) {
-            console.warn(`Elastic getLogs failed [${start}-${end}] (${e?.message || e}). Rotating provider...`);
-            provider = await getReadProvider();
-           await new Promise(resolve => setTimeout(resolve, 150 + Math.floor(Math.random() * 250)));
-            try { logs = await provider.getLogs(filter); } catch { continue; }
-          }
-          for (const log of logs || []) {
-            const key = `${log.transactionHash}:${log.logIndex}`;
-            if (seen.has(key)) continue;
-            if (seenCounter >= maxSeen) {
-              const prune = Math.floor(maxSeen/2);
-              let removed=0; for (const k of seen){ seen.delete(k); if (++removed>=prune) break; }
-              seenCounter = seen.size;
-            }
-            seen.add(key); seenCounter++;
-            if (queue.length >= MAX_QUEUE) {
-              const drop = Math.max(1, Math.floor(queue.length * 0.05));
-              queue.splice(0, drop);
-            }
-            queue.push(log); setImmediate(processNext);
-          }
-        }
+      const [dec0, dec1] = await Promise.all([getDecimals(p.token0), getDecimals(p.token1)]);
+      const p0 = Number(tokenUsd[p.token0?.toLowerCase()] || 0);
+      const p1 = Number(tokenUsd[p.token1?.toLowerCase()] || 0);
+      // V3 pools: virtual reserves, i.e. depth at the current price rather than token balances
+      const r0 = toNum(p.reserve0, 0);
+      const r1 = toNum(p.reserve1, 0);
+      const liq0 = p0 * (r0 / safePow10(dec0));
+      const liq1 = p1 * (r1 / safePow10(dec1));
+      const liquidityUSD = (Number.isFinite(liq0) ? liq0 : 0) + (Number.isFinite(liq1) ? liq1 : 0);
+      if (Number.isFinite(liquidityUSD) && liquidityUSD >= MIN_LIQUIDITY_USD) {
+        filteredPools.push({ ...p, decimals0: dec0, decimals1: dec1 });
       }
-      lastScanned = to;
-    } catch (e) {
-      console.warn('Elastic poll tick error:', e?.message || e);
-      provider = await getReadProvider();
-    } finally { if (!stopped) setTimeout(tick, pollMs); }
-  };
+    } catch {}
+  }
 
-  tick();
-  return () => { stopped = true; };
+  return filteredPools;
 }
 
 // ===================== MAIN =====================
@@ -976,10 +1080,10 @@ process.on('uncaughtException', (err) => { console.error('[uncaughtException]',
     const ok = await ensureProviderHealthy();
     if (!ok) throw new Error('No healthy RPC provider available after retries.');
 
-    // Resolve Balancer Vault address (routers.json or env)
+    // Resolve Balancer Vault address (routers file or env)
     let BALANCER_VAULT = null;
     try {
-      const poly = routers?.polygon;
+      const poly = routers?.[ACTIVE_PROFILE.name];
       if (poly?.['balancer-vault']?.address && isAddr(poly['balancer-vault'].address)) {
         BALANCER_VAULT = poly['balancer-vault'].address.toLowerCase();
       } else if (routers?.['balancer-vault'] && isAddr(routers['balancer-vault'])) {
@@ -989,81 +1093,112 @@ process.on('uncaughtException', (err) => { console.error('[uncaughtException]',
       }
     } catch {}
 
-    // 1) Discover pools from logs (no factories)
-    const discovered = await discoverByLogs();
+    // DEX adapters (plugins/) named in dexconfig.json, over poolfetcher's shared readers and event-state helpers
+    const adapters = await loadDexAdapters(configuredAdapterNames(dexConfig, ACTIVE_PROFILE.name), {
+      factoryPools, discoverRanges, getLogs: safeGetLogs, getDecimals, dexToRouter, balancerVault: BALANCER_VAULT,
+      getPairInfoV2, getPoolInfoV3, readV3State, v3State, withRetry,
+      applyPoolState, stateCovers, claimLog, markApplied, logIndexOf,
+      dropPool: (pool, reason) => dropPool(pool, reason),
+    });
 
-    // Balancer discovery (additive) — keep only 2-token pools
-    const balancerPoolIdToAddr = Object.create(null);
-    if (BALANCER_VAULT) {
+    // 1-2) Warm start from the last snapshot, else discover + filter — one snapshot block for the whole bootstrap
+    const snap = await createSnapshot(await readHead());
+    const warm = loadWarmStart();
+    let filteredPools;
+    if (warm) {
+      filteredPools = warm.pools.filter((p) => adapterFor(p));     // adapters disabled since the save drop their pools
+      Object.assign(decimalsCache, warm.decimals);
+      Object.assign(tokenUsd, warm.tokenUsd);
+      filteredPools.forEach(noteV3Flavor);
+      console.log(`[warmstart] ♻️ Restored ${filteredPools.length} pools from ${path.basename(WARM_START_FILE)} (saved ${Math.round((Date.now() - warm.savedAt) / 1000)}s ago); skipping full discovery`);
+      // The registry still catches up from its factory cursors; only the pools it gained are loaded and filtered
+      const restored = new Set(filteredPools.map((p) => p.pairAddr.toLowerCase()));
       try {
-        const balPools = await balDiscoverPools(BALANCER_VAULT);
-        for (const { poolId, poolAddress } of balPools) {
-          const info = await balGetPairLikeInfo(BALANCER_VAULT, poolId, poolAddress);
-          if (info && info.token0 && info.token1) {
-            balancerPoolIdToAddr[(normPoolId(poolId) || poolId)] = poolAddress.toLowerCase();
-            discovered.push({ dex: 'balancer-vault', __kind: 'bal', ...info });
-          }
-        }
+        const fresh = (await withRpcPriority(PRIORITY.DISCOVERY, () => discoverPools(snap, { freshOnly: true })))
+          .filter((p) => adapterFor(p) && !restored.has(p.pairAddr.toLowerCase()));
+        const joined = await filterByLiquidity(fresh);
+        filteredPools.push(...joined);
+        if (fresh.length) console.log(`[warmstart] 🏭 ${fresh.length} pools new to the registry; ${joined.length} joined`);
       } catch (e) {
-        console.warn('Balancer discovery error:', e?.message || e);
+        console.warn('[warmstart] registry sync failed:', e?.message || e);
       }
+    } else {
+      filteredPools = await bootstrapPools(snap, adapters);
     }
-
-    // 2) Liquidity filter via CoinGecko + decimals
-    const allTokens = [...new Set(discovered.flatMap(p => [p.token0, p.token1]).filter(isAddr))];
-    const prices = await getTokenPrices(allTokens);
-
-    const filteredPools = [];
-    for (const p of discovered) {
-      try {
-        const [dec0, dec1] = await Promise.all([getDecimals(p.token0), getDecimals(p.token1)]);
-        const p0 = Number(prices[p.token0?.toLowerCase()]?.usd || 0);
-        const p1 = Number(prices[p.token1?.toLowerCase()]?.usd || 0);
-        const r0 = toNum(p.reserve0, 0);
-        const r1 = toNum(p.reserve1, 0);
-        const liq0 = p0 * (r0 / safePow10(dec0));
-        const liq1 = p1 * (r1 / safePow10(dec1));
-        const liquidityUSD = (Number.isFinite(liq0) ? liq0 : 0) + (Number.isFinite(liq1) ? liq1 : 0);
-        if (Number.isFinite(liquidityUSD) && liquidityUSD >= MIN_LIQUIDITY_USD) {
-          filteredPools.push({ ...p, decimals0: dec0, decimals1: dec1 });
-        }
-      } catch {}
-    }
+    const checkpoints = { ...(warm?.checkpoints || {}) };   // poller -> last scanned block
 
     // 3) Index
     const poolsByPairKey = Object.create(null);
     const poolsByAddr    = Object.create(null);
-    const poolsByToken   = Object.create(null);
     for (const p of filteredPools) {
       const key = pairKey(p.token0, p.token1);
       (poolsByPairKey[key] ||= []).push(p);
-      poolsByAddr[p.pairAddr.toLowerCase()] = p;
-      (poolsByToken[p.token0] ||= []).push(p);
-      (poolsByToken[p.token1] ||= []).push(p);
+      poolsByAddr[(p.viewKey || p.pairAddr).toLowerCase()] = p;
     }
+    const cycleIndex = createCycleIndex(createArbGraph([], { rate: netRateFor }));
+    for (const p of filteredPools) cycleIndex.addPool(p);
+    const idx = cycleIndex.stats();
+    console.log(`[cycleindex] 🧭 ${idx.cycles} cycles over ${idx.pools} pools${idx.truncatedPools ? ` (${idx.truncatedPools} pools hit CYCLE_INDEX_MAX_PER_POOL/CYCLE_INDEX_MAX_VISITS)` : ''}`);
+
+    dropPool = (pool, reason) => {
+      if (pool.dropped) return;
+      pool.dropped = true;
+      const key = pairKey(pool.token0, pool.token1);
+      poolsByPairKey[key] = (poolsByPairKey[key] || []).filter((p) => p !== pool);
+      delete poolsByAddr[(pool.viewKey || pool.pairAddr).toLowerCase()];
+      const removed = cycleIndex.removePool(pool);
+      // Last view of the address gone: nothing can find its opportunities again, so close them now
+      if (!cycleIndex.has(pool.pairAddr)) {
+        directOpps.settle(pool.pairAddr, new Set(), { reason: 'dropped' });
+        cycleOpps.settle(pool.pairAddr, new Set(), { reason: 'dropped' });
+        if (pool.__kind === 'v3') dropTicks(pool.pairAddr);
+      }
+      if (pool.__kind === 'v2' || pool.__kind === 'v3') {
+        const registry = loadPoolRegistry();
+        registry.remove(pool.pairAddr);
+        registry.save();
+      }
+      console.log(`[cycleindex] ✂️ ${pool.viewKey || pool.pairAddr} dropped (${reason}); ${removed} cycles removed`);
+    };
 
-    // Address lists by style
-    const v2AddrList = Object.keys(poolsByAddr).filter(a => (poolsByAddr[a].__kind || '').toLowerCase() === 'v2');
-    const v3AddrList = Object.keys(poolsByAddr).filter(a => (poolsByAddr[a].__kind || '').toLowerCase() === 'v3');
+    // 4) Start one poller per adapter (checkpointed under its name)
+    const stopPollers = adapters.map((adapter) => startSwapPoll(adapter, poolsByAddr, poolsByPairKey, cycleIndex, ARB_THRESHOLD, {
+      pollMs: POLL_MS, lookbackBlocks: LOOKBACK_BLOCKS, maxRange: MAX_RANGE, addrBatch: ADDR_BATCH, maxSeen: MAX_SEEN,
+      startBlock: checkpoints[adapter.name] || 0, onCheckpoint: (b) => { checkpoints[adapter.name] = b; }
+    }));
 
-    // 4) Start pollers
-    const stopPollV2 = startSwapPollV2(v2AddrList, poolsByAddr, poolsByPairKey, poolsByToken, ARB_THRESHOLD, {
-      pollMs: POLL_MS, lookbackBlocks: LOOKBACK_BLOCKS, maxRange: MAX_RANGE, addrBatch: ADDR_BATCH, maxSeen: MAX_SEEN
-    });
-    const stopPollElastic = startSwapPollElastic(v3AddrList, poolsByAddr, poolsByPairKey, poolsByToken, ARB_THRESHOLD, {
-      pollMs: POLL_MS, lookbackBlocks: LOOKBACK_BLOCKS, maxRange: MAX_RANGE, addrBatch: ADDR_BATCH, maxSeen: MAX_SEEN
+    // Warm-start snapshot: periodically and on shutdown
+    const saveSnapshot = () => saveWarmStart({
+      pools: Object.values(poolsByAddr), decimals: decimalsCache, tokenUsd, checkpoints,
     });
+    const snapshotTimer = setInterval(saveSnapshot, WARM_START_SAVE_MS);
+    snapshotTimer.unref?.();
 
-    // Balancer poller (if discovered any)
-    let stopPollBal = null;
-    if (BALANCER_VAULT && Object.keys(balancerPoolIdToAddr).length > 0) {
-      stopPollBal = startSwapPollBalancer(BALANCER_VAULT, balancerPoolIdToAddr, poolsByAddr, poolsByPairKey, poolsByToken, ARB_THRESHOLD, {
-        pollMs: POLL_MS, lookbackBlocks: LOOKBACK_BLOCKS, maxRange: MAX_RANGE, maxSeen: MAX_SEEN
-      });
-    }
+    // Graceful stop, armed before the startup scan so an interrupt during it still saves the snapshot
+    let shuttingDown = false;
+    const shutdown = async (code = 0) => {
+      if (shuttingDown) return; shuttingDown = true;
+      console.log('[shutdown] Flushing…');
+      try {
+        for (const stop of stopPollers) {
+          if (typeof stop === 'function') { try { stop(); } catch {} }
+        }
+        directOpps.close();
+        cycleOpps.close();
+        directJournal.close();
+        triJournal.close();
+        store.close();
+        clearInterval(snapshotTimer);
+        saveSnapshot();
+      } catch (e) { console.error('[shutdown] error:', e?.message || e); }
+      setTimeout(() => process.exit(code), 250);
+    };
+    process.on('SIGINT',  () => shutdown(0));
+    process.on('SIGTERM', () => shutdown(0));
 
-    // 5) Offline direct + tri arbs (unchanged)
-    const directArbs = [];
+    // 5) Offline direct + tri arbs, tracked like the pollers' finds (open ones from a recent run are updated, not duplicated)
+    const startup = { source: 'startup_scan' };
+    let directCount = 0, triCount = 0;
     for (let i = 0; i < filteredPools.length; i++) {
       for (let j = i + 1; j < filteredPools.length; j++) {
         const A = filteredPools[i], B = filteredPools[j];
@@ -1073,83 +1208,35 @@ process.on('uncaughtException', (err) => { console.error('[uncaughtException]',
         const [base, quote] = pairKey(A.token0, A.token1).split('|');
         const priceA = priceFor(A, base, quote);
         const priceB = priceFor(B, base, quote);
-        const edge = estimateDirectEdge(priceA, priceB);
+        const edge = estimateDirectEdge(priceA, priceB, feeOf(A), feeOf(B));
         if (edge <= 0) continue;
 
-        const est = edgeToProfitUSD(edge);
+        const est = sizeDirect(A, B, base, quote)?.estProfitUSD ?? 0;
         if (est >= MIN_PROFIT_USD) {
-          directArbs.push({
-            token0: base, token1: quote,
-            dexA: A.dex, dexB: B.dex,
-            routerA: dexToRouter(A.dex), routerB: dexToRouter(B.dex),
-            styleA: A.__kind || 'v2', styleB: B.__kind || 'v2',
-            feeA: null, feeB: null,
-            priceA, priceB, poolAddrA: A.pairAddr, poolAddrB: B.pairAddr,
-            edge, estProfitUSD: est
-          });
+          const q = await recheckDirect(A, B, base, quote, snap);
+          if (!q || q.edge <= 0 || q.estProfitUSD < MIN_PROFIT_USD) continue;
+          observeDirect(A, B, base, quote, q, startup);
+          directCount++;
         }
       }
     }
 
-    const triArbs = [];
-    const poolsByTokenScan = Object.create(null);
-    for (const pool of filteredPools) {
-      (poolsByTokenScan[pool.token0] ||= []).push(pool);
-      (poolsByTokenScan[pool.token1] ||= []).push(pool);
-    }
-    for (const tokenA of Object.keys(poolsByTokenScan)) {
-      for (const p1 of poolsByTokenScan[tokenA]) {
-        const tokenB = p1.token0 === tokenA ? p1.token1 : p1.token0;
-        for (const p2 of (poolsByTokenScan[tokenB] || [])) {
-          const tokenC = p2.token0 === tokenB ? p2.token1 : p2.token0;
-          if (tokenC === tokenA) continue;
-          for (const p3 of (poolsByTokenScan[tokenC] || [])) {
-            const closes = (p3.token0 === tokenC && p3.token1 === tokenA) || (p3.token1 === tokenC && p3.token0 === tokenA);
-            if (!closes) continue;
-
-            const cycleRate = rateFor(p1, tokenA, tokenB) * rateFor(p2, tokenB, tokenC) * rateFor(p3, tokenC, tokenA);
-            const edge = estimateTriEdge(cycleRate);
-            if (edge <= 0) continue;
-
-            const est = edgeToProfitUSD(edge);
-            if (est >= MIN_PROFIT_USD) {
-              triArbs.push({
-                route: [tokenA, tokenB, tokenC, tokenA],
-                pools: [p1.pairAddr, p2.pairAddr, p3.pairAddr],
-                dexs:  [p1.dex,      p2.dex,      p3.dex],
-                routers: [dexToRouter(p1.dex), dexToRouter(p2.dex), dexToRouter(p3.dex)],
-                styles:  [p1.__kind || 'v2', p2.__kind || 'v2', p3.__kind || 'v2'],
-                fees: [null, null, null],
-                cycleRate, edge, estProfitUSD: est
-              });
-            }
-          }
-        }
-      }
+    // Indexed rings plus the base-token search (ARB_BASE_TOKENS / ARB_BASE_TOP), which also reaches rings the index truncated
+    const cycles = new Map(cycleIndex.profitable().map((c) => [c.id, c]));
+    for (const c of cycleIndex.fromBases()) if (!cycles.has(c.id)) cycles.set(c.id, c);
+    for (const cycle of cycles.values()) {
+      const est = sizeCycle(cycle.pools, cycle.tokens)?.estProfitUSD ?? 0;
+      if (est < MIN_PROFIT_USD) continue;
+      const q = await recheckCycle(cycle.pools, cycle.tokens, snap);
+      if (!q || q.edge <= 0 || q.estProfitUSD < MIN_PROFIT_USD) continue;
+      observeCycle(cycle, q, startup);
+      triCount++;
     }
 
-    directArbs.sort((a,b)=>b.estProfitUSD-a.estProfitUSD);
-    triArbs.sort((a,b)=>b.estProfitUSD-a.estProfitUSD);
-    writeJsonAtomic('direct_pool.json', directArbs);
-    writeJsonAtomic('tri_pool.json',    triArbs);
-    console.log(`Saved ${directArbs.length} direct and ${triArbs.length} triangular arbs (≥ $${MIN_PROFIT_USD})`);
-
-    // Graceful stop
-    let shuttingDown = false;
-    const shutdown = async (code = 0) => {
-      if (shuttingDown) return; shuttingDown = true;
-      console.log('[shutdown] Flushing…');
-      try {
-        writeJsonAtomic('direct_pool.json', directArbs);
-        writeJsonAtomic('tri_pool.json',    triArbs);
-        if (typeof stopPollV2 === 'function')    { try { stopPollV2(); } catch {} }
-        if (typeof stopPollElastic === 'function'){ try { stopPollElastic(); } catch {} }
-        if (typeof stopPollBal === 'function')   { try { stopPollBal(); } catch {} }
-      } catch (e) { console.error('[shutdown] error:', e?.message || e); }
-      setTimeout(() => process.exit(code), 250);
-    };
-    process.on('SIGINT',  () => shutdown(0));
-    process.on('SIGTERM', () => shutdown(0));
+    // Pollers open, update and close from here on; the views carry the open set
+    directJournal.compact();
+    triJournal.compact();
+    console.log(`Found ${directCount} direct and ${triCount} triangular arbs (≥ $${MIN_PROFIT_USD}); ${directOpps.stats().open + cycleOpps.stats().open} open`);
 
   } catch (fatal) {
     console.error('Fatal error in poolfetcher:', fatal?.message || fatal);
@@ -0,0 +1,76 @@
+// poolregistry.js — persistent pool registry keyed by pool address (dex, style, tokens, fee, creation block, factory)
+// Also keeps a per-factory discovery cursor so each run only scans what is new since the last one.
+// Persisted through store.js: pools.<profile>.json, or the pools / pool_factories tables with STORE_BACKEND=sqlite.
+import 'dotenv/config';
+import { getStore, REGISTRY_FILE } from './store.js';
+
+export { REGISTRY_FILE };
+
+const lower = (a) => String(a || '').toLowerCase();
+
+/**
+ * Load (or start) the registry for the active chain. Entries kept for another chain id are
+ * ignored rather than mixed in. Nothing is written until save().
+ */
+export function loadPoolRegistry(store = getStore()) {
+  let prev = null;
+  try { prev = store.pools.load(); }
+  catch (e) { console.warn(`[poolregistry] ⚠️ Could not load the registry (${e?.message || e}); starting empty`); }
+  const pools = new Map(Object.entries(prev?.pools || {}));
+  const factories = new Map(Object.entries(prev?.factories || {}));
+  let dirty = false;
+
+  return {
+    get size() { return pools.size; },
+    has: (addr) => pools.has(lower(addr)),
+    get: (addr) => pools.get(lower(addr)) || null,
+    entries: () => [...pools.entries()],
+
+    /** Record a pool; true when it was not known yet. Later sightings only fill fields still missing. */
+    add(addr, entry) {
+      const key = lower(addr);
+      const cur = pools.get(key);
+      const next = {
+        dex: entry.dex,
+        style: entry.style,
+        token0: lower(entry.token0),
+        token1: lower(entry.token1),
+        feeBps: entry.feeBps ?? null,
+        createdBlock: entry.createdBlock ?? null,
+        factory: lower(entry.factory) || null,
+      };
+      if (cur) {
+        for (const [k, v] of Object.entries(next)) if (cur[k] == null && v != null) { cur[k] = v; dirty = true; }
+        return false;
+      }
+      pools.set(key, next);
+      dirty = true;
+      return true;
+    },
+
+    remove(addr) {
+      if (pools.delete(lower(addr))) dirty = true;
+    },
+
+    /** Discovery progress for one factory: { dex, lastBlock, pairsIndexed } */
+    cursor: (factory) => ({ ...(factories.get(lower(factory)) || {}) }),
+    setCursor(factory, patch) {
+      const key = lower(factory);
+      factories.set(key, { ...(factories.get(key) || {}), ...patch });
+      dirty = true;
+    },
+
+    /** Atomic write (tmp + rename, or one transaction); a no-op when nothing changed */
+    save() {
+      if (!dirty) return;
+      try {
+        store.pools.save({ factories: Object.fromEntries(factories), pools: Object.fromEntries(pools) });
+        dirty = false;
+      } catch (e) {
+        console.error(`[poolregistry] Failed to save the registry (${store.backend}):`, e?.message || e);
+      }
+    },
+  };
+}
+
+export default { REGISTRY_FILE, loadPoolRegistry };
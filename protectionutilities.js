@@ -2,28 +2,16 @@
 // Utilities for risk checks, gas, balances, v2/v3 state, and composed guard.
 
 import "dotenv/config";
-import fs from "fs";
 import { ethers } from "ethers";
 
 import { getReadProvider} from './dataprovider.js';
+import { withRpcPriority, PRIORITY } from './rpcscheduler.js';
+import { createCallBatcher } from './multicall.js';
+import { loadTicksAt, quoteExactInput } from './v3quoter.js';
+import { getStore } from './store.js';
 
-// RPC Concurrency Limiter (upgraded to FIFO, no spin)
-// ===========================================================
-const MAX_CONCURRENT_REQUESTS = 2;
-let __active = 0;
-const __waiters = [];
-async function safeRpcCall(fn) {
-  if (__active >= MAX_CONCURRENT_REQUESTS) {
-    await new Promise((res) => __waiters.push(res));
-  }
-  __active++;
-  try {
-    return await fn();
-  } finally {
-    __active--;
-    if (__waiters.length) __waiters.shift()();
-  }
-}
+// RPC concurrency, rate budget and 429 backoff are handled process-wide by rpcscheduler.js;
+// pre-trade checks (assessGas, reserveTradeCheck) run at CRITICAL priority.
 
 async function supportsMethod(provider, address, selector) {
   try {
@@ -45,7 +33,6 @@ const GAS_LIMIT_MAX = BigInt(process.env.GAS_LIMIT_MAX || "2000000");
 const GAS_PRICE_TIMEOUT_MS = Number(process.env.GAS_PRICE_TIMEOUT_MS || 1200);
 const ESTIMATE_GAS_TIMEOUT_MS = Number(process.env.ESTIMATE_GAS_TIMEOUT_MS || 1800);
 
-const MEV_FILE = process.env.MEV_FILE || "./mev_queue.json";
 const MEV_LOOKBACK_MS = Number(process.env.MEV_LOOKBACK_MS || 10_000);
 const CHAINLINK_STALE_SECONDS = Number(process.env.CHAINLINK_STALE_SECONDS || 180);
 
@@ -68,7 +55,7 @@ async function readCall(label, fn, timeoutMs) {
   try {
     const provider = await getReadProvider();
     return await withTimeout(
-      safeRpcCall(() => fn(provider)), // ✅ limiter applied
+      fn(provider),
       timeoutMs ?? 5000,
       `${label}_timeout`
     );
@@ -77,7 +64,7 @@ async function readCall(label, fn, timeoutMs) {
     await readFailover(label);
     const provider = await getReadProvider();
     return await withTimeout(
-      safeRpcCall(() => fn(provider)), // ✅ limiter on retry
+      fn(provider),
       timeoutMs ?? 5000,
       `${label}_timeout_retry`
     );
@@ -87,7 +74,7 @@ async function readCall(label, fn, timeoutMs) {
 async function readCallWithProvider(label, provider, fn, timeoutMs) {
   try {
     return await withTimeout(
-      safeRpcCall(() => fn(provider)),
+      fn(provider),
       timeoutMs ?? 5000,
       `${label}_timeout`
     );
@@ -96,7 +83,7 @@ async function readCallWithProvider(label, provider, fn, timeoutMs) {
     await readFailover(label);
     const newProvider = await getReadProvider();
     return await withTimeout(
-      safeRpcCall(() => fn(newProvider)),
+      fn(newProvider),
       timeoutMs ?? 5000,
       `${label}_timeout_retry`
     );
@@ -128,6 +115,8 @@ const V2_PAIR_ABI = [
 const V3_POOL_ABI = [
   "function liquidity() view returns (uint128)",
   "function slot0() view returns (uint160 sqrtPriceX96,int24 tick,uint16 observationIndex,uint16 observationCardinality,uint16 observationCardinalityNext,uint8 feeProtocol,bool unlocked)",
+  "function fee() view returns (uint24)",
+  "function tickSpacing() view returns (int24)",
   "function token0() view returns (address)",
   "function token1() view returns (address)",
 ];
@@ -169,7 +158,7 @@ export const validateSlippage = (expectedOut, minOut) => {
 };
 
 // 2) GAS (EIP-1559 aware)
-export const assessGas = async (txRequest) => {
+export const assessGas = (txRequest) => withRpcPriority(PRIORITY.CRITICAL, async () => {
   // Get fee data (legacy + EIP-1559)
   const fee = await readCall(
     "feeData",
@@ -241,7 +230,7 @@ export const assessGas = async (txRequest) => {
         }
       : { gasPrice: fee.gasPrice }),
   };
-};
+});
 
 // Small helper to evaluate profit thresholds (USD + relative bps)
 export function meetsProfitThresholdUSD(profitUsd, notionalUsd) {
@@ -484,37 +473,17 @@ export const getV3State = async (pool) => {
   return res;
 };
 
-// 11) MEV RISK (with pruning)
+// 11) MEV RISK (read-only: the scanner prunes the queue on its own retention)
 export const isMEVRisk = () => {
   try {
-    if (!fs.existsSync(MEV_FILE)) return { risk: false };
-    const raw = fs.readFileSync(MEV_FILE, "utf-8");
-    const q = JSON.parse(raw);
-    if (!Array.isArray(q)) return { risk: false };
-    const now = Date.now();
-    const keep = [];
-    let recent = false;
-    for (const e of q) {
-      const ts = e?.timestamp ?? 0;
-      if (now - ts < MEV_LOOKBACK_MS) {
-        recent = true;
-        keep.push(e);
-      }
-    }
-    // prune old entries (best-effort, ignore write errors)
-    if (keep.length !== q.length) {
-      try {
-        fs.writeFileSync(MEV_FILE, JSON.stringify(keep));
-      } catch {}
-    }
-    return { risk: recent };
+    return { risk: getStore().mev.recent(MEV_LOOKBACK_MS).length > 0 };
   } catch {
     return { risk: true };
   }
 };
 
 // 12) RESERVE TRADE CHECK (safer math, unified read path)
-export const reserveTradeCheck = async ({
+export const reserveTradeCheck = ({
   provider,
   poolType,
   poolAddress,
@@ -522,7 +491,7 @@ export const reserveTradeCheck = async ({
   tokenIn,
   desiredAmount,
   slippagePercent = 1,
-}) => {
+}) => withRpcPriority(PRIORITY.CRITICAL, async () => {
   try {
   	// Skip contracts that don't have factory-like read functions
 const hasReserves = await supportsMethod(provider, poolAddress, '0x0902f1ac'); // getReserves()
@@ -590,24 +559,44 @@ if (!hasReserves && !hasToken0 && !hasSlot0) {
         `v3.slot0:${poolAddress}`,
         provider,
         async (p) => {
+          // Pool state and ticks all from one block; the ticks are read fresh for it, not taken from the shared cache
+          const blockTag = await p.getBlockNumber();
           const c = new ethers.Contract(poolAddress, V3_POOL_ABI, p);
-          const [slot0, liquidity, t0, t1] = await Promise.all([
-            c.slot0(),
-            c.liquidity(),
+          const [slot0, liquidity, t0, t1, fee, tickSpacing] = await Promise.all([
+            c.slot0({ blockTag }),
+            c.liquidity({ blockTag }),
             c.token0(),
             c.token1(),
+            c.fee().catch(() => null),
+            c.tickSpacing().catch(() => null),
           ]);
           const liq = BigInt(liquidity);
-          const sqrtPriceX96 = (slot0 && (slot0.sqrtPriceX96 ?? slot0[0])) ?? 0n;
-          return { liq, t0, t1, sqrtPriceX96 };
+          const sqrtPriceX96 = BigInt((slot0 && (slot0.sqrtPriceX96 ?? slot0[0])) ?? 0n);
+          const tick = Number(slot0?.tick ?? slot0?.[1] ?? 0);
+          // Simulate the swap over initialized ticks instead of trusting in-range liquidity alone
+          const pool = {
+            pairAddr: poolAddress, sqrtPriceX96, tick, liquidity: liq,
+            feeBps: fee == null ? null : Number(fee) / 100,
+            tickSpacing: tickSpacing == null ? null : Number(tickSpacing),
+          };
+          const ticks = await loadTicksAt(createCallBatcher(() => p, blockTag).read, pool, { block: blockTag }).catch(() => null);
+          return { liq, t0, t1, sqrtPriceX96, pool: ticks && fee != null ? pool : null, ticks };
         },
         5000
       ).catch(() => null);
 
       if (!out) return { safeAmount: 0n, info: null };
 
-      let safeAmount = (out.liq * BigInt(100 - slippagePercent)) / 100n;
       const want = BigInt(desiredAmount);
+      const zeroForOne = out.t0.toLowerCase() === tokenIn.toLowerCase();
+      let quote = null;
+      if (out.pool && want > 0n) {
+        // Stop where the price has moved slippagePercent against us (sqrtPrice moves by its square root)
+        const k = BigInt(Math.floor(Math.sqrt((100 + (zeroForOne ? -slippagePercent : slippagePercent)) / 100) * 1e9));
+        quote = quoteExactInput(out.pool, zeroForOne, want, { sqrtPriceLimitX96: (out.sqrtPriceX96 * k) / 1_000_000_000n, ticks: out.ticks });
+      }
+
+      let safeAmount = quote ? quote.amountIn : (out.liq * BigInt(100 - slippagePercent)) / 100n;
       if (want < safeAmount) safeAmount = want;
       return {
         safeAmount,
@@ -616,6 +605,11 @@ if (!hasReserves && !hasToken0 && !hasSlot0) {
           token1: out.t1,
           liquidity: out.liq,
           sqrtPriceX96: out.sqrtPriceX96,
+          ...(quote && {
+            amountOut: quote.amountOut,
+            sqrtPriceX96After: quote.sqrtPriceX96,
+            ticksCrossed: quote.ticksCrossed,
+          }),
         },
       };
     }
@@ -625,7 +619,7 @@ if (!hasReserves && !hasToken0 && !hasSlot0) {
     console.error("Reserve trade check failed:", err);
     return { safeAmount: 0n, info: null };
   }
-};
+});
 // ---------- COMPOSED GUARD ----------
 export const runProtections = async (params) => {
   const t0 = Date.now();
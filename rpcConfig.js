@@ -1,34 +1,43 @@
-// rpcConfig.js — Polygon RPC configuration with .env support
+// rpcConfig.js — RPC configuration for the active chain profile (chainprofile.js) with .env support
 
 import 'dotenv/config'; // Load .env variables at the very top
+import { ACTIVE_PROFILE } from './chainprofile.js';
 
 // ---------------------------
-// CHAIN ID
+// CHAIN
+// Select with CHAIN_PROFILE=polygon|arbitrum|base (or a chain id); see chainprofiles.json
 // ---------------------------
-export const POLYGON_CHAIN_ID = Number(process.env.POLYGON_CHAIN_ID || 137);
+export const CHAIN_PROFILE = ACTIVE_PROFILE.name;
+export const CHAIN_ID = ACTIVE_PROFILE.name === 'polygon'
+  ? Number(process.env.POLYGON_CHAIN_ID || ACTIVE_PROFILE.chainId)
+  : ACTIVE_PROFILE.chainId;
 
 // ---------------------------
 // WRITE RPC
+// Example .env: WRITE_RPC_URL=https://rpc  (or WRITE_RPC_URL__42161=... per chain)
 // ---------------------------
-export const WRITE_RPC_URL = process.env.WRITE_RPC_URL || 
-  "https://polygon-mainnet.infura.io/v3/97f1f37afc6d4f4bb416388dee0f8b46";
+export const WRITE_RPC_URL = ACTIVE_PROFILE.writeRpc;
 
 // ---------------------------
 // READ RPCs
-// Comma-separated in .env, fallback to hardcoded list
-// Example .env: POLYGON_RPCS=https://rpc1,https://rpc2,https://rpc3
-// ---------------------------
-export const POLYGON_RPCS = process.env.POLYGON_RPCS
-  ? process.env.POLYGON_RPCS.split(',').map((u) => u.trim()).filter(Boolean)
-  : [
-      "https://polygon-mainnet.g.alchemy.com/v2/C3-3l0i9jKmV2y_07pPCd",
-      "https://polygon-mainnet.infura.io/v3/18f4f2e1325b4831aa19e725550061f6",
-      "https://polygon-mainnet.infura.io/v3/62f1d3e20462487898ff7733ecdda2f4",
-      "https://polygon-mainnet.core.chainstack.com/c563a3c2726932e669d1cb5f72dfa75a",
-      "https://polygon-mainnet.core.chainstack.com/e0149669ba321c1de3cd1d322d1e184d",
-      "https://polygon-mainnet.core.chainstack.com/c985c973d8bb05b487cdaa92c949a595",
-      "https://polygon-mainnet.public.blastapi.io"
-    ];
+// Comma-separated in .env, fallback to the profile's list
+// Example .env: RPCS=https://rpc1,https://rpc2  (or RPCS__8453=...; POLYGON_RPCS still works on polygon)
+// ---------------------------
+export const READ_RPCS = ACTIVE_PROFILE.rpcs;
+
+// ---------------------------
+// WebSocket RPCs (optional)
+// Comma-separated; when set, pollers and the block scanner subscribe over WS and fall back to HTTP polling
+// Example .env: WS_RPCS=wss://rpc1,wss://rpc2  (or WS_RPCS__137=...; POLYGON_WS_RPCS still works on polygon)
+// ---------------------------
+export const WS_RPCS = ACTIVE_PROFILE.wsRpcs;
+
+// ---------------------------
+// Polygon-era names, kept for existing imports
+// ---------------------------
+export const POLYGON_CHAIN_ID = CHAIN_ID;
+export const POLYGON_RPCS = READ_RPCS;
+export const POLYGON_WS_RPCS = WS_RPCS;
 
 // ---------------------------
 // READ RPC Timeout (ms)
@@ -38,15 +47,20 @@ export const READ_RPC_TIMEOUT_MS = Number(process.env.READ_RPC_TIMEOUT_MS || 150
 // ---------------------------
 // Validation checks
 // ---------------------------
-if (!WRITE_RPC_URL) throw new Error("WRITE_RPC_URL is missing in .env or fallback");
-if (!Array.isArray(POLYGON_RPCS) || POLYGON_RPCS.length === 0) throw new Error("POLYGON_RPCS is empty");
+if (!WRITE_RPC_URL) throw new Error(`WRITE_RPC_URL is missing in .env or the "${CHAIN_PROFILE}" profile`);
+if (!Array.isArray(READ_RPCS) || READ_RPCS.length === 0) throw new Error(`No read RPCs for the "${CHAIN_PROFILE}" profile`);
 
 // ---------------------------
 // Export ready to use
 // ---------------------------
 export default {
-  POLYGON_CHAIN_ID,
+  CHAIN_PROFILE,
+  CHAIN_ID,
   WRITE_RPC_URL,
+  READ_RPCS,
+  WS_RPCS,
+  POLYGON_CHAIN_ID,
   POLYGON_RPCS,
+  POLYGON_WS_RPCS,
   READ_RPC_TIMEOUT_MS,
 };
\ No newline at end of file
@@ -0,0 +1,174 @@
+// rpcscheduler.js — process-wide JSON-RPC scheduler: one in-flight cap, per-endpoint rate budgets, priority classes, 429 backoff
+import 'dotenv/config';
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+/* ----------------------------
+   Tunables
+---------------------------- */
+const MAX_IN_FLIGHT     = Math.max(1, Number(process.env.RPC_CONCURRENCY || process.env.MAX_CONCURRENT_RPC || 8));
+const CRITICAL_RESERVE  = Math.min(MAX_IN_FLIGHT - 1, Math.max(0, Number(process.env.RPC_CRITICAL_RESERVE ?? 1)));
+const RATE_PER_SEC      = Math.max(0, Number(process.env.RPC_RATE_PER_SEC || 25));   // per endpoint; 0 = unlimited
+const RATE_BURST        = Math.max(1, Number(process.env.RPC_RATE_BURST || RATE_PER_SEC || 1));
+const BACKOFF_BASE_MS   = Math.max(50, Number(process.env.RPC_BACKOFF_BASE_MS || 500));
+const BACKOFF_MAX_MS    = Math.max(BACKOFF_BASE_MS, Number(process.env.RPC_BACKOFF_MAX_MS || 30_000));
+const RATE_LIMIT_RETRIES = Math.max(0, Number(process.env.RPC_RATE_LIMIT_RETRIES ?? 2));
+
+/** Lower number = served first. Critical reads also get the reserved in-flight slot(s). */
+export const PRIORITY = Object.freeze({ CRITICAL: 0, NORMAL: 1, DISCOVERY: 2 });
+const PRIORITY_NAMES = Object.keys(PRIORITY);
+
+/* ----------------------------
+   Priority context
+---------------------------- */
+const priorityCtx = new AsyncLocalStorage();
+
+/** Run fn with every RPC it issues (directly or via ethers) scheduled at `priority` */
+export function withRpcPriority(priority, fn) {
+  return priorityCtx.run(priority, fn);
+}
+
+export function currentPriority() {
+  return priorityCtx.getStore() ?? PRIORITY.NORMAL;
+}
+
+/* ----------------------------
+   Per-endpoint budget (token bucket + 429 backoff)
+---------------------------- */
+const budgets = new Map();
+
+function budgetFor(key) {
+  let b = budgets.get(key);
+  if (!b) {
+    b = { tokens: RATE_BURST, refilledAt: Date.now(), backoffUntil: 0, strikes: 0, rateLimited: 0 };
+    budgets.set(key, b);
+  }
+  return b;
+}
+
+function refill(b, now) {
+  if (!RATE_PER_SEC) return;
+  b.tokens = Math.min(RATE_BURST, b.tokens + ((now - b.refilledAt) / 1000) * RATE_PER_SEC);
+  b.refilledAt = now;
+}
+
+/** ms until this endpoint may send again (0 = now) */
+function waitFor(b, now) {
+  if (b.backoffUntil > now) return b.backoffUntil - now;
+  if (!RATE_PER_SEC) return 0;
+  refill(b, now);
+  return b.tokens >= 1 ? 0 : Math.ceil(((1 - b.tokens) / RATE_PER_SEC) * 1000);
+}
+
+/** True for HTTP 429 and the JSON-RPC "rate limited" shapes public Polygon RPCs return */
+export function isRateLimitError(err) {
+  if (err?.response?.statusCode === 429) return true;
+  // ethers escalates a 429 it won't retry to "599 ... (429 Too Many Requests; ...)"
+  if (/\b429\b/.test(String(err?.info?.responseStatus || ''))) return true;
+  const code = err?.error?.code ?? err?.info?.error?.code;
+  if (code === -32005 || code === -32029) return true;
+  const msg = `${err?.error?.message || ''} ${err?.shortMessage || err?.message || ''}`;
+  return /\b429\b|rate.?limit|too many requests|request limit/i.test(msg);
+}
+
+function retryAfterMs(err) {
+  const h = err?.response?.headers?.['retry-after'];
+  if (typeof h === 'string' && /^\d+$/.test(h)) return Number(h) * 1000;
+  return 0;
+}
+
+function noteRateLimited(key, err) {
+  const b = budgetFor(key);
+  b.strikes++;
+  b.rateLimited++;
+  const backoff = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (b.strikes - 1));
+  const delay = Math.max(retryAfterMs(err), backoff + Math.floor(Math.random() * BACKOFF_BASE_MS));
+  b.backoffUntil = Math.max(b.backoffUntil, Date.now() + delay);
+  b.tokens = 0;
+  console.warn(`[rpcscheduler] ⏳ ${key} rate-limited; backing off ${delay}ms (strike ${b.strikes})`);
+}
+
+/* ----------------------------
+   Dispatcher
+---------------------------- */
+let inFlight = 0;
+const waiting = PRIORITY_NAMES.map(() => []);   // one FIFO per priority class
+let wakeTimer = null;
+
+function slotsFor(priority) {
+  return priority === PRIORITY.CRITICAL ? MAX_IN_FLIGHT : MAX_IN_FLIGHT - CRITICAL_RESERVE;
+}
+
+function dispatch() {
+  const now = Date.now();
+  let nextWake = Infinity;
+  for (const queue of waiting) {
+    for (let i = 0; i < queue.length && inFlight < MAX_IN_FLIGHT; ) {
+      const w = queue[i];
+      if (inFlight >= slotsFor(w.priority)) break;
+      const b = budgetFor(w.key);
+      const ms = waitFor(b, now);
+      if (ms > 0) { nextWake = Math.min(nextWake, ms); i++; continue; }
+      if (RATE_PER_SEC) b.tokens -= w.weight;   // a JSON-RPC batch may overdraw; the debt delays what follows
+      queue.splice(i, 1);
+      inFlight++;
+      w.resolve();
+    }
+  }
+  if (nextWake !== Infinity && !wakeTimer) {
+    wakeTimer = setTimeout(() => { wakeTimer = null; dispatch(); }, nextWake);
+    wakeTimer.unref?.();
+  }
+}
+
+function acquire(key, priority, weight) {
+  return new Promise((resolve) => {
+    const p = Math.min(waiting.length - 1, Math.max(0, priority | 0));
+    waiting[p].push({ key, priority: p, weight, resolve });
+    dispatch();
+  });
+}
+
+function release() {
+  inFlight--;
+  dispatch();
+}
+
+/**
+ * Run one HTTP round trip against endpoint `key` under the shared budget. `weight` is the number
+ * of JSON-RPC requests it carries (batch size) and is charged against the endpoint's rate budget.
+ * Rate-limit responses put the endpoint into backoff and are retried (RPC_RATE_LIMIT_RETRIES);
+ * everything else is passed straight back to the caller.
+ */
+export async function scheduleRpc(key, fn, { priority = currentPriority(), weight = 1 } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    await acquire(key, priority, weight);
+    try {
+      const result = await fn();
+      budgetFor(key).strikes = 0;
+      return result;
+    } catch (err) {
+      if (!isRateLimitError(err)) throw err;
+      noteRateLimited(key, err);
+      if (attempt >= RATE_LIMIT_RETRIES) throw err;
+    } finally {
+      release();
+    }
+  }
+}
+
+/** Snapshot of queue depth and per-endpoint budget, for logs/diagnostics */
+export function getSchedulerStats() {
+  const now = Date.now();
+  return {
+    inFlight,
+    maxInFlight: MAX_IN_FLIGHT,
+    queued: Object.fromEntries(PRIORITY_NAMES.map((n, i) => [n.toLowerCase(), waiting[i].length])),
+    endpoints: [...budgets].map(([key, b]) => ({
+      key,
+      backoffMs: Math.max(0, b.backoffUntil - now),
+      rateLimited: b.rateLimited,
+    })),
+  };
+}
+
+export default { PRIORITY, withRpcPriority, currentPriority, scheduleRpc, isRateLimitError, getSchedulerStats };
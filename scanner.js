@@ -1,5 +1,4 @@
 import 'dotenv/config';
-import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { ethers } from 'ethers';
@@ -7,8 +6,11 @@ import { ethers } from 'ethers';
 import {
   getReadProvider,
   rotateProvider,
-  ensurePolygonNetwork,
+  ensureChainNetwork,
 } from './dataprovider.js';
+import { getSubscriptionFeed } from './wsfeed.js';
+import { ACTIVE_PROFILE } from './chainprofile.js';
+import { getStore } from './store.js';
 
 /* =========================
    Paths & Config
@@ -16,16 +18,13 @@ import {
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const MEV_FILE = path.join(process.cwd(), 'mev_queue.json'); // shared with other modules
+// MEV queue and routers live in store.js (mev_queue.json / the profile's routers file, or SQLite)
+const store = getStore();
 
-// Routers (targets) — optional file; reduces false positives when present
-let routers = {};
-try {
-  const raw = fs.readFileSync(path.join(__dirname, 'routers.json'), 'utf8');
-  routers = JSON.parse(raw || '{}');
-} catch {
-  routers = {};
-  console.warn('[scanner] routers.json missing/invalid; router-target checks will be reduced.');
+// Routers (targets) — optional; reduces false positives when present
+const routers = store.routers.get();
+if (!Object.keys(routers).length) {
+  console.warn(`[scanner] No routers for ${ACTIVE_PROFILE.name} (${ACTIVE_PROFILE.routersFile}); router-target checks will be reduced.`);
 }
 
 const ROUTER_SET = new Set(
@@ -46,32 +45,12 @@ const HIGH_GAS_LIMIT = (() => {
 const SCANNER_MEV_MAX_AGE_HOURS = Number(process.env.SCANNER_MEV_MAX_AGE_HOURS || 24);
 const MAX_AGE_MS = Math.max(1, SCANNER_MEV_MAX_AGE_HOURS) * 60 * 60 * 1000;
 
-function safeReadQueue() {
+// The scanner owns MEV retention; protectionutilities.isMEVRisk only reads the recent window
+function pruneMevQueue() {
   try {
-    if (!fs.existsSync(MEV_FILE)) return [];
-    const raw = fs.readFileSync(MEV_FILE, 'utf8');
-    const v = JSON.parse(raw || '[]');
-    return Array.isArray(v) ? v : [];
-  } catch {
-    return [];
-  }
-}
-
-function pruneMevQueue(now = Date.now()) {
-  try {
-    const queue = safeReadQueue();
-    if (!Array.isArray(queue) || queue.length === 0) return 0;
-    const cutoff = now - MAX_AGE_MS;
-    const fresh = queue.filter(e => {
-      const ts = Number(e?.timestamp || 0);
-      return Number.isFinite(ts) && ts >= cutoff;
-    });
-    if (fresh.length !== queue.length) {
-      fs.writeFileSync(MEV_FILE, JSON.stringify(fresh, null, 2));
-      console.log(`[scanner] Pruned MEV queue: kept ${fresh.length}, removed ${queue.length - fresh.length} (> ${SCANNER_MEV_MAX_AGE_HOURS}h old)`);
-      return queue.length - fresh.length;
-    }
-    return 0;
+    const removed = store.mev.prune(MAX_AGE_MS);
+    if (removed) console.log(`[scanner] Pruned MEV queue: removed ${removed} (> ${SCANNER_MEV_MAX_AGE_HOURS}h old)`);
+    return removed;
   } catch (e) {
     console.warn('[scanner] pruneMevQueue failed:', e?.message || e);
     return 0;
@@ -103,11 +82,10 @@ const V3_IFACE = new ethers.Interface([
 ========================= */
 function logToMevQueue(entry) {
   pruneMevQueue();
-  const queue = safeReadQueue();
-  if (!queue.some(q => q.hash === entry.hash)) {
-    queue.push(entry);
-    fs.writeFileSync(MEV_FILE, JSON.stringify(queue, null, 2));
-    console.log(`[scanner] MEV risk logged: ${entry.hash}`);
+  try {
+    if (store.mev.add(entry)) console.log(`[scanner] MEV risk logged: ${entry.hash}`);
+  } catch (e) {
+    console.warn('[scanner] logToMevQueue failed:', e?.message || e);
   }
 }
 
@@ -241,30 +219,14 @@ async function readFailover(reason = 'scanner_failover') {
 }
 
 /* =========================
-   Scanner (provider from dataprovider.js; HTTP-only polling)
+   Scanner (provider from dataprovider.js; HTTP polling, or newHeads over WS when WS RPCs are configured)
 ========================= */
 
-// 🔹 RPC Concurrency Limiter
-const MAX_CONCURRENT_REQUESTS = 3;
-const queue = [];
-
-async function safeRpcCall(fn) {
-  while (queue.length >= MAX_CONCURRENT_REQUESTS) {
-    await new Promise(r => setTimeout(r, 50));
-  }
-  queue.push(1);
-  try {
-    return await fn();
-  } finally {
-    queue.pop();
-  }
-}
-
 async function startScanner() {
   const label = '[READ]';
 
-  // Ensure we’re on Polygon (137); helpful early guard
-  try { await ensurePolygonNetwork(await getReadProvider()); }
+  // Ensure we’re on the active profile's chain; helpful early guard
+  try { await ensureChainNetwork(await getReadProvider()); }
   catch (e) {
     console.error(`${label} Wrong chain / RPC: ${e?.message || e}`);
     process.exit(2);
@@ -283,13 +245,17 @@ async function startScanner() {
   let lastProcessed = 0;
   const pollIntervalMs = 1500;
 
-  async function scanLatestBlock() {
+  let scanning = false;
+
+  async function scanLatestBlock(headHint) {
+    if (scanning) return;
+    scanning = true;
     try {
       const p = await getReadProvider();
-      const bn = await safeRpcCall(() => p.getBlockNumber());
+      const bn = headHint ?? await p.getBlockNumber();
       if (lastProcessed && bn <= lastProcessed) return;
 
-      const block = await safeRpcCall(() => p.getBlockWithTransactions(bn));
+      const block = await p.getBlockWithTransactions(bn);
       if (!block || !Array.isArray(block.transactions)) {
         lastProcessed = bn;
         return;
@@ -324,18 +290,24 @@ async function startScanner() {
       lastProcessed = bn;
     } catch (error) {
       console.warn(`${label} Error scanning block: ${error.message}`);
+    } finally {
+      scanning = false;
     }
   }
 
-  const poller = setInterval(scanLatestBlock, pollIntervalMs);
-  console.log(`${label} Polling latest blocks every ${pollIntervalMs}ms…`);
+  // WS newHeads drive the scan while the socket is live; the HTTP poll takes over when it drops
+  const feed = getSubscriptionFeed();
+  feed?.onHead((bn) => scanLatestBlock(bn));
+
+  const poller = setInterval(() => { if (!feed?.live) scanLatestBlock(); }, pollIntervalMs);
+  console.log(`${label} Polling latest blocks every ${pollIntervalMs}ms${feed ? ' (paused while WS newHeads are live)' : ''}…`);
 
   // Heartbeat to detect silent drops (rotate via dataprovider on failure)
   const hbIntervalMs = 15000;
   setInterval(async () => {
     try {
       const p = await getReadProvider();
-      await safeRpcCall(() => p.getBlockNumber());
+      await p.getBlockNumber();
     } catch {
       console.warn(`${label} Heartbeat failed. Rotating read RPC…`);
       await readFailover();
@@ -0,0 +1,53 @@
+// stableswap.js — StableSwap invariant shared by balancermath.js and curvemath.js
+// Balances are upscaled floats (18 decimals × token rate); A is the plain amplification (Curve's A(), Balancer's value / precision).
+
+const ITERATIONS = 255;
+
+/** Invariant D by Newton iteration from D = Σx */
+export function stableInvariant(A, balances) {
+  const n = balances.length;
+  const sum = balances.reduce((s, b) => s + b, 0);
+  if (!(sum > 0) || !(A > 0)) return 0;
+  let D = sum;
+  for (let it = 0; it < ITERATIONS; it++) {
+    let DP = D;
+    for (const b of balances) DP = (DP * D) / (b * n);
+    const prev = D;
+    D = ((A * n * sum + DP * n) * D) / ((A * n - 1) * D + (n + 1) * DP);
+    if (Math.abs(D - prev) <= prev * 1e-15) break;
+  }
+  return D;
+}
+
+/** Balance of token i that keeps invariant D given every other balance (balances[i] must be > 0; it cancels out) */
+export function stableBalanceGiven(A, balances, D, i) {
+  const n = balances.length;
+  let PD = balances[0] * n;
+  let sum = balances[0];
+  for (let k = 1; k < n; k++) {
+    PD = (PD * balances[k] * n) / D;
+    sum += balances[k];
+  }
+  sum -= balances[i];
+  const c = ((D * D) / (A * n * PD)) * balances[i];
+  const b = sum + D / (A * n);
+  let y = (D * D + c) / (D + b);
+  for (let it = 0; it < ITERATIONS; it++) {
+    const prev = y;
+    y = (y * y + c) / (2 * y + b - D);
+    if (Math.abs(y - prev) <= prev * 1e-15) break;
+  }
+  return y;
+}
+
+/** Output for dx of token i (both upscaled), before fees: balance j minus its balance at the same invariant */
+export function stableSwapOut(A, balances, i, j, dx) {
+  if (!(dx > 0) || balances.some((b) => !(b > 0))) return 0;
+  const D = stableInvariant(A, balances);
+  const next = balances.slice();
+  next[i] += dx;
+  const out = balances[j] - stableBalanceGiven(A, next, D, j);
+  return Number.isFinite(out) && out > 0 ? out : 0;
+}
+
+export default { stableInvariant, stableBalanceGiven, stableSwapOut };
@@ -0,0 +1,379 @@
+// store.js — persistence behind one repository API: tokens, routers, Chainlink price feeds, the pool registry, opportunities,
+// MEV entries and trades. STORE_BACKEND=json (default) keeps today's files; STORE_BACKEND=sqlite uses one local database
+// (better-sqlite3, optional dependency) in WAL mode, so several processes can read and write it at once and history is queryable.
+import 'dotenv/config';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+import { ACTIVE_PROFILE } from './chainprofile.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const require = createRequire(import.meta.url);
+
+/* ----------------------------
+   Tunables
+---------------------------- */
+// sqlite: tokenlist.json, the routers file and chainlinkpricefeed.json are re-imported on open whenever the file is newer
+// than its last import, so hand edits still take effect (and replace what was written to those tables since)
+export const STORE_BACKEND  = (process.env.STORE_BACKEND || 'json').toLowerCase();
+export const SQLITE_FILE    = path.resolve(__dirname, process.env.STORE_SQLITE_FILE || 'state.sqlite');
+const BUSY_TIMEOUT_MS       = Math.max(100, Number(process.env.STORE_BUSY_TIMEOUT_MS || 5000));
+const HISTORY_RETAIN_MS     = Math.max(3600_000, Number(process.env.STORE_HISTORY_RETAIN_MS || 30 * 24 * 3600_000)); // opportunity events, trades
+
+// JSON backend files (and the SQLite backend's import source)
+export const TOKENLIST_FILE = path.resolve(__dirname, 'tokenlist.json');
+export const PRICEFEED_FILE = path.resolve(__dirname, 'chainlinkpricefeed.json');
+export const MEV_FILE       = path.resolve(__dirname, process.env.MEV_FILE || 'mev_queue.json');
+export const REGISTRY_FILE  = path.resolve(__dirname, process.env.POOL_REGISTRY_FILE || `pools.${ACTIVE_PROFILE.name}.json`);
+
+const lower = (a) => String(a || '').toLowerCase();
+const bigintSafe = (_, x) => (typeof x === 'bigint' ? x.toString() : x);
+const toJson = (v) => JSON.stringify(v, bigintSafe);
+const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+
+/* ----------------------------
+   JSON backend
+---------------------------- */
+function readJson(file, fallback) {
+  try {
+    if (!fs.existsSync(file)) return fallback;
+    const data = JSON.parse(fs.readFileSync(file, 'utf8') || 'null');
+    if (Array.isArray(fallback)) return Array.isArray(data) ? data : fallback;
+    return isObject(data) ? data : fallback;
+  } catch (e) {
+    console.warn(`[store] ⚠️ Could not read ${path.basename(file)} (${e?.message || e}); using fallback`);
+    return fallback;
+  }
+}
+
+const mtimeOf = (file) => {
+  try { return fs.statSync(file).mtimeMs; } catch { return null; }
+};
+
+// tmp + rename, so a reader never sees half a file
+function writeJsonAtomic(file, data) {
+  const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+  fs.writeFileSync(tmp, JSON.stringify(data, bigintSafe, 2));
+  fs.renameSync(tmp, file);
+}
+
+/** The files as they always were; read-modify-write without locks, so one writer per file at a time */
+function createJsonStore() {
+  const routersFile = ACTIVE_PROFILE.routersPath;
+  const mevQueue = () => readJson(MEV_FILE, []);
+
+  return {
+    backend: 'json',
+    tokens: {
+      list: () => readJson(TOKENLIST_FILE, []),
+      replace: (list) => writeJsonAtomic(TOKENLIST_FILE, list),
+    },
+    routers: {
+      get: () => readJson(routersFile, {}),
+      replace: (map) => writeJsonAtomic(routersFile, map),
+    },
+    priceFeeds: {
+      get: () => readJson(PRICEFEED_FILE, {}),
+      replace: (map) => writeJsonAtomic(PRICEFEED_FILE, map),
+    },
+    pools: {
+      /** { chainId, factories, pools } for this chain, or null */
+      load() {
+        const data = readJson(REGISTRY_FILE, null);
+        return data && Number(data.chainId) === ACTIVE_PROFILE.chainId ? data : null;
+      },
+      save: ({ factories, pools }) => writeJsonAtomic(REGISTRY_FILE, {
+        chainId: ACTIVE_PROFILE.chainId, updatedAt: new Date().toISOString(), factories, pools,
+      }),
+    },
+    // direct_pool.json / tri_pool.json are the oppjournal.js views; nothing more to keep here
+    opportunities: {
+      record() {},
+      open: () => [],
+      history: () => [],
+    },
+    mev: {
+      /** Queue `entry` unless its hash is already there; true when added */
+      add(entry) {
+        const queue = mevQueue();
+        if (queue.some((e) => e?.hash === entry.hash)) return false;
+        queue.push(entry);
+        writeJsonAtomic(MEV_FILE, queue);
+        return true;
+      },
+      recent: (lookbackMs) => mevQueue().filter((e) => Date.now() - Number(e?.timestamp || 0) < lookbackMs),
+      /** Drop entries older than maxAgeMs; returns how many went */
+      prune(maxAgeMs) {
+        const queue = mevQueue();
+        const cutoff = Date.now() - maxAgeMs;
+        const fresh = queue.filter((e) => Number(e?.timestamp || 0) >= cutoff);
+        if (fresh.length !== queue.length) writeJsonAtomic(MEV_FILE, fresh);
+        return queue.length - fresh.length;
+      },
+    },
+    // No trade history without a database
+    trades: {
+      record: () => null,
+      update() {},
+      recent: () => [],
+    },
+    close() {},
+  };
+}
+
+/* ----------------------------
+   SQLite backend
+---------------------------- */
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+CREATE TABLE IF NOT EXISTS tokens (
+  chain_id INTEGER NOT NULL, address TEXT NOT NULL, symbol TEXT, name TEXT, decimals INTEGER, data TEXT NOT NULL,
+  PRIMARY KEY (chain_id, address)
+);
+CREATE INDEX IF NOT EXISTS tokens_symbol ON tokens (chain_id, symbol);
+CREATE TABLE IF NOT EXISTS routers (
+  chain_id INTEGER NOT NULL, dex TEXT NOT NULL, address TEXT, data TEXT NOT NULL,
+  PRIMARY KEY (chain_id, dex)
+);
+CREATE INDEX IF NOT EXISTS routers_address ON routers (chain_id, address);
+CREATE TABLE IF NOT EXISTS price_feeds (
+  chain_id INTEGER NOT NULL, token TEXT NOT NULL, symbol TEXT, price REAL, updated_at INTEGER, source TEXT, data TEXT NOT NULL,
+  PRIMARY KEY (chain_id, token)
+);
+CREATE TABLE IF NOT EXISTS pools (
+  chain_id INTEGER NOT NULL, address TEXT NOT NULL, dex TEXT, style TEXT, token0 TEXT, token1 TEXT,
+  fee_bps REAL, created_block INTEGER, factory TEXT,
+  PRIMARY KEY (chain_id, address)
+);
+CREATE INDEX IF NOT EXISTS pools_pair ON pools (chain_id, token0, token1);
+CREATE INDEX IF NOT EXISTS pools_dex ON pools (chain_id, dex);
+CREATE TABLE IF NOT EXISTS pool_factories (
+  chain_id INTEGER NOT NULL, factory TEXT NOT NULL, data TEXT NOT NULL,
+  PRIMARY KEY (chain_id, factory)
+);
+CREATE TABLE IF NOT EXISTS opportunities (
+  chain_id INTEGER NOT NULL, id TEXT NOT NULL, kind TEXT NOT NULL, state TEXT NOT NULL,
+  first_seen_block INTEGER, last_seen_block INTEGER, peak_edge REAL, est_profit_usd REAL,
+  opened_at INTEGER, updated_at INTEGER, closed_at INTEGER, data TEXT NOT NULL,
+  PRIMARY KEY (chain_id, id)
+);
+CREATE INDEX IF NOT EXISTS opportunities_state ON opportunities (chain_id, kind, state);
+CREATE TABLE IF NOT EXISTS opportunity_events (
+  seq INTEGER PRIMARY KEY AUTOINCREMENT, chain_id INTEGER NOT NULL, id TEXT NOT NULL, kind TEXT NOT NULL, state TEXT NOT NULL,
+  block INTEGER, edge REAL, est_profit_usd REAL, at INTEGER NOT NULL, data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS opportunity_events_id ON opportunity_events (chain_id, id, seq);
+CREATE INDEX IF NOT EXISTS opportunity_events_at ON opportunity_events (at);
+CREATE TABLE IF NOT EXISTS mev_entries (
+  chain_id INTEGER NOT NULL, hash TEXT NOT NULL, timestamp INTEGER NOT NULL, data TEXT NOT NULL,
+  PRIMARY KEY (chain_id, hash)
+);
+CREATE INDEX IF NOT EXISTS mev_entries_ts ON mev_entries (chain_id, timestamp);
+CREATE TABLE IF NOT EXISTS trades (
+  id INTEGER PRIMARY KEY AUTOINCREMENT, chain_id INTEGER NOT NULL, route_key TEXT, status TEXT NOT NULL, reason TEXT,
+  profit_usd REAL, notional_usd REAL, tx_hash TEXT, created_at INTEGER NOT NULL, updated_at INTEGER NOT NULL, data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS trades_route ON trades (chain_id, route_key, created_at);
+CREATE INDEX IF NOT EXISTS trades_status ON trades (chain_id, status, created_at);
+`;
+
+const num = (v) => (v != null && Number.isFinite(Number(v)) ? Number(v) : null);
+
+function createSqliteStore(Database, file) {
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
+  db.exec(SCHEMA);
+  const chainId = ACTIVE_PROFILE.chainId;
+  const q = (sql) => db.prepare(sql);
+  const parsed = (rows) => rows.map((r) => JSON.parse(r.data));
+
+  /** Replace every `table` row of this chain with `rows`, in one transaction */
+  const replaceAll = (table, insert) => db.transaction((rows) => {
+    q(`DELETE FROM ${table} WHERE chain_id = ?`).run(chainId);
+    for (const row of rows) insert.run(row);
+  });
+
+  const insertToken = q('INSERT OR REPLACE INTO tokens VALUES (@chain_id, @address, @symbol, @name, @decimals, @data)');
+  const insertRouter = q('INSERT OR REPLACE INTO routers VALUES (@chain_id, @dex, @address, @data)');
+  const insertFeed = q('INSERT OR REPLACE INTO price_feeds VALUES (@chain_id, @token, @symbol, @price, @updated_at, @source, @data)');
+  const insertPool = q(`INSERT OR REPLACE INTO pools VALUES (@chain_id, @address, @dex, @style, @token0, @token1,
+    @fee_bps, @created_block, @factory)`);
+  const insertFactory = q('INSERT OR REPLACE INTO pool_factories VALUES (@chain_id, @factory, @data)');
+  const upsertOpp = q(`INSERT INTO opportunities VALUES (@chain_id, @id, @kind, @state, @first_seen_block, @last_seen_block,
+    @peak_edge, @est_profit_usd, @opened_at, @updated_at, @closed_at, @data)
+    ON CONFLICT (chain_id, id) DO UPDATE SET kind = excluded.kind, state = excluded.state,
+      first_seen_block = excluded.first_seen_block, last_seen_block = excluded.last_seen_block, peak_edge = excluded.peak_edge,
+      est_profit_usd = excluded.est_profit_usd, opened_at = excluded.opened_at, updated_at = excluded.updated_at,
+      closed_at = excluded.closed_at, data = excluded.data`);
+  const insertOppEvent = q(`INSERT INTO opportunity_events (chain_id, id, kind, state, block, edge, est_profit_usd, at, data)
+    VALUES (@chain_id, @id, @kind, @state, @block, @edge, @est_profit_usd, @at, @data)`);
+  const insertMev = q('INSERT OR IGNORE INTO mev_entries VALUES (?, ?, ?, ?)');
+  const insertTrade = q(`INSERT INTO trades (chain_id, route_key, status, reason, profit_usd, notional_usd, tx_hash, created_at, updated_at, data)
+    VALUES (@chain_id, @route_key, @status, @reason, @profit_usd, @notional_usd, @tx_hash, @created_at, @updated_at, @data)`);
+
+  const tokenRows = (list) => list.filter((t) => t?.address).map((t) => ({
+    chain_id: chainId, address: lower(t.address), symbol: t.symbol ?? null, name: t.name ?? null, decimals: num(t.decimals), data: toJson(t),
+  }));
+  const routerRows = (map) => Object.entries(map || {}).map(([dex, v]) => ({
+    chain_id: chainId, dex, address: lower(typeof v === 'string' ? v : v?.address) || null, data: toJson(v),
+  }));
+  const feedRows = (map) => Object.entries(map || {}).map(([token, f]) => ({
+    chain_id: chainId, token: lower(token), symbol: f?.symbol ?? null, price: num(f?.price), updated_at: num(f?.updatedAt), source: f?.source ?? null, data: toJson(f),
+  }));
+
+  const store = {
+    backend: 'sqlite',
+    file,
+    db,
+    tokens: {
+      list: () => parsed(q('SELECT data FROM tokens WHERE chain_id = ? ORDER BY rowid').all(chainId)),
+      replace: (list) => replaceAll('tokens', insertToken)(tokenRows(list)),
+    },
+    routers: {
+      get: () => Object.fromEntries(q('SELECT dex, data FROM routers WHERE chain_id = ? ORDER BY rowid').all(chainId).map((r) => [r.dex, JSON.parse(r.data)])),
+      replace: (map) => replaceAll('routers', insertRouter)(routerRows(map)),
+    },
+    priceFeeds: {
+      get: () => Object.fromEntries(q('SELECT token, data FROM price_feeds WHERE chain_id = ? ORDER BY rowid').all(chainId).map((r) => [r.token, JSON.parse(r.data)])),
+      replace: (map) => replaceAll('price_feeds', insertFeed)(feedRows(map)),
+    },
+    pools: {
+      load() {
+        const pools = q('SELECT * FROM pools WHERE chain_id = ?').all(chainId);
+        const factories = q('SELECT factory, data FROM pool_factories WHERE chain_id = ?').all(chainId);
+        if (!pools.length && !factories.length) return null;
+        return {
+          chainId,
+          factories: Object.fromEntries(factories.map((f) => [f.factory, JSON.parse(f.data)])),
+          pools: Object.fromEntries(pools.map((p) => [p.address, {
+            dex: p.dex, style: p.style, token0: p.token0, token1: p.token1,
+            feeBps: p.fee_bps, createdBlock: p.created_block, factory: p.factory,
+          }])),
+        };
+      },
+      save: db.transaction(({ factories, pools }) => {
+        replaceAll('pool_factories', insertFactory)(Object.entries(factories || {}).map(([factory, c]) => ({ chain_id: chainId, factory, data: toJson(c) })));
+        replaceAll('pools', insertPool)(Object.entries(pools || {}).map(([address, p]) => ({
+          chain_id: chainId, address, dex: p.dex ?? null, style: p.style ?? null, token0: p.token0 ?? null, token1: p.token1 ?? null,
+          fee_bps: num(p.feeBps), created_block: num(p.createdBlock), factory: p.factory ?? null,
+        })));
+      }),
+    },
+    opportunities: {
+      /** One opptracker.js lifecycle record: the current row is replaced, the event is kept */
+      record: db.transaction((kind, rec) => {
+        const at = Number(rec.timestamp) || Date.now();
+        const data = toJson(rec);
+        upsertOpp.run({
+          chain_id: chainId, id: rec.id, kind, state: rec.state,
+          first_seen_block: num(rec.firstSeenBlock), last_seen_block: num(rec.lastSeenBlock),
+          peak_edge: num(rec.peakEdge), est_profit_usd: num(rec.estProfitUSD),
+          opened_at: num(rec.firstSeenAt), updated_at: at, closed_at: num(rec.closedAt), data,
+        });
+        insertOppEvent.run({
+          chain_id: chainId, id: rec.id, kind, state: rec.state, block: num(rec.blockNumber),
+          edge: num(rec.edge), est_profit_usd: num(rec.estProfitUSD), at, data,
+        });
+      }),
+      /** Open opportunities (of `kind` when given), best first */
+      open: (kind) => parsed(kind
+        ? q("SELECT data FROM opportunities WHERE chain_id = ? AND kind = ? AND state != 'closed' ORDER BY est_profit_usd DESC").all(chainId, kind)
+        : q("SELECT data FROM opportunities WHERE chain_id = ? AND state != 'closed' ORDER BY est_profit_usd DESC").all(chainId)),
+      history: (id) => parsed(q('SELECT data FROM opportunity_events WHERE chain_id = ? AND id = ? ORDER BY seq').all(chainId, id)),
+    },
+    mev: {
+      add: (entry) => insertMev.run(chainId, lower(entry.hash), Number(entry.timestamp) || Date.now(), toJson(entry)).changes > 0,
+      recent: (lookbackMs) => parsed(q('SELECT data FROM mev_entries WHERE chain_id = ? AND timestamp > ? ORDER BY timestamp')
+        .all(chainId, Date.now() - lookbackMs)),
+      prune: (maxAgeMs) => q('DELETE FROM mev_entries WHERE chain_id = ? AND timestamp < ?').run(chainId, Date.now() - maxAgeMs).changes,
+    },
+    trades: {
+      /** A trade attempt ({ routeKey, status, reason, profitUsd, notionalUsd, txHash, ... }); returns its id */
+      record(trade) {
+        const now = Date.now();
+        return Number(insertTrade.run({
+          chain_id: chainId, route_key: trade.routeKey ?? null, status: trade.status, reason: trade.reason ?? null,
+          profit_usd: num(trade.profitUsd), notional_usd: num(trade.notionalUsd), tx_hash: trade.txHash ?? null,
+          created_at: now, updated_at: now, data: toJson(trade),
+        }).lastInsertRowid);
+      },
+      /** Merge `patch` into trade `id` (status, txHash, realised profit...) */
+      update: db.transaction((id, patch) => {
+        const row = q('SELECT data FROM trades WHERE id = ?').get(id);
+        if (!row) return;
+        const trade = { ...JSON.parse(row.data), ...patch };
+        q(`UPDATE trades SET status = ?, reason = ?, profit_usd = ?, tx_hash = ?, updated_at = ?, data = ? WHERE id = ?`)
+          .run(trade.status, trade.reason ?? null, num(trade.profitUsd), trade.txHash ?? null, Date.now(), toJson(trade), id);
+      }),
+      recent: ({ limit = 100, status } = {}) => parsed(status
+        ? q('SELECT data FROM trades WHERE chain_id = ? AND status = ? ORDER BY id DESC LIMIT ?').all(chainId, status, limit)
+        : q('SELECT data FROM trades WHERE chain_id = ? ORDER BY id DESC LIMIT ?').all(chainId, limit)),
+    },
+    close: () => db.close(),
+  };
+
+  // First open for this chain: take over what the JSON files hold
+  const legacy = createJsonStore();
+  const seededKey = `seeded:${chainId}`;
+  const seededAt = Date.parse(q('SELECT value FROM meta WHERE key = ?').get(seededKey)?.value) || 0;
+  if (!seededAt) {
+    db.transaction(() => {
+      const registry = legacy.pools.load();
+      if (registry) store.pools.save(registry);
+      for (const e of readJson(MEV_FILE, [])) if (e?.hash) store.mev.add(e);
+      q('INSERT INTO meta VALUES (?, ?)').run(seededKey, new Date().toISOString());
+    })();
+    console.log(`[store] 📥 Imported the JSON state files into ${path.basename(file)} (chain ${chainId})`);
+  }
+
+  // Hand-edited config files: (re-)import each one that changed since its last import (or the first open, for older databases)
+  const editable = [
+    [TOKENLIST_FILE, () => store.tokens.replace(legacy.tokens.list())],
+    [ACTIVE_PROFILE.routersPath, () => store.routers.replace(legacy.routers.get())],
+    [PRICEFEED_FILE, () => store.priceFeeds.replace(legacy.priceFeeds.get())],
+  ];
+  for (const [src, load] of editable) {
+    const mtime = mtimeOf(src);
+    if (mtime == null) continue;
+    const key = `imported:${chainId}:${path.basename(src)}`;
+    if ((Number(q('SELECT value FROM meta WHERE key = ?').get(key)?.value) || seededAt) >= mtime) continue;
+    db.transaction(() => {
+      load();
+      q('INSERT OR REPLACE INTO meta VALUES (?, ?)').run(key, String(mtime));
+    })();
+    console.log(`[store] 📥 Imported ${path.basename(src)} into ${path.basename(file)} (chain ${chainId})`);
+  }
+
+  const cutoff = Date.now() - HISTORY_RETAIN_MS;
+  q('DELETE FROM opportunity_events WHERE at < ?').run(cutoff);
+  q("DELETE FROM opportunities WHERE state = 'closed' AND closed_at < ?").run(cutoff);
+  q('DELETE FROM trades WHERE updated_at < ?').run(cutoff);
+  return store;
+}
+
+/* ----------------------------
+   Store
+---------------------------- */
+/** A store for `backend`; sqlite falls back to json (with a warning) when better-sqlite3 isn't installed */
+export function openStore({ backend = STORE_BACKEND, file = SQLITE_FILE } = {}) {
+  if (backend !== 'sqlite') return createJsonStore();
+  let Database;
+  try { Database = require('better-sqlite3'); }
+  catch (e) {
+    console.warn(`[store] ⚠️ STORE_BACKEND=sqlite but better-sqlite3 is unavailable (${e?.message || e}); using the JSON files`);
+    return createJsonStore();
+  }
+  return createSqliteStore(Database, file);
+}
+
+let shared = null;
+
+/** The process-wide store, opened on first use */
+export function getStore() {
+  if (!shared) shared = openStore();
+  return shared;
+}
+
+export default { STORE_BACKEND, SQLITE_FILE, openStore, getStore };
@@ -4,6 +4,7 @@
 import dotenv from "dotenv";
 import axios from "axios";
 import { EventEmitter } from "events";
+import { ACTIVE_PROFILE } from "./chainprofile.js";
 
 dotenv.config();
 
@@ -109,7 +110,7 @@ async function postWithRetry(url, payload, { retries = 2, timeout = 15000 } = {}
 
 // ----- main sender -----
 async function sendTelegramAlert(message, opts = {}) {
-  const chainId = opts.chainId ?? process.env.CHAIN_ID;
+  const chainId = opts.chainId ?? process.env.CHAIN_ID ?? ACTIVE_PROFILE.chainId;
   const { token, chatIds: envChatIds, threadId: envThreadId } = getCfg(chainId);
 
   const chatIds = Array.isArray(opts.chatIds) && opts.chatIds.length
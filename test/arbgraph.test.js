@@ -0,0 +1,41 @@
+// arbgraph.js: the base-token search finds a known 4-hop negative cycle and nothing that isn't one
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createArbGraph } from '../arbgraph.js';
+
+const FEE = 0.997;
+// `r` = token1 per token0 before the fee
+const P = (pairAddr, token0, token1, r) => ({ pairAddr, token0, token1, r });
+const rate = (pool, from) => (from === pool.token0 ? pool.r : 1 / pool.r) * FEE;
+
+// a -> b -> c -> d -> a returns 1.01^4 × 0.997^4 ≈ 1.0281; the a -> e -> b detour only loses to fees
+const pools = [
+  P('0x01', 'a', 'b', 1.01), P('0x02', 'b', 'c', 1.01), P('0x03', 'c', 'd', 1.01), P('0x04', 'd', 'a', 1.01),
+  P('0x05', 'a', 'e', 1), P('0x06', 'e', 'b', 1.01),
+];
+
+test('finds the 4-hop cycle from a base token and prices it', () => {
+  const graph = createArbGraph(pools, { rate });
+  const found = graph.findCycles({ baseTokens: ['a'], maxHops: 4 });
+  assert.equal(found.length, 1);
+  const [cycle] = found;
+  assert.deepEqual(cycle.tokens, ['a', 'b', 'c', 'd', 'a']);
+  assert.deepEqual(cycle.pools.map((p) => p.pairAddr), ['0x01', '0x02', '0x03', '0x04']);
+  assert.equal(cycle.hops, 4);
+  assert.ok(Math.abs(cycle.rate - (1.01 * FEE) ** 4) < 1e-12);
+  assert.ok(Math.abs(graph.evaluate(cycle.tokens, cycle.pools).edge - cycle.edge) < 1e-12);
+});
+
+test('the hop cap and the base tokens bound the search', () => {
+  const graph = createArbGraph(pools, { rate });
+  assert.deepEqual(graph.findCycles({ baseTokens: ['a'], maxHops: 3 }), []);
+  assert.deepEqual(graph.findCycles({ baseTokens: ['e'], maxHops: 4 }), []);
+  // Every token of the ring finds the same ring, once
+  assert.equal(graph.findCycles({ baseTokens: ['a', 'b', 'c', 'd'], maxHops: 4 }).length, 1);
+});
+
+test('without base tokens the best connected tokens are used', () => {
+  const graph = createArbGraph(pools, { rate });
+  assert.deepEqual(graph.topTokens(2).sort(), ['a', 'b']);
+  assert.equal(graph.findCycles({ baseTokens: [], maxHops: 4 }).length, 1);
+});
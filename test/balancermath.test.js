@@ -0,0 +1,216 @@
+// balancermath.js against Balancer V2: the Vault's out-given-in for weighted and stable pools, and the adapter's BPT exclusion
+// No chain access here, so the Vault outputs come from ports of the contracts' integer math: FixedPoint, WeightedMath
+// (exact for weight ratios 1, 2 and 4, where powUp squares instead of using LogExpMath), StableMath and the pools' swap
+// hooks (fee off the input, upscale by the scaling factor, math, downscale rounding down).
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { balOutGivenIn, balSpotRate } from '../balancermath.js';
+import createBalancerAdapter from '../plugins/balancer.js';
+
+const ONE = 10n ** 18n;
+const AMP_PRECISION = 1000n;
+
+/* FixedPoint */
+const mulDown = (a, b) => (a * b) / ONE;
+const mulUp = (a, b) => (a * b === 0n ? 0n : (a * b - 1n) / ONE + 1n);
+const divDown = (a, b) => (a * ONE) / b;
+const divUp = (a, b) => (a === 0n ? 0n : (a * ONE - 1n) / b + 1n);
+const complement = (x) => (x < ONE ? ONE - x : 0n);
+function powUp(x, y) {
+  if (y === ONE) return x;
+  if (y === 2n * ONE) return mulUp(x, x);
+  if (y === 4n * ONE) { const sq = mulUp(x, x); return mulUp(sq, sq); }
+  throw new Error('only weight ratios 1, 2 and 4 are exact');
+}
+/* Math (plain integers) */
+const mathDivUp = (a, b) => (a === 0n ? 0n : 1n + (a - 1n) / b);
+const absDiff = (a, b) => (a > b ? a - b : b - a);
+
+/** BaseMinimalSwapInfoPool._swapGivenIn over WeightedMath._calcOutGivenIn */
+function weightedVaultOut({ balances, weights, scales, fee }, i, j, amountIn) {
+  const x = mulDown(amountIn - mulUp(amountIn, fee), scales[i]);
+  const bIn = mulDown(balances[i], scales[i]), bOut = mulDown(balances[j], scales[j]);
+  const power = powUp(divUp(bIn, bIn + x), divDown(weights[i], weights[j]));
+  return divDown(mulDown(bOut, complement(power)), scales[j]);
+}
+
+function calculateInvariant(amp, balances) {
+  const n = BigInt(balances.length);
+  const sum = balances.reduce((s, b) => s + b, 0n);
+  const ampTimesTotal = amp * n;
+  let inv = sum;
+  for (let it = 0; it < 255; it++) {
+    let DP = inv;
+    for (const b of balances) DP = (DP * inv) / (b * n);
+    const prev = inv;
+    inv = (((ampTimesTotal * sum) / AMP_PRECISION + DP * n) * inv) /
+      (((ampTimesTotal - AMP_PRECISION) * inv) / AMP_PRECISION + (n + 1n) * DP);
+    if (absDiff(inv, prev) <= 1n) return inv;
+  }
+  throw new Error('STABLE_INVARIANT_DIDNT_CONVERGE');
+}
+
+function balanceGivenInvariant(amp, balances, inv, k) {
+  const n = BigInt(balances.length);
+  const ampTimesTotal = amp * n;
+  let sum = balances[0], PD = balances[0] * n;
+  for (let j = 1; j < balances.length; j++) {
+    PD = (PD * balances[j] * n) / inv;
+    sum += balances[j];
+  }
+  sum -= balances[k];
+  const inv2 = inv * inv;
+  const c = mathDivUp(inv2, ampTimesTotal * PD) * AMP_PRECISION * balances[k];
+  const b = sum + (inv / ampTimesTotal) * AMP_PRECISION;
+  let y = mathDivUp(inv2 + c, inv + b);
+  for (let it = 0; it < 255; it++) {
+    const prev = y;
+    y = mathDivUp(y * y + c, y * 2n + b - inv);
+    if (absDiff(y, prev) <= 1n) return y;
+  }
+  throw new Error('STABLE_GET_BALANCE_DIDNT_CONVERGE');
+}
+
+/** BaseGeneralPool._swapGivenIn over StableMath._calcOutGivenIn (amp carries AMP_PRECISION) */
+function stableVaultOut({ amp, balances, scales, fee }, i, j, amountIn) {
+  const up = balances.map((b, k) => mulDown(b, scales[k]));
+  const x = mulDown(amountIn - mulUp(amountIn, fee), scales[i]);
+  const inv = calculateInvariant(amp, up);
+  const next = up.slice();
+  next[i] += x;
+  return divDown(up[j] - balanceGivenInvariant(amp, next, inv, j) - 1n, scales[j]);
+}
+
+/* Pools */
+const tok = (n) => `0x${n.toString(16).padStart(40, '0')}`;
+const [WETH, USDC, BAL, DAI, USDT] = [tok(0xe1), tok(0xc6), tok(0xba), tok(0xda), tok(0xd7)];
+const BPT = tok(0xb9);
+const E6 = 10n ** 6n;
+const SCALE_18 = ONE, SCALE_6 = ONE * 10n ** 12n;     // getScalingFactors() for 18- and 6-decimal tokens
+
+/** A view of `p` in balancermath.js's float model */
+function floatView(p) {
+  return {
+    bal: {
+      type: p.type, tokens: p.tokens, balances: p.balances.map(Number),
+      weights: p.weights?.map((w) => Number(w) / 1e18) ?? null,
+      amp: p.amp != null ? Number(p.amp) / Number(AMP_PRECISION) : null,
+      scales: p.scales.map((s) => Number(s) / 1e18),
+    },
+  };
+}
+
+function assertClose(actual, expected, rel = 1e-9) {
+  const exp = Number(expected);
+  assert.ok(Math.abs(actual - exp) <= Math.max(1, exp * rel), `${actual} vs ${expected}`);
+}
+
+function checkSwaps(p, swaps, vaultOut) {
+  const view = floatView(p);
+  const gamma = 1 - Number(p.fee) / 1e18;
+  for (const [i, j, amountIn] of swaps) {
+    const expected = vaultOut(p, i, j, amountIn);
+    assert.ok(expected > 0n);
+    assertClose(balOutGivenIn(view, p.tokens[i], p.tokens[j], Number(amountIn), gamma), expected);
+  }
+}
+
+test('weighted 50/50 (weight ratio 1) matches the Vault both ways', () => {
+  const p = {
+    type: 'weighted', tokens: [WETH, USDC], balances: [1_000n * ONE, 2_000_000n * E6],
+    weights: [ONE / 2n, ONE / 2n], scales: [SCALE_18, SCALE_6], fee: 3n * 10n ** 15n,
+  };
+  checkSwaps(p, [[0, 1, 10n * ONE], [1, 0, 20_000n * E6], [0, 1, 250n * ONE]], weightedVaultOut);
+});
+
+test('weighted 80/20 (weight ratio 4) matches the Vault selling the heavy token', () => {
+  const p = {
+    type: 'weighted', tokens: [BAL, WETH], balances: [4_000_000n * ONE, 5_000n * ONE],
+    weights: [8n * ONE / 10n, 2n * ONE / 10n], scales: [SCALE_18, SCALE_18], fee: 10n ** 16n,
+  };
+  checkSwaps(p, [[0, 1, 1_000n * ONE], [0, 1, 100_000n * ONE]], weightedVaultOut);
+});
+
+test('weighted 50/25/25 three-token pool matches the Vault for ratios 2 and 1', () => {
+  const p = {
+    type: 'weighted', tokens: [WETH, USDC, DAI], balances: [500n * ONE, 500_000n * E6, 510_000n * ONE],
+    weights: [ONE / 2n, ONE / 4n, ONE / 4n], scales: [SCALE_18, SCALE_6, SCALE_18], fee: 25n * 10n ** 14n,
+  };
+  checkSwaps(p, [[0, 1, 5n * ONE], [0, 2, 40n * ONE], [1, 2, 10_000n * E6], [2, 1, 50_000n * ONE]], weightedVaultOut);
+});
+
+test('stable three-token pool with mixed decimals matches the Vault', () => {
+  const p = {
+    type: 'stable', tokens: [DAI, USDC, USDT], balances: [10_000_000n * ONE, 12_000_000n * E6, 8_000_000n * E6],
+    amp: 200n * AMP_PRECISION, scales: [SCALE_18, SCALE_6, SCALE_6], fee: 10n ** 14n,
+  };
+  checkSwaps(p, [[0, 1, 100_000n * ONE], [2, 0, 500_000n * E6], [1, 2, 3_000_000n * E6], [0, 2, 1n * ONE]], stableVaultOut);
+});
+
+test('stable two-token pool at low amplification matches the Vault', () => {
+  const p = {
+    type: 'stable', tokens: [USDC, USDT], balances: [1_000_000n * E6, 3_000_000n * E6],
+    amp: 5n * AMP_PRECISION + 500n, scales: [SCALE_6, SCALE_6], fee: 4n * 10n ** 14n,
+  };
+  checkSwaps(p, [[0, 1, 200_000n * E6], [1, 0, 200_000n * E6]], stableVaultOut);
+});
+
+test('spot rates: weighted in closed form, stable as the limit of a small trade', () => {
+  const w = floatView({ type: 'weighted', tokens: [BAL, WETH], balances: [4_000_000n * ONE, 5_000n * ONE], weights: [8n * ONE / 10n, 2n * ONE / 10n], scales: [ONE, ONE] });
+  // (5000 / 0.2) / (4e6 / 0.8) = 0.005 WETH per BAL
+  assertClose(balSpotRate(w, BAL, WETH), 0.005, 1e-12);
+  const s = { type: 'stable', tokens: [DAI, USDC], balances: [1_000_000n * ONE, 1_000_000n * E6], amp: 100n * AMP_PRECISION, scales: [SCALE_18, SCALE_6], fee: 0n };
+  // Balanced stable pool: 1 DAI (1e18 raw) buys 1 USDC (1e6 raw) at the margin
+  assertClose(balSpotRate(floatView(s), DAI, USDC), 1e-12, 1e-6);
+  // The Vault's 1 DAI trade lands within the wei it rounds off (1 USDC unit = 1e-6)
+  assertClose(balSpotRate(floatView(s), DAI, USDC) * 1e18, stableVaultOut(s, 0, 1, ONE), 3e-6);
+});
+
+test('discovery leaves a composable pool\'s own BPT out and makes a view per remaining pair', async () => {
+  const VAULT = tok(0xba12), POOL_ID = `${BPT}${'0'.repeat(24)}`;
+  const chain = {
+    tokens: [BPT, DAI, USDC, USDT],
+    balances: [2n ** 111n, 10_000_000n * ONE, 12_000_000n * E6, 8_000_000n * E6],
+    scales: [SCALE_18, SCALE_18, SCALE_6, SCALE_6],
+  };
+  const revert = () => Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' });
+  const snap = {
+    blockNumber: 100,
+    read: async (addr, abi, fn, ...args) => {
+      if (fn === 'getPoolTokens') {
+        assert.equal(addr, VAULT);
+        assert.equal(args[0], POOL_ID);
+        return { tokens: chain.tokens, balances: chain.balances };
+      }
+      assert.equal(addr, BPT);
+      if (fn === 'getSwapFeePercentage') return 10n ** 14n;
+      if (fn === 'getNormalizedWeights') throw revert();
+      if (fn === 'getAmplificationParameter') return [200n * AMP_PRECISION, false, AMP_PRECISION];
+      if (fn === 'getScalingFactors') return chain.scales;
+      throw new Error(`unexpected read ${fn}`);
+    },
+  };
+  const adapter = createBalancerAdapter({
+    balancerVault: VAULT,
+    discoverRanges: () => [[0, 100]],
+    getLogs: async () => [{ topics: ['0x', POOL_ID, `0x${'0'.repeat(24)}${BPT.slice(2)}`] }],
+    getDecimals: async () => 18,
+  });
+
+  const views = await adapter.discover(snap);
+  assert.equal(views.length, 3);
+  assert.deepEqual(views.map((v) => [v.token0, v.token1]), [[DAI, USDC], [DAI, USDT], [USDC, USDT]]);
+  for (const v of views) {
+    assert.deepEqual(v.bal.tokens, [DAI, USDC, USDT]);
+    assert.deepEqual(v.bal.scales, [1, 1e12, 1e12]);
+    assert.equal(v.bal.amp, 200);
+    assert.equal(v.feeBps, 1);
+  }
+
+  // Quoting a view prices the pool without the BPT, as the Vault does for token-to-token swaps
+  const pool = { amp: 200n * AMP_PRECISION, balances: chain.balances.slice(1), scales: chain.scales.slice(1), fee: 10n ** 14n };
+  const [daiUsdc, , usdcUsdt] = views;
+  assertClose(adapter.quote(daiUsdc, DAI, 1e23), stableVaultOut(pool, 0, 1, 10n ** 23n));
+  assertClose(adapter.quote(daiUsdc, USDC, 5e11), stableVaultOut(pool, 1, 0, 5n * 10n ** 11n));
+  assertClose(adapter.quote(usdcUsdt, USDC, 3e12), stableVaultOut(pool, 1, 2, 3n * 10n ** 12n));
+});
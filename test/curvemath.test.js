@@ -0,0 +1,192 @@
+// curvemath.js against Curve: get_dy on a plain 3-coin pool and get_dy_underlying on a meta pool, plus the views' coin indices
+// No chain access here, so the pool outputs come from ports of the Vyper integer math: 3pool's get_D/get_y/get_dy,
+// calc_token_amount and calc_withdraw_one_coin, and the meta pool template's get_dy_underlying (A_PRECISION = 100).
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { curveOutGivenIn } from '../curvemath.js';
+import { readCurvePool, curvePairViews, curveCoins } from '../curvepools.js';
+import createCurveAdapter from '../plugins/curve.js';
+
+const PRECISION = 10n ** 18n;
+const FEE_DENOMINATOR = 10n ** 10n;
+const absDiff = (a, b) => (a > b ? a - b : b - a);
+
+/* Vyper StableSwap (aPrec = 1 for 3pool, A_PRECISION = 100 for the meta template) */
+function getD(xp, amp, aPrec) {
+  const n = BigInt(xp.length);
+  const S = xp.reduce((s, x) => s + x, 0n);
+  if (S === 0n) return 0n;
+  const Ann = amp * n;
+  let D = S;
+  for (let it = 0; it < 255; it++) {
+    let DP = D;
+    for (const x of xp) DP = (DP * D) / (x * n);
+    const prev = D;
+    D = (((Ann * S) / aPrec + DP * n) * D) / (((Ann - aPrec) * D) / aPrec + (n + 1n) * DP);
+    if (absDiff(D, prev) <= 1n) return D;
+  }
+  throw new Error('get_D did not converge');
+}
+
+/** get_y / get_y_D: balance of coin i at invariant D given the other balances */
+function getYD(xp, i, D, amp, aPrec) {
+  const n = BigInt(xp.length);
+  const Ann = amp * n;
+  let c = D, S = 0n;
+  xp.forEach((x, k) => {
+    if (k === i) return;
+    S += x;
+    c = (c * D) / (x * n);
+  });
+  c = (c * D * aPrec) / (Ann * n);
+  const b = S + (D * aPrec) / Ann;
+  let y = D;
+  for (let it = 0; it < 255; it++) {
+    const prev = y;
+    y = (y * y + c) / (2n * y + b - D);
+    if (absDiff(y, prev) <= 1n) return y;
+  }
+  throw new Error('get_y did not converge');
+}
+
+const xpOf = (p, balances = p.balances) => balances.map((b, k) => (p.rates[k] * b) / PRECISION);
+const precisionMul = (p, k) => p.rates[k] / PRECISION;
+const virtualPrice = (p) => (getD(xpOf(p), p.amp, p.aPrec) * PRECISION) / p.supply;
+
+function getDy(p, i, j, dx) {
+  const xp = xpOf(p);
+  const D = getD(xp, p.amp, p.aPrec);
+  const next = xp.slice();
+  next[i] = xp[i] + (dx * p.rates[i]) / PRECISION;
+  const dy = ((xp[j] - getYD(next, j, D, p.amp, p.aPrec) - 1n) * PRECISION) / p.rates[j];
+  return dy - (p.fee * dy) / FEE_DENOMINATOR;
+}
+
+function calcTokenAmount(p, amounts) {
+  const D0 = getD(xpOf(p), p.amp, p.aPrec);
+  const D1 = getD(xpOf(p, p.balances.map((b, k) => b + amounts[k])), p.amp, p.aPrec);
+  return ((D1 - D0) * p.supply) / D0;
+}
+
+function calcWithdrawOneCoin(p, tokenAmount, i) {
+  const n = BigInt(p.balances.length);
+  const fee = (p.fee * n) / (4n * (n - 1n));
+  const xp = xpOf(p);
+  const D0 = getD(xp, p.amp, p.aPrec);
+  const D1 = D0 - (tokenAmount * D0) / p.supply;
+  const newY = getYD(xp, i, D1, p.amp, p.aPrec);
+  const reduced = xp.map((x, k) => {
+    const expected = k === i ? (x * D1) / D0 - newY : x - (x * D1) / D0;
+    return x - (fee * expected) / FEE_DENOMINATOR;
+  });
+  const dy = reduced[i] - getYD(reduced, i, D1, p.amp, p.aPrec);
+  return (dy - 1n) / precisionMul(p, i);
+}
+
+/** Meta template get_dy_underlying: coin 0 is the meta coin, 1.. the base pool's coins */
+function getDyUnderlying(meta, base, i, j, dx) {
+  const MAX_COIN = meta.balances.length - 1;
+  const vp = virtualPrice(base);
+  const m = { ...meta, rates: [...meta.rates.slice(0, MAX_COIN), vp] };
+  const xp = xpOf(m);
+  const baseI = i - MAX_COIN, baseJ = j - MAX_COIN;
+  const metaI = baseI < 0 ? i : MAX_COIN, metaJ = baseJ < 0 ? j : MAX_COIN;
+  let x;
+  if (baseI < 0) x = xp[i] + dx * precisionMul(m, i);
+  else if (baseJ < 0) {
+    const amounts = base.balances.map((_, k) => (k === baseI ? dx : 0n));
+    x = (calcTokenAmount(base, amounts) * vp) / PRECISION;
+    x -= (x * base.fee) / (2n * FEE_DENOMINATOR);
+    x += xp[MAX_COIN];
+  } else return getDy(base, baseI, baseJ, dx);
+  const D = getD(xp, m.amp, m.aPrec);
+  const next = xp.slice();
+  next[metaI] = x;
+  let dy = xp[metaJ] - getYD(next, metaJ, D, m.amp, m.aPrec) - 1n;
+  dy -= (m.fee * dy) / FEE_DENOMINATOR;
+  if (baseJ < 0) return dy / precisionMul(m, metaJ);
+  return calcWithdrawOneCoin(base, (dy * PRECISION) / vp, baseJ);
+}
+
+/* Pools */
+const addr = (n) => `0x${n.toString(16).padStart(40, '0')}`;
+const [DAI, USDC, USDT, MIM, LP3, POOL3, META] = [0xda, 0xc6, 0xd7, 0x31, 0x3c, 0x3a, 0x3e].map(addr);
+const E18 = 10n ** 18n, E6 = 10n ** 6n;
+const RATE_18 = PRECISION, RATE_6 = PRECISION * 10n ** 12n;
+const DECIMALS = { [DAI]: 18, [USDC]: 6, [USDT]: 6, [MIM]: 18, [LP3]: 18 };
+
+const threePool = {
+  amp: 2000n, aPrec: 1n, fee: 1_000_000n, rates: [RATE_18, RATE_6, RATE_6],
+  balances: [150_000_000n * E18, 160_000_000n * E6, 90_000_000n * E6], supply: 392_000_000n * E18,
+};
+const metaPool = {
+  amp: 200n * 100n, aPrec: 100n, fee: 4_000_000n, rates: [RATE_18, null],
+  balances: [50_000_000n * E18, 40_000_000n * E18],
+};
+
+const descs = {
+  plain: { address: POOL3, type: 'plain', coins: [DAI, USDC, USDT], underlying: [DAI, USDC, USDT], base: null },
+  meta: { address: META, type: 'meta', coins: [MIM, LP3], underlying: [MIM, DAI, USDC, USDT], base: POOL3 },
+};
+
+// What the pools' A(), fee(), balances(k), get_virtual_price() and the LP's totalSupply() return
+async function read(target, abi, fn, k) {
+  const p = target === POOL3 ? threePool : target === META ? metaPool : null;
+  if (fn === 'totalSupply' && target === LP3) return threePool.supply;
+  if (!p) throw new Error(`unexpected read ${target}.${fn}`);
+  if (fn === 'A') return p.amp / p.aPrec;
+  if (fn === 'fee') return p.fee;
+  if (fn === 'balances') return p.balances[Number(k)];
+  if (fn === 'get_virtual_price' && p === threePool) return virtualPrice(p);
+  throw new Error(`unexpected read ${target}.${fn}`);
+}
+const decimalsOf = async (token) => DECIMALS[token];
+
+const adapter = createCurveAdapter({});
+const viewFor = (views, a, b) => views.find((v) => (v.token0 === a && v.token1 === b) || (v.token0 === b && v.token1 === a));
+
+function assertClose(actual, expected, rel) {
+  const exp = Number(expected);
+  const err = Math.abs(actual - exp) / exp;
+  assert.ok(err <= rel, `${actual} vs ${expected} (relative error ${err.toExponential(2)})`);
+}
+
+test('plain 3-coin pool: exchange matches get_dy', async () => {
+  const views = curvePairViews(descs.plain, await readCurvePool(read, descs.plain, decimalsOf));
+  const tokens = descs.plain.coins;
+  for (const [i, j, dx] of [[0, 1, 1_000_000n * E18], [1, 2, 5_000_000n * E6], [2, 0, 20_000_000n * E6], [1, 0, 1_000n * E6]]) {
+    const out = adapter.quote(viewFor(views, tokens[i], tokens[j]), tokens[i], Number(dx));
+    // Float round-off only: ~1e-12 on the smallest trade
+    assertClose(out, getDy(threePool, i, j, dx), 1e-9);
+  }
+});
+
+// The base legs price single-sided deposits and withdrawals with a flat n/(4(n−1))·fee; get_dy_underlying charges fee/2 on
+// deposits and calc_withdraw_one_coin charges the fee on the imbalance only. Both gaps stay under half the base pool's fee.
+const BASE_LEG_TOLERANCE = Number(threePool.fee) / Number(FEE_DENOMINATOR) / 2;
+
+test('meta pool: exchange_underlying matches get_dy_underlying', async () => {
+  const state = await readCurvePool(read, descs.meta, decimalsOf);
+  const views = curvePairViews(descs.meta, state);
+  const tokens = descs.meta.underlying;
+  for (const [i, j, dx] of [[0, 1, 1_000_000n * E18], [0, 3, 5_000_000n * E18], [2, 0, 2_000_000n * E6], [1, 0, 100_000n * E18]]) {
+    const out = adapter.quote(viewFor(views, tokens[i], tokens[j]), tokens[i], Number(dx));
+    assertClose(out, getDyUnderlying(metaPool, threePool, i, j, dx), BASE_LEG_TOLERANCE);
+  }
+  // Base coin to base coin goes to the base pool's exchange; no view covers it, the model does
+  const dx = 1_000_000n * E18;
+  assertClose(curveOutGivenIn({ curve: state.model }, DAI, USDT, Number(dx)), getDyUnderlying(metaPool, threePool, 1, 3, dx), 1e-9);
+});
+
+test('views carry the coin indices and exchange the router calls', async () => {
+  const plain = curvePairViews(descs.plain, await readCurvePool(read, descs.plain, decimalsOf));
+  assert.deepEqual(plain.map((v) => [v.coinIndex0, v.coinIndex1]), [[0, 1], [0, 2], [1, 2]]);
+  assert.deepEqual(curveCoins(viewFor(plain, USDC, USDT)), { [USDC]: 1, [USDT]: 2, underlying: false });
+
+  // Meta pools index the underlying coins; base-coin pairs are left to the base pool's own views
+  const meta = curvePairViews(descs.meta, await readCurvePool(read, descs.meta, decimalsOf));
+  assert.deepEqual(meta.map((v) => [v.token0, v.token1, v.coinIndex0, v.coinIndex1]), [[MIM, DAI, 0, 1], [MIM, USDC, 0, 2], [MIM, USDT, 0, 3]]);
+  assert.deepEqual(curveCoins(viewFor(meta, MIM, USDT)), { [MIM]: 0, [USDT]: 3, underlying: true });
+  assert.equal(new Set(meta.map((v) => v.viewKey)).size, 3);
+  assert.equal(curveCoins({ __kind: 'v2' }), undefined);
+});
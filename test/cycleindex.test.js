@@ -0,0 +1,62 @@
+// cycleindex.js: rings are indexed as pools join, removed with their pools, and each join's walk is bounded
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createArbGraph } from '../arbgraph.js';
+import { createCycleIndex } from '../cycleindex.js';
+
+const P = (pairAddr, token0, token1, r = 1) => ({ pairAddr, token0, token1, r });
+const rate = (pool, from) => (from === pool.token0 ? pool.r : 1 / pool.r);
+
+// Triangles a-b-c (01 02 03) and c-d-a (04 05 03), and the square a-b-c-d (01 02 04 05)
+const ring = () => [P('0x01', 'a', 'b', 1.05), P('0x02', 'b', 'c'), P('0x03', 'c', 'a'), P('0x04', 'c', 'd'), P('0x05', 'd', 'a')];
+
+function build(pools, opts) {
+  const index = createCycleIndex(createArbGraph([], { rate }), { maxHops: 4, ...opts });
+  for (const p of pools) index.addPool(p);
+  return index;
+}
+
+test('each ring is indexed once, when its last pool joins', () => {
+  const pools = ring();
+  const index = createCycleIndex(createArbGraph([], { rate }), { maxHops: 4 });
+  assert.deepEqual(pools.map((p) => index.addPool(p)), [0, 0, 1, 0, 2]);
+  assert.deepEqual(index.stats(), { pools: 5, cycles: 3, truncatedPools: 0 });
+  // 01 is the only pool off parity: the two rings through it pay, the c-d-a triangle doesn't
+  assert.equal(index.cyclesThrough('0x01').length, 2);
+  assert.equal(index.cyclesThrough(pools[3]).length, 1);
+  assert.equal(index.profitable().length, 2);
+});
+
+test('removePool drops its rings, its byPool entry and its graph edges', () => {
+  const pools = ring();
+  const index = build(pools);
+  assert.equal(index.removePool(pools[3]), 2);
+  assert.equal(index.has('0x04'), false);
+  assert.equal(index.graph.has(pools[3]), false);
+  assert.deepEqual(index.graph.edgesFrom('d').map((e) => e.pool.pairAddr), ['0x05']);
+  assert.deepEqual(index.stats(), { pools: 4, cycles: 1, truncatedPools: 0 });
+  // 05 keeps its entry but no ring; 03 keeps only the a-b-c triangle
+  assert.deepEqual(index.cyclesThrough('0x05'), []);
+  assert.deepEqual(index.cyclesThrough('0x03').map((c) => c.id), ['0x01>0x02>0x03']);
+  assert.equal(index.removePool(pools[3]), 0);
+  // Re-adding finds the rings again
+  assert.equal(index.addPool(pools[3]), 2);
+  assert.equal(index.stats().cycles, 3);
+});
+
+test('the visit budget stops a walk and counts it as truncated', () => {
+  const full = build(ring());
+  const capped = build(ring(), { maxVisits: 2 });
+  assert.ok(capped.stats().cycles < full.stats().cycles);
+  assert.ok(capped.stats().truncatedPools > 0);
+  // Stopping on maxPerPool is a truncation too
+  const perPool = build(ring(), { maxPerPool: 1 });
+  assert.equal(perPool.stats().cycles, 2);
+  assert.equal(perPool.stats().truncatedPools, 2);
+});
+
+test('fromBases reaches rings the index truncated', () => {
+  const capped = build(ring(), { maxVisits: 2 });
+  const found = capped.fromBases({ baseTokens: ['a'], maxHops: 4 });
+  assert.deepEqual(found.map((c) => c.id).sort(), ['0x01>0x02>0x03', '0x01>0x02>0x04>0x05']);
+});
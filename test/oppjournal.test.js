@@ -0,0 +1,76 @@
+// oppjournal.js: compaction keeps the newest record per key inside the TTL, in memory, in the view and across a restart
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createJournal, tailJournal } from '../oppjournal.js';
+
+const TTL = 60_000;
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oppjournal-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const open = (dir, opts = {}) => createJournal('direct', {
+  keyOf: (r) => r.id, view: path.join(dir, 'direct_pool.json'), dir, ttlMs: TTL, compactMs: 3600_000, ...opts,
+});
+
+test('compaction drops records older than the TTL and keeps the newest per key', (t) => {
+  const dir = tempDir(t);
+  const j = open(dir);
+  const now = Date.now();
+  j.append({ id: 'old', estProfitUSD: 9, timestamp: now - TTL - 1000 });
+  j.append({ id: 'a', estProfitUSD: 1, timestamp: now - 2000 });
+  j.append({ id: 'a', estProfitUSD: 3, timestamp: now - 1000 });
+  j.append({ id: 'b', estProfitUSD: 2 });
+  j.compact();
+
+  assert.deepEqual(j.current().map((r) => [r.id, r.estProfitUSD]), [['a', 3], ['b', 2]]);
+  const view = JSON.parse(fs.readFileSync(path.join(dir, 'direct_pool.json'), 'utf8'));
+  assert.deepEqual(view.map((r) => r.id), ['a', 'b']);
+  // The segments keep every line; only the view is compacted
+  assert.equal(tailJournal('direct', null, { dir }).records.length, 4);
+  j.close();
+});
+
+test('a record ageing past the TTL leaves the view on the next compaction', (t) => {
+  const dir = tempDir(t);
+  const j = open(dir);
+  const at = Date.now() - TTL + 50;
+  j.append({ id: 'a', estProfitUSD: 1, timestamp: at });
+  j.compact();
+  assert.equal(j.current().length, 1);
+
+  t.mock.method(Date, 'now', () => at + TTL + 1);
+  j.compact();
+  assert.equal(j.current().length, 0);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'direct_pool.json'), 'utf8')), []);
+  j.close();
+});
+
+test('keep filters the view without dropping the record', (t) => {
+  const dir = tempDir(t);
+  const j = open(dir, { keep: (r) => r.state !== 'closed' });
+  j.append({ id: 'a', state: 'open', estProfitUSD: 1 });
+  j.append({ id: 'a', state: 'closed', estProfitUSD: 1 });
+  j.compact();
+  assert.deepEqual(j.current(), []);
+  j.close();
+});
+
+test('a restart replays only what is still inside the TTL', (t) => {
+  const dir = tempDir(t);
+  const j = open(dir);
+  const now = Date.now();
+  j.append({ id: 'stale', estProfitUSD: 5, timestamp: now - TTL - 1000 });
+  j.append({ id: 'live', estProfitUSD: 1, timestamp: now - 1000 });
+  j.append({ id: 'live', estProfitUSD: 4, timestamp: now - 500 });
+  j.close();
+
+  const again = open(dir);
+  assert.deepEqual(again.current().map((r) => [r.id, r.estProfitUSD]), [['live', 4]]);
+  again.close();
+});
@@ -0,0 +1,71 @@
+// opptracker.js over a real journal: unchanged re-sightings stay quiet, but an open opportunity outlives the TTL view
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createJournal, tailJournal } from '../oppjournal.js';
+import { createOpportunityTracker } from '../opptracker.js';
+
+const TTL = 60_000;
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'opptracker-'));
+  let clock = 1_700_000_000_000;
+  t.mock.method(Date, 'now', () => clock);
+  const journal = createJournal('direct', { keyOf: (r) => r.id, view: path.join(dir, 'direct_pool.json'), dir, ttlMs: TTL, compactMs: 3600_000 });
+  const tracker = createOpportunityTracker(journal);
+  t.after(() => {
+    tracker.close();
+    journal.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { dir, journal, tracker, advance: (ms) => { clock += ms; } };
+}
+
+const opp = { id: 'direct:a|b:0x01>0x02', blockNumber: 100, edge: 0.01, estProfitUSD: 5 };
+const members = ['0x01', '0x02'];
+
+test('an unchanged re-sighting is not journaled before TTL/2', (t) => {
+  const { dir, tracker, advance } = setup(t);
+  tracker.observe(opp, { members });
+  advance(TTL / 2 - 1000);
+  tracker.observe(opp, { members });
+  assert.equal(tailJournal('direct', null, { dir }).records.length, 1);
+  // New numbers are journaled at once
+  tracker.observe({ ...opp, blockNumber: 101 }, { members });
+  assert.equal(tailJournal('direct', null, { dir }).records.length, 2);
+});
+
+test('an open opportunity seen unchanged for longer than the TTL stays in the view', (t) => {
+  const { dir, journal, tracker, advance } = setup(t);
+  tracker.observe(opp, { members });
+  for (let s = 0; s < 6; s++) {
+    advance(TTL / 4);
+    tracker.observe(opp, { members });
+  }
+  journal.compact();
+  assert.deepEqual(journal.current().map((r) => [r.id, r.state]), [[opp.id, 'open']]);
+  const view = JSON.parse(fs.readFileSync(path.join(dir, 'direct_pool.json'), 'utf8'));
+  assert.deepEqual(view.map((r) => r.id), [opp.id]);
+  // One heartbeat per TTL/2 over 1.5 TTL of sightings
+  assert.equal(tailJournal('direct', null, { dir }).records.length, 4);
+});
+
+test('a restarted tracker keeps the heartbeat going from the journaled record', (t) => {
+  const { dir, journal, tracker, advance } = setup(t);
+  tracker.observe(opp, { members });
+  tracker.close();
+  advance(TTL / 4);
+  const again = createOpportunityTracker(journal);
+  t.after(() => again.close());
+  assert.equal(again.stats().open, 1);
+  again.observe(opp, { members });
+  assert.equal(tailJournal('direct', null, { dir }).records.length, 1);
+  advance(TTL / 4);
+  again.observe(opp, { members });
+  assert.equal(tailJournal('direct', null, { dir }).records.length, 2);
+  advance(TTL / 2 + 1000);
+  journal.compact();
+  assert.equal(journal.current().length, 1);
+});
@@ -0,0 +1,71 @@
+// tradesizer.js: the chosen input maximizes route profit, for both the closed form and the golden-section search
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import { adapterFor, loadDexAdapters } from '../dexadapter.js';
+import { quoteRoute, sizeRoute } from '../tradesizer.js';
+
+const A = '0x00000000000000000000000000000000000000aa';
+const B = '0x00000000000000000000000000000000000000bb';
+
+// V2 pairs take the closed form; Balancer views take the search. A 50/50 weighted pool prices exactly like a
+// constant-product pair, so both solvers face the same profit curve.
+before(() => loadDexAdapters(['v2', 'balancer'], {}));
+
+function pair(kind, addr, r0, r1) {
+  const pool = { pairAddr: addr, __kind: kind, token0: A, token1: B, reserve0: r0, reserve1: r1, feeBps: 30 };
+  if (kind === 'bal') pool.bal = { type: 'weighted', tokens: [A, B], balances: [r0, r1], weights: [0.5, 0.5], scales: [1, 1] };
+  return pool;
+}
+
+// B is 4% dearer in pool 2 than in pool 1
+const route = (kind) => [
+  { pool: pair(kind, '0x01', 1e24, 2e24), tokenIn: A },
+  { pool: pair(kind, '0x02', 5e23, 9.6e23), tokenIn: B },
+];
+
+const profitAt = (hops, x) => quoteRoute(hops, x).at(-1) - x;
+
+/** Best profit on a grid of `n` sizes up to `hi`, refined once around the best cell */
+function bruteForce(hops, hi, n = 2000) {
+  let best = { x: 0, p: 0 };
+  const scan = (lo, step) => {
+    for (let i = 0; i <= n; i++) {
+      const x = lo + i * step;
+      const p = profitAt(hops, x);
+      if (p > best.p) best = { x, p };
+    }
+  };
+  scan(0, hi / n);
+  scan(Math.max(0, best.x - hi / n), (2 * hi) / n / n);
+  return best;
+}
+
+for (const [name, kind, adapter] of [['closed form (V2 pairs)', 'v2', 'v2'], ['golden-section search (Balancer views)', 'bal', 'balancer']]) {
+  test(`${name} sizes at the profit maximum`, () => {
+    const hops = route(kind);
+    assert.equal(adapterFor(hops[0].pool)?.name, adapter);
+    const sized = sizeRoute(hops, { usdPerToken: 1 });
+    assert.ok(sized, 'route should be profitable');
+    const x = Number(sized.amountIn);
+    const grid = bruteForce(hops, 1e23);
+    assert.ok(profitAt(hops, x) >= grid.p * (1 - 1e-9), `sized ${profitAt(hops, x)} < grid ${grid.p}`);
+    assert.ok(Math.abs(x - grid.x) <= grid.x * 1e-3, `sized at ${x}, grid best at ${grid.x}`);
+    // Nudging the size either way only loses
+    assert.ok(profitAt(hops, x * 1.01) < profitAt(hops, x));
+    assert.ok(profitAt(hops, x * 0.99) < profitAt(hops, x));
+    assert.equal(sized.expectedOut.length, 2);
+    assert.ok(sized.estProfitUSD > 0);
+  });
+}
+
+test('closed form and search agree on the same curve', () => {
+  const closed = Number(sizeRoute(route('v2')).amountIn);
+  const searched = Number(sizeRoute(route('bal')).amountIn);
+  assert.ok(Math.abs(closed - searched) <= closed * 1e-6, `${closed} vs ${searched}`);
+});
+
+test('no size is returned when the round trip loses to fees', () => {
+  const hops = route('v2');
+  hops[1].pool.reserve1 = 1e24;       // both pools at 2 B per A
+  assert.equal(sizeRoute(hops), null);
+});
@@ -0,0 +1,104 @@
+// v3quoter.js against Uniswap V3: TickMath constants and the SwapMath.computeSwapStep results from v3-core's tests
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MIN_TICK, MAX_TICK, getSqrtRatioAtTick, getTickAtSqrtRatio, loadTicksAt, quoteExactInput, quoteExactOutput,
+} from '../v3quoter.js';
+
+const Q96 = 1n << 96n;
+const E18 = 10n ** 18n;
+
+function isqrt(n) {
+  if (n < 2n) return n;
+  let x = n, y = (x + 1n) / 2n;
+  while (y < x) { x = y; y = (x + n / x) / 2n; }
+  return x;
+}
+
+// v3-core's encodePriceSqrt: bignumber.js sqrt at 20 decimal places (half up), times 2^96, floored
+function encodePriceSqrt(reserve1, reserve0) {
+  const SCALE = 10n ** 20n;
+  const twice = isqrt((4n * BigInt(reserve1) * SCALE * SCALE) / BigInt(reserve0));
+  return ((twice + 1n) / 2n) * Q96 / SCALE;
+}
+
+// One pool with no initialized ticks in the words around tick 0, so each swap below is a single computeSwapStep
+async function flatPool(liquidity, feePips) {
+  const pool = { pairAddr: '0x00000000000000000000000000000000000000a1', sqrtPriceX96: Q96, tick: 0, liquidity, feeBps: feePips / 100, tickSpacing: 60 };
+  const read = async (addr, abi, fn) => (fn === 'tickBitmap' ? 0n : 60);
+  const ticks = await loadTicksAt(read, pool, { words: 1 });
+  return { pool, ticks };
+}
+
+test('TickMath bounds and tick 0 match the contract constants', () => {
+  assert.equal(getSqrtRatioAtTick(MIN_TICK), 4295128739n);
+  assert.equal(getSqrtRatioAtTick(MAX_TICK), 1461446703485210103287273052203988822378723970342n);
+  assert.equal(getSqrtRatioAtTick(0), Q96);
+});
+
+test('getSqrtRatioAtTick tracks sqrt(1.0001^tick) and getTickAtSqrtRatio inverts it', () => {
+  for (const tick of [1, -1, 50, -50, 100, 1000, -1000, 60 * 255, -887200]) {
+    const ratio = getSqrtRatioAtTick(tick);
+    if (Math.abs(tick) <= 1000) {
+      const [num, den] = tick > 0 ? [10001n ** BigInt(tick), 10000n ** BigInt(tick)] : [10000n ** BigInt(-tick), 10001n ** BigInt(-tick)];
+      const exact = isqrt((num * Q96 * Q96) / den);
+      const diff = ratio > exact ? ratio - exact : exact - ratio;
+      assert.ok(diff * 10n ** 15n <= exact, `tick ${tick}: ${ratio} vs ${exact}`);
+    }
+    assert.equal(getTickAtSqrtRatio(ratio), tick);
+    assert.equal(getTickAtSqrtRatio(ratio - 1n), tick - 1);
+  }
+});
+
+test('exact input capped at the price target (one for zero)', async () => {
+  const { pool, ticks } = await flatPool(2n * E18, 600);
+  const target = encodePriceSqrt(101, 100);
+  const q = quoteExactInput(pool, false, E18, { sqrtPriceLimitX96: target, ticks });
+  assert.equal(q.amountIn, 9975124224178055n + 5988667735148n);       // amountIn + feeAmount
+  assert.equal(q.amountOut, 9925619580021728n);
+  assert.equal(q.sqrtPriceX96, target);
+  assert.equal(q.complete, false);
+});
+
+test('exact input fully spent (one for zero)', async () => {
+  const { pool, ticks } = await flatPool(2n * E18, 600);
+  const q = quoteExactInput(pool, false, E18, { sqrtPriceLimitX96: encodePriceSqrt(1000, 100), ticks });
+  assert.equal(q.amountIn, 999400000000000000n + 600000000000000n);
+  assert.equal(q.amountOut, 666399946655997866n);
+  assert.equal(q.complete, true);
+});
+
+test('exact output capped at the price target (one for zero)', async () => {
+  const { pool, ticks } = await flatPool(2n * E18, 600);
+  const target = encodePriceSqrt(101, 100);
+  const q = quoteExactOutput(pool, false, E18, { sqrtPriceLimitX96: target, ticks });
+  assert.equal(q.amountIn, 9975124224178055n + 5988667735148n);
+  assert.equal(q.amountOut, 9925619580021728n);
+  assert.equal(q.sqrtPriceX96, target);
+});
+
+test('exact output fully received (one for zero)', async () => {
+  const { pool, ticks } = await flatPool(2n * E18, 600);
+  const q = quoteExactOutput(pool, false, E18, { sqrtPriceLimitX96: encodePriceSqrt(10000, 100), ticks });
+  assert.equal(q.amountIn, 2000000000000000000n + 1200720432259356n);
+  assert.equal(q.amountOut, E18);
+});
+
+test('crossing an initialized tick applies its liquidityNet', async () => {
+  const pool = { pairAddr: '0x00000000000000000000000000000000000000a2', sqrtPriceX96: Q96, tick: 0, liquidity: 2n * E18, feeBps: 30, tickSpacing: 60 };
+  // Position [-120, 120) on top of a wide one: +1e18 at -120 and -1e18 at 120
+  const nets = new Map([[-120, E18], [120, -E18]]);
+  const read = async (addr, abi, fn, arg) => {
+    if (fn === 'tickBitmap') return arg === 0 ? 1n << 2n : arg === -1 ? 1n << 254n : 0n;
+    if (fn === 'ticks') return [0n, nets.get(Number(arg)) ?? 0n];
+    return 60;
+  };
+  const ticks = await loadTicksAt(read, pool, { words: 1 });
+  assert.deepEqual(ticks.sorted, [-120, 120]);
+  const up = quoteExactInput(pool, false, E18 / 10n, { ticks });
+  assert.equal(up.ticksCrossed, 1);
+  assert.equal(up.liquidity, E18);
+  const down = quoteExactInput(pool, true, E18 / 10n, { ticks });
+  assert.equal(down.ticksCrossed, 1);
+  assert.equal(down.liquidity, E18);
+});
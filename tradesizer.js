@@ -0,0 +1,146 @@
+// tradesizer.js — profit-maximizing input size for direct/triangular routes, and the hop-by-hop amounts it produces
+// Closed form when every hop is a constant-product pool; golden-section search when a route has a V3, Balancer or Curve hop.
+// Hop quotes come from the pool's DEX adapter (dexadapter.js).
+import 'dotenv/config';
+import { adapterFor } from './dexadapter.js';
+
+/* ----------------------------
+   Tunables
+---------------------------- */
+const SEARCH_ITERATIONS = Math.max(20, Number(process.env.TRADESIZER_ITERATIONS || 100));
+
+/* ----------------------------
+   Helpers
+---------------------------- */
+function toNum(x, fallback = 0) {
+  const n = Number(x); return Number.isFinite(n) ? n : fallback;
+}
+const same = (a, b) => (a || '').toLowerCase() === (b || '').toLowerCase();
+
+/** Swap fee as a fraction (pool.feeBps is basis points; 30 = 0.3%) */
+export function feeOf(pool) {
+  const bps = toNum(pool?.feeBps, 0);
+  return bps > 0 && bps < 10_000 ? bps / 10_000 : 0;
+}
+
+/** Decimals of `token` on this pool's side (18 when unknown) */
+export function decimalsOf(pool, token) {
+  if (same(token, pool?.token0)) return pool.decimals0 ?? 18;
+  if (same(token, pool?.token1)) return pool.decimals1 ?? 18;
+  return 18;
+}
+
+const isConcentrated = (pool) => pool?.sqrtPriceX96 != null;
+const isConstantProduct = (pool) => !isConcentrated(pool) && (pool.__kind || 'v2') === 'v2';
+
+function rawString(x) {
+  return Number.isFinite(x) && x > 0 ? BigInt(Math.floor(x)).toString() : '0';
+}
+
+/* ----------------------------
+   Hop quotes (raw token units, as floats)
+---------------------------- */
+function cpOut(rIn, rOut, gamma, amountIn) {
+  const x = amountIn * gamma;
+  return rIn > 0 && rOut > 0 && x > 0 ? (rOut * x) / (rIn + x) : 0;
+}
+
+/** Constant-product output of one hop (V2 pairs); raw units, fee included */
+export function constantProductOut(pool, tokenIn, amountIn) {
+  const r0 = toNum(pool.reserve0), r1 = toNum(pool.reserve1);
+  const gamma = 1 - feeOf(pool);
+  return same(tokenIn, pool.token0) ? cpOut(r0, r1, gamma, amountIn) : cpOut(r1, r0, gamma, amountIn);
+}
+
+/** Output of one hop for `amountIn` raw units of tokenIn (0 when the pool doesn't hold tokenIn) */
+export function quoteHop(pool, tokenIn, amountIn) {
+  if (!same(tokenIn, pool?.token0) && !same(tokenIn, pool?.token1)) return 0;
+  // Constant product for pools no loaded adapter claims
+  const adapter = adapterFor(pool);
+  return adapter ? adapter.quote(pool, tokenIn, amountIn) : constantProductOut(pool, tokenIn, amountIn);
+}
+
+/** Amount out after each hop of hops = [{ pool, tokenIn }] */
+export function quoteRoute(hops, amountIn) {
+  const outs = [];
+  let amt = amountIn;
+  for (const { pool, tokenIn } of hops) {
+    amt = quoteHop(pool, tokenIn, amt);
+    outs.push(amt);
+  }
+  return outs;
+}
+
+/* ----------------------------
+   Solvers
+---------------------------- */
+/**
+ * Constant-product hops compose to out(x) = A·x / (B + C·x); profit out(x) − x peaks at
+ * x* = (√(A·B) − B) / C, and is positive only when A > B.
+ */
+function closedFormInput(hops) {
+  let A = 1, B = 1, C = 0;
+  for (const { pool, tokenIn } of hops) {
+    const zeroForOne = same(tokenIn, pool.token0);
+    const rIn = toNum(zeroForOne ? pool.reserve0 : pool.reserve1);
+    const rOut = toNum(zeroForOne ? pool.reserve1 : pool.reserve0);
+    const gamma = 1 - feeOf(pool);
+    if (!(rIn > 0 && rOut > 0)) return 0;
+    [A, B, C] = [gamma * rOut * A, rIn * B, rIn * C + gamma * A];
+  }
+  if (!(A > B) || !(C > 0)) return 0;
+  const x = (Math.sqrt(A) * Math.sqrt(B) - B) / C;
+  return Number.isFinite(x) && x > 0 ? x : 0;
+}
+
+/** Input-side reserve of a hop (virtual reserve L/√P or L·√P for V3) — an upper bound for any sane trade */
+function inputReserve({ pool, tokenIn }) {
+  const zeroForOne = same(tokenIn, pool.token0);
+  if (isConcentrated(pool)) {
+    const L = toNum(pool.liquidity), sqrtP = toNum(pool.sqrtPriceX96) / 2 ** 96;
+    if (!(L > 0 && sqrtP > 0)) return 0;
+    return zeroForOne ? L / sqrtP : L * sqrtP;
+  }
+  return toNum(zeroForOne ? pool.reserve0 : pool.reserve1);
+}
+
+/** Golden-section search for the max of out(x) − x on [0, first hop's input-side reserve] (concave) */
+function searchInput(hops) {
+  const hi0 = inputReserve(hops[0]);
+  if (!(hi0 > 0)) return 0;
+  const profit = (x) => (quoteRoute(hops, x).at(-1) ?? 0) - x;
+  const phi = (Math.sqrt(5) - 1) / 2;
+  let lo = 0, hi = hi0;
+  let m1 = hi - phi * (hi - lo), m2 = lo + phi * (hi - lo);
+  let f1 = profit(m1), f2 = profit(m2);
+  for (let i = 0; i < SEARCH_ITERATIONS; i++) {
+    if (f1 < f2) { lo = m1; m1 = m2; f1 = f2; m2 = lo + phi * (hi - lo); f2 = profit(m2); }
+    else         { hi = m2; m2 = m1; f2 = f1; m1 = hi - phi * (hi - lo); f1 = profit(m1); }
+  }
+  const x = (lo + hi) / 2;
+  return profit(x) > 0 ? x : 0;
+}
+
+/**
+ * Size a route hops = [{ pool, tokenIn }] that starts and ends in the same token.
+ * usdPerToken prices the start token; returns null when no input size is profitable.
+ * Amounts are raw token units as decimal strings, so records stay JSON-safe.
+ */
+export function sizeRoute(hops, { usdPerToken = 0 } = {}) {
+  if (!Array.isArray(hops) || hops.length < 2) return null;
+  const amountIn = hops.every((h) => isConstantProduct(h.pool)) ? closedFormInput(hops) : searchInput(hops);
+  if (!(amountIn > 0)) return null;
+  const outs = quoteRoute(hops, amountIn);
+  const profit = outs.at(-1) - amountIn;
+  if (!(profit > 0)) return null;
+  const dec = decimalsOf(hops[0].pool, hops[0].tokenIn);
+  return {
+    amountIn: rawString(amountIn),
+    expectedOut: outs.map(rawString),
+    profit: rawString(profit),
+    estProfitUSD: usdPerToken > 0 ? (profit / 10 ** dec) * usdPerToken : 0,
+    pools: hops.map((h) => h.pool.pairAddr),
+  };
+}
+
+export default { feeOf, decimalsOf, constantProductOut, quoteHop, quoteRoute, sizeRoute };
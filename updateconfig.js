@@ -4,39 +4,20 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { execSync } from 'child_process';
+import { getStore } from './store.js';
 
 // Rebuild __dirname in ESM
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Files
-const TOKENLIST_FILE = path.join(__dirname, 'tokenlist.json');
-const PRICEFEED_FILE = path.join(__dirname, 'chainlinkpricefeed.json');
-const ROUTERS_FILE   = path.join(__dirname, 'routers.json');
-
 // Helpers
 const isAddr = (a) => typeof a === 'string' && /^0x[0-9a-fA-F]{40}$/.test(a);
 
-function loadJSON(file, fallback) {
-  try {
-    if (!fs.existsSync(file)) return fallback;
-    const raw = fs.readFileSync(file, 'utf8');
-    const parsed = JSON.parse(raw);
-    if (Array.isArray(fallback)) return Array.isArray(parsed) ? parsed : fallback;
-    if (fallback && typeof fallback === 'object' && !Array.isArray(fallback)) {
-      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : fallback;
-    }
-    return parsed ?? fallback;
-  } catch (err) {
-    console.error(`⚠️ Failed to read/parse ${path.basename(file)}: ${err.message}. Using fallback.`);
-    return fallback;
-  }
-}
-
-function saveJSON(file, data) {
-  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+// Tokenlist, price feeds and routers go through store.js (the JSON files or SQLite)
+function save(what, repo, data) {
+  repo.replace(data);
   const size = Array.isArray(data) ? data.length : Object.keys(data || {}).length;
-  console.log(`✅ Updated ${path.basename(file)} with ${size} entr${size === 1 ? 'y' : 'ies'}`);
+  console.log(`✅ Updated ${what} with ${size} entr${size === 1 ? 'y' : 'ies'}`);
 }
 
 // Merge helpers
@@ -103,10 +84,11 @@ export default async function updateConfig(newTokens = [], newPriceFeeds = {}, n
       console.warn('⚠️ getchainlinkpricefeed.js failed (continuing with existing price feeds):', e?.message || e);
     }
 
-    // 3) Load refreshed files
-    let tokenlist = loadJSON(TOKENLIST_FILE, []);
-    let feeds     = loadJSON(PRICEFEED_FILE, {});
-    let routers   = loadJSON(ROUTERS_FILE, {});
+    // 3) Load refreshed state
+    const store = getStore();
+    let tokenlist = store.tokens.list();
+    let feeds     = store.priceFeeds.get();
+    let routers   = store.routers.get();
 
     // 4) Merge any provided in-memory updates (optional)
     if (Array.isArray(newTokens) && newTokens.length) {
@@ -120,9 +102,9 @@ export default async function updateConfig(newTokens = [], newPriceFeeds = {}, n
     }
 
     // 5) Save back
-    saveJSON(TOKENLIST_FILE, tokenlist);
-    saveJSON(PRICEFEED_FILE, feeds);
-    saveJSON(ROUTERS_FILE, routers);
+    save('tokenlist', store.tokens, tokenlist);
+    save('price feeds', store.priceFeeds, feeds);
+    save('routers', store.routers, routers);
 
     console.log('🎯 Config update complete.');
   } catch (e) {
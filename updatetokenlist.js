@@ -1,13 +1,11 @@
 // updatetokenlist.js — ethers v6, uses dataprovider.js for live RPC rotation
-import fs from "node:fs";
-import path from "node:path";
 import axios from "axios";
 import { ethers } from "ethers";
 import { getReadProvider } from "./dataprovider.js";
+import { withRpcPriority, PRIORITY } from "./rpcscheduler.js";
 import { sendTelegramAlert } from "./telegramalert.js";
-
-// ---------- Config ----------
-const OUT_FILE = path.resolve("./tokenlist.json");
+import { ACTIVE_PROFILE } from "./chainprofile.js";
+import { getStore } from "./store.js";
 
 const isAddr = (a) => typeof a === "string" && /^0x[0-9a-fA-F]{40}$/.test(a);
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
@@ -25,35 +23,10 @@ function toNumberSafe(v, fallback = 18) {
   return Number.isFinite(n) ? Math.max(0, Math.min(36, n)) : fallback;
 }
 
-// ---------- RPC Limiter ----------
-const MAX_CONCURRENT_RPC = Math.max(1, Number(process.env.MAX_CONCURRENT_RPC || 2));
-let inFlightRPC = 0;
-const rpcQueue = [];
-
-async function limitRPC(fn) {
-  return new Promise((resolve, reject) => {
-    const task = async () => {
-      inFlightRPC++;
-      try {
-        resolve(await fn());
-      } catch (err) {
-        reject(err);
-      } finally {
-        inFlightRPC--;
-        if (rpcQueue.length > 0) rpcQueue.shift()();
-      }
-    };
-
-    if (inFlightRPC < MAX_CONCURRENT_RPC) {
-      task();
-    } else {
-      rpcQueue.push(task);
-    }
-  });
-}
-
+// ---------- RPC ----------
+// Token-list refresh is background work: its reads queue behind trading reads in rpcscheduler.js
 async function withLimitedProvider(fn) {
-  return limitRPC(async () => {
+  return withRpcPriority(PRIORITY.DISCOVERY, async () => {
     const provider = await getReadProvider();
     return fn(provider);
   });
@@ -74,10 +47,7 @@ const MULTICALL3_ABI = [
   "function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) view returns (tuple(bool success, bytes returnData)[])",
 ];
 const IFACE_DECIMALS = new ethers.Interface(DECIMALS_ABI);
-const MULTICALL3_ADDR =
-  process.env.MULTICALL3 && isAddr(process.env.MULTICALL3)
-    ? process.env.MULTICALL3
-    : "0xca11bde05977b3631167028862be2a173976ca11"; // Polygon
+const MULTICALL3_ADDR = ACTIVE_PROFILE.multicall3;
 
 // ---------- Axios (CoinGecko) ----------
 const cg = axios.create({
@@ -103,15 +73,17 @@ async function getBlockCompat(tagOrNumber, withTxs = false) {
 // ---------- Tokenlist helpers ----------
 function loadExisting() {
   try {
-    if (!fs.existsSync(OUT_FILE)) return [];
-    const raw = fs.readFileSync(OUT_FILE, "utf-8");
-    const json = JSON.parse(raw);
-    return Array.isArray(json) ? json : [];
+    return getStore().tokens.list();
   } catch {
     return [];
   }
 }
 
+// The one write path: tokenlist.json (atomically) or the tokens table, per STORE_BACKEND
+function saveTokenlist(list) {
+  getStore().tokens.replace(list);
+}
+
 function dedupeMerge(baseList, newList) {
   const byAddr = new Map();
   for (const t of baseList) if (isAddr(t?.address)) byAddr.set(t.address.toLowerCase(), t);
@@ -129,12 +101,6 @@ function dedupeMerge(baseList, newList) {
   return Array.from(byAddr.values());
 }
 
-function saveJsonAtomic(file, data) {
-  const tmp = `${file}.${Date.now()}.tmp`;
-  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
-  fs.renameSync(tmp, file);
-}
-
 // ---------- Decimals ----------
 async function getDecimalsSafe(addr) {
   if (!isAddr(addr)) return 18;
@@ -219,15 +185,14 @@ export {
   isAddr,
   toNumberSafe,
   loadExisting,
+  saveTokenlist,
   dedupeMerge,
-  saveJsonAtomic,
   getDecimalsSafe,
   getDecimalsBatch,
   fetchWithRetry,
   getBlockCompat,
   MULTICALL3_ABI,
   MULTICALL3_ADDR,
-  OUT_FILE,
   TARGET_COUNT,
   PER_PAGE,
   BATCH_SIZE,
@@ -0,0 +1,309 @@
+// v3quoter.js — off-chain Uniswap V3 swap simulation across initialized ticks (exact-input and exact-output)
+// BigInt ports of TickMath / SqrtPriceMath / SwapMath; ticks come from tickBitmap (Algebra: tickTable) + ticks() reads,
+// cached per pool and kept current from Mint/Burn logs, so a quote costs no RPC once a pool's words are loaded.
+// Processes that see no Mint/Burn logs (pre-trade checks) read a one-off set with loadTicksAt() and quote against that.
+import 'dotenv/config';
+
+/* ----------------------------
+   Settings
+---------------------------- */
+const WORDS_EACH_SIDE = Math.max(0, Number(process.env.V3_QUOTER_WORDS || 2));   // bitmap words (256 spaced ticks) around the price
+
+// Fee tier (hundredths of a bip) -> tick spacing when the pool doesn't answer tickSpacing()
+const TICK_SPACING = { 100: 1, 500: 10, 2500: 50, 3000: 60, 10000: 200 };
+
+const TICK_ABI = {
+  uniswap: ['function tickBitmap(int16) view returns (uint256)'],
+  algebra: ['function tickTable(int16) view returns (uint256)'],
+};
+const BITMAP_FN = { uniswap: 'tickBitmap', algebra: 'tickTable' };
+const POOL_ABI = [
+  'function tickSpacing() view returns (int24)',
+  'function ticks(int24) view returns (uint128 liquidityGross, int128 liquidityNet, uint256, uint256, int56, uint160, uint32, bool)'
+];
+
+/* ----------------------------
+   TickMath
+---------------------------- */
+const Q96 = 1n << 96n;
+const MAX_U256 = (1n << 256n) - 1n;
+export const MIN_TICK = -887272;
+export const MAX_TICK = 887272;
+const MIN_SQRT_RATIO = 4295128739n;
+const MAX_SQRT_RATIO = 1461446703485210103287273052203988822378723970342n;
+
+const TICK_FACTORS = [
+  [0x2n, 0xfff97272373d413259a46990580e213an], [0x4n, 0xfff2e50f5f656932ef12357cf3c7fdccn],
+  [0x8n, 0xffe5caca7e10e4e61c3624eaa0941cd0n], [0x10n, 0xffcb9843d60f6159c9db58835c926644n],
+  [0x20n, 0xff973b41fa98c081472e6896dfb254c0n], [0x40n, 0xff2ea16466c96a3843ec78b326b52861n],
+  [0x80n, 0xfe5dee046a99a2a811c461f1969c3053n], [0x100n, 0xfcbe86c7900a88aedcffc83b479aa3a4n],
+  [0x200n, 0xf987a7253ac413176f2b074cf7815e54n], [0x400n, 0xf3392b0822b70005940c7a398e4b70f3n],
+  [0x800n, 0xe7159475a2c29b7443b29c7fa6e889d9n], [0x1000n, 0xd097f3bdfd2022b8845ad8f792aa5825n],
+  [0x2000n, 0xa9f746462d870fdf8a65dc1f90e061e5n], [0x4000n, 0x70d869a156d2a1b890bb3df62baf32f7n],
+  [0x8000n, 0x31be135f97d08fd981231505542fcfa6n], [0x10000n, 0x9aa508b5b7a84e1c677de54f3e99bc9n],
+  [0x20000n, 0x5d6af8dedb81196699c329225ee604n], [0x40000n, 0x2216e584f5fa1ea926041bedfe98n],
+  [0x80000n, 0x48a170391f7dc42444e8fa2n],
+];
+
+export function getSqrtRatioAtTick(tick) {
+  const abs = BigInt(Math.abs(tick));
+  let ratio = abs & 1n ? 0xfffcb933bd6fad37aa2d162d1a594001n : 1n << 128n;
+  for (const [bit, factor] of TICK_FACTORS) if (abs & bit) ratio = (ratio * factor) >> 128n;
+  if (tick > 0) ratio = MAX_U256 / ratio;
+  return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+/** Greatest tick whose sqrt ratio is <= sqrtPriceX96 */
+export function getTickAtSqrtRatio(sqrtPriceX96) {
+  let lo = MIN_TICK, hi = MAX_TICK;
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi + 1) / 2);
+    if (getSqrtRatioAtTick(mid) <= sqrtPriceX96) lo = mid; else hi = mid - 1;
+  }
+  return lo;
+}
+
+/* ----------------------------
+   SqrtPriceMath / SwapMath (rounding as in the contracts)
+---------------------------- */
+const divUp = (a, b) => a / b + (a % b === 0n ? 0n : 1n);
+const mulDivUp = (a, b, d) => divUp(a * b, d);
+
+function amount0Delta(a, b, L, roundUp) {
+  if (a > b) [a, b] = [b, a];
+  const num1 = L << 96n, num2 = b - a;
+  return roundUp ? divUp(mulDivUp(num1, num2, b), a) : (num1 * num2) / b / a;
+}
+
+function amount1Delta(a, b, L, roundUp) {
+  if (a > b) [a, b] = [b, a];
+  return roundUp ? mulDivUp(L, b - a, Q96) : (L * (b - a)) / Q96;
+}
+
+function nextFromAmount0(sqrtP, L, amount, add) {
+  if (amount === 0n) return sqrtP;
+  const num1 = L << 96n;
+  const product = amount * sqrtP;
+  if (add) {
+    const denom = num1 + product;
+    if (product <= MAX_U256 && denom <= MAX_U256) return mulDivUp(num1, sqrtP, denom);
+    return divUp(num1, num1 / sqrtP + amount);
+  }
+  if (product > MAX_U256 || num1 <= product) throw new Error('v3quoter: output exceeds token0 reserves');
+  return mulDivUp(num1, sqrtP, num1 - product);
+}
+
+function nextFromAmount1(sqrtP, L, amount, add) {
+  if (add) return sqrtP + (amount << 96n) / L;
+  const quotient = divUp(amount << 96n, L);
+  if (sqrtP <= quotient) throw new Error('v3quoter: output exceeds token1 reserves');
+  return sqrtP - quotient;
+}
+
+/** One SwapMath.computeSwapStep; amountRemaining > 0 is exact input, < 0 exact output */
+function swapStep(sqrtCur, sqrtTarget, L, amountRemaining, feePips) {
+  const zeroForOne = sqrtCur >= sqrtTarget;
+  const exactIn = amountRemaining >= 0n;
+  let sqrtNext, amountIn = 0n, amountOut = 0n;
+  if (exactIn) {
+    const lessFee = (amountRemaining * (1_000_000n - feePips)) / 1_000_000n;
+    amountIn = zeroForOne ? amount0Delta(sqrtTarget, sqrtCur, L, true) : amount1Delta(sqrtCur, sqrtTarget, L, true);
+    sqrtNext = lessFee >= amountIn ? sqrtTarget
+      : zeroForOne ? nextFromAmount0(sqrtCur, L, lessFee, true) : nextFromAmount1(sqrtCur, L, lessFee, true);
+  } else {
+    amountOut = zeroForOne ? amount1Delta(sqrtTarget, sqrtCur, L, false) : amount0Delta(sqrtCur, sqrtTarget, L, false);
+    sqrtNext = -amountRemaining >= amountOut ? sqrtTarget
+      : zeroForOne ? nextFromAmount1(sqrtCur, L, -amountRemaining, false) : nextFromAmount0(sqrtCur, L, -amountRemaining, false);
+  }
+  const max = sqrtTarget === sqrtNext;
+  if (zeroForOne) {
+    if (!(max && exactIn)) amountIn = amount0Delta(sqrtNext, sqrtCur, L, true);
+    if (!(max && !exactIn)) amountOut = amount1Delta(sqrtNext, sqrtCur, L, false);
+  } else {
+    if (!(max && exactIn)) amountIn = amount1Delta(sqrtCur, sqrtNext, L, true);
+    if (!(max && !exactIn)) amountOut = amount0Delta(sqrtCur, sqrtNext, L, false);
+  }
+  if (!exactIn && amountOut > -amountRemaining) amountOut = -amountRemaining;
+  const fee = exactIn && sqrtNext !== sqrtTarget ? amountRemaining - amountIn : mulDivUp(amountIn, feePips, 1_000_000n - feePips);
+  return { sqrtNext, amountIn, amountOut, fee };
+}
+
+/* ----------------------------
+   Tick cache
+---------------------------- */
+// pool address -> { spacing, words: Map(word -> block loaded at), net: Map(tick -> liquidityNet), sorted: number[] }
+const cache = new Map();
+const pending = new Map();
+
+const lower = (a) => String(a || '').toLowerCase();
+const compress = (tick, spacing) => Math.floor(tick / spacing);
+const wordOf = (tick, spacing) => compress(tick, spacing) >> 8;
+
+function insertSorted(arr, t) {
+  let lo = 0, hi = arr.length;
+  while (lo < hi) { const mid = (lo + hi) >> 1; if (arr[mid] < t) lo = mid + 1; else hi = mid; }
+  if (arr[lo] !== t) arr.splice(lo, 0, t);
+}
+
+async function loadWord(read, addr, flavor, entry, word, block) {
+  const bitmap = BigInt(await read(addr, TICK_ABI[flavor], BITMAP_FN[flavor], word));
+  const ticks = [];
+  for (let bit = 0; bit < 256; bit++) {
+    if ((bitmap >> BigInt(bit)) & 1n) ticks.push(((word << 8) + bit) * entry.spacing);
+  }
+  const nets = await Promise.all(ticks.map((t) => read(addr, POOL_ABI, 'ticks', t)));
+  ticks.forEach((t, k) => {
+    entry.net.set(t, BigInt(nets[k][1]));
+    insertSorted(entry.sorted, t);
+  });
+  entry.words.set(word, block);
+}
+
+async function newEntry(read, addr, pool) {
+  const spacing = Number(pool.tickSpacing) || Number(await read(addr, POOL_ABI, 'tickSpacing').catch(() => 0))
+    || TICK_SPACING[Math.round(Number(pool.feeBps) * 100)] || 60;
+  return { spacing, words: new Map(), net: new Map(), sorted: [] };
+}
+
+/** Read the words within `words` of the pool's current tick that `entry` doesn't hold yet */
+async function fillWords(read, addr, pool, entry, flavor, block, words) {
+  const center = wordOf(Number(pool.tick), entry.spacing);
+  const missing = [];
+  for (let w = center - words; w <= center + words; w++) if (!entry.words.has(w)) missing.push(w);
+  await Promise.all(missing.map((w) => loadWord(read, addr, flavor, entry, w, block)));
+  return entry;
+}
+
+/**
+ * Load (once) the bitmap words within V3_QUOTER_WORDS of the pool's current tick through a pinned reader.
+ * flavor: 'uniswap' | 'algebra' (same tick layout, different bitmap getter). Loads of one pool run one at a time.
+ */
+export async function loadTicks(read, pool, { flavor = 'uniswap', block = null, words = WORDS_EACH_SIDE } = {}) {
+  const addr = lower(pool.pairAddr);
+  if (!TICK_ABI[flavor] || pool.tick == null) return null;
+  while (pending.has(addr)) await pending.get(addr).catch(() => {});
+  const job = (async () => {
+    let entry = cache.get(addr);
+    if (!entry) {
+      entry = await newEntry(read, addr, pool);
+      cache.set(addr, entry);
+    }
+    return fillWords(read, addr, pool, entry, flavor, block, words);
+  })();
+  pending.set(addr, job);
+  try { return await job; } finally { pending.delete(addr); }
+}
+
+/**
+ * The same words read fresh at `read`'s block into a set of their own, outside the shared cache: pass it to the
+ * quote functions as `ticks`. Nothing keeps it current, so it is only good for that block.
+ */
+export async function loadTicksAt(read, pool, { flavor = 'uniswap', block = null, words = WORDS_EACH_SIDE } = {}) {
+  const addr = lower(pool.pairAddr);
+  if (!TICK_ABI[flavor] || pool.tick == null) return null;
+  return fillWords(read, addr, pool, await newEntry(read, addr, pool), flavor, block, words);
+}
+
+export const hasTicks = (pool) => cache.has(lower(pool?.pairAddr));
+
+/** Forget a pool's ticks (e.g. after a reorg); the next loadTicks reads them again */
+export function dropTicks(poolAddr) {
+  cache.delete(lower(poolAddr));
+}
+
+/** Apply a Mint (+amount) / Burn (−amount) at log block `block` to the cached ticks it touches */
+export function noteLiquidity(poolAddr, tickLower, tickUpper, delta, block = Infinity) {
+  const entry = cache.get(lower(poolAddr));
+  if (!entry) return;
+  for (const [t, d] of [[tickLower, delta], [tickUpper, -delta]]) {
+    const loadedAt = entry.words.get(wordOf(t, entry.spacing));
+    if (loadedAt === undefined || (loadedAt != null && block <= loadedAt)) continue;   // not cached, or already in the read
+    entry.net.set(t, (entry.net.get(t) ?? 0n) + d);
+    insertSorted(entry.sorted, t);
+  }
+}
+
+/** TickBitmap.nextInitializedTickWithinOneWord over the cache; null when that word isn't loaded */
+function nextTick(entry, tick, lte) {
+  const s = entry.spacing;
+  let compressed = compress(tick, s);
+  if (!lte) compressed += 1;
+  const word = compressed >> 8;
+  if (!entry.words.has(word)) return null;
+  const arr = entry.sorted;
+  if (lte) {
+    const floor = (word << 8) * s;
+    let i = arr.length - 1;
+    while (i >= 0 && arr[i] > compressed * s) i--;
+    return i >= 0 && arr[i] >= floor ? { tick: arr[i], initialized: true } : { tick: floor, initialized: false };
+  }
+  const ceil = ((word << 8) + 255) * s;
+  let i = 0;
+  while (i < arr.length && arr[i] < compressed * s) i++;
+  return i < arr.length && arr[i] <= ceil ? { tick: arr[i], initialized: true } : { tick: ceil, initialized: false };
+}
+
+/* ----------------------------
+   Quotes
+---------------------------- */
+function simulate(pool, zeroForOne, amountSpecified, sqrtPriceLimitX96, ticks) {
+  const entry = ticks ?? cache.get(lower(pool?.pairAddr));
+  if (!entry || pool.sqrtPriceX96 == null || pool.tick == null) return null;
+  const feePips = BigInt(Math.round(Number(pool.feeBps ?? 0) * 100));
+  const limit = sqrtPriceLimitX96 ?? (zeroForOne ? MIN_SQRT_RATIO + 1n : MAX_SQRT_RATIO - 1n);
+  const exactIn = amountSpecified > 0n;
+
+  let sqrtP = BigInt(pool.sqrtPriceX96), tick = Number(pool.tick), L = BigInt(pool.liquidity ?? 0n);
+  let remaining = amountSpecified, amountIn = 0n, amountOut = 0n, crossed = 0, complete = true;
+  while (remaining !== 0n && sqrtP !== limit) {
+    const next = nextTick(entry, tick, zeroForOne);
+    if (!next) { complete = false; break; }                 // walked off the loaded words
+    const tickNext = Math.min(MAX_TICK, Math.max(MIN_TICK, next.tick));
+    const sqrtNextTick = getSqrtRatioAtTick(tickNext);
+    const target = (zeroForOne ? sqrtNextTick < limit : sqrtNextTick > limit) ? limit : sqrtNextTick;
+    const start = sqrtP;
+    const step = swapStep(sqrtP, target, L, remaining, feePips);
+    sqrtP = step.sqrtNext;
+    if (exactIn) remaining -= step.amountIn + step.fee;
+    else remaining += step.amountOut;
+    amountIn += step.amountIn + step.fee;
+    amountOut += step.amountOut;
+    if (sqrtP === sqrtNextTick) {
+      if (next.initialized) {
+        const net = entry.net.get(tickNext) ?? 0n;
+        L += zeroForOne ? -net : net;
+        crossed++;
+      }
+      tick = zeroForOne ? tickNext - 1 : tickNext;
+    } else if (sqrtP !== start) {
+      tick = getTickAtSqrtRatio(sqrtP);
+    }
+  }
+  return { amountIn, amountOut, sqrtPriceX96: sqrtP, tick, liquidity: L, ticksCrossed: crossed, complete };
+}
+
+/**
+ * Exact-input swap of `amountIn` (bigint, token0 when zeroForOne) against the pool's current state and cached ticks
+ * (or `ticks` from loadTicksAt). { amountIn (consumed, fee included), amountOut, sqrtPriceX96, tick, liquidity,
+ * ticksCrossed, complete } or null without ticks. complete = false when the price limit or the edge of the loaded
+ * words stopped it early.
+ */
+export function quoteExactInput(pool, zeroForOne, amountIn, { sqrtPriceLimitX96, ticks } = {}) {
+  if (!(BigInt(amountIn) > 0n)) return null;
+  const q = simulate(pool, zeroForOne, BigInt(amountIn), sqrtPriceLimitX96, ticks);
+  if (q && q.amountIn < BigInt(amountIn)) q.complete = false;
+  return q;
+}
+
+/** Exact-output counterpart: the input needed for `amountOut` of the other token (same result shape) */
+export function quoteExactOutput(pool, zeroForOne, amountOut, { sqrtPriceLimitX96, ticks } = {}) {
+  if (!(BigInt(amountOut) > 0n)) return null;
+  const q = simulate(pool, zeroForOne, -BigInt(amountOut), sqrtPriceLimitX96, ticks);
+  if (q && q.amountOut < BigInt(amountOut)) q.complete = false;
+  return q;
+}
+
+export default {
+  MIN_TICK, MAX_TICK, getSqrtRatioAtTick, getTickAtSqrtRatio,
+  loadTicks, loadTicksAt, hasTicks, dropTicks, noteLiquidity, quoteExactInput, quoteExactOutput,
+};
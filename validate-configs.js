@@ -1,33 +1,27 @@
 // validate-configs.js — Routers-only with auto-correct (ethers v6, provider-rotation safe)
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
 import { ethers, Contract } from "ethers";
 import { sendTelegramAlert } from "./telegramalert.js";
 import { getProvider, rotateProvider } from "./dataprovider.js";
+import { ACTIVE_PROFILE } from "./chainprofile.js";
+import { getStore } from "./store.js";
 
 let provider = getProvider();
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 
-// --- util: JSON ---
-function readJson(rel) {
-  const p = path.join(__dirname, rel);
-  if (!fs.existsSync(p)) return {};
+// --- util: routers (store.js: the profile's routers file, or SQLite) ---
+function readRouters() {
   try {
-    return JSON.parse(fs.readFileSync(p, "utf8"));
+    return getStore().routers.get();
   } catch (err) {
-    console.error(`[JSON READ ERROR] ${rel}:`, err);
+    console.error(`[ROUTERS READ ERROR] ${ACTIVE_PROFILE.routersFile}:`, err);
     return {};
   }
 }
 
-function writeJson(rel, data) {
-  const p = path.join(__dirname, rel);
+function writeRouters(data) {
   try {
-    fs.writeFileSync(p, JSON.stringify(data, null, 2));
+    getStore().routers.replace(data);
   } catch (err) {
-    console.error(`[JSON WRITE ERROR] ${rel}:`, err);
+    console.error(`[ROUTERS WRITE ERROR] ${ACTIVE_PROFILE.routersFile}:`, err);
   }
 }
 
@@ -102,7 +96,7 @@ async function autoCorrectRouter(addr) {
 
 // --- main loop ---
 async function runOnce() {
-  let routers = readJson("./routers.json");
+  let routers = readRouters();
   let changed = false;
 
   for (const [name, addr] of Object.entries(routers)) {
@@ -142,7 +136,7 @@ async function runOnce() {
   }
 
   if (changed) {
-    writeJson("./routers.json", routers);
+    writeRouters(routers);
     console.log("✅ Routers validated & corrected/quarantined where needed.");
   } else {
     console.log("✅ All routers valid, no changes.");
@@ -0,0 +1,84 @@
+// warmstart.js — poolfetcher restart snapshot: indexed pools, decimals/USD caches and each poller's last scanned block
+// A fresh snapshot (same chain, younger than WARM_START_MAX_AGE_MS) replaces full discovery (only pools new to the registry are
+// loaded); pollers then catch up from their checkpoints.
+import 'dotenv/config';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ACTIVE_PROFILE } from './chainprofile.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/* ----------------------------
+   Tunables
+---------------------------- */
+export const WARM_START_ENABLED = (process.env.WARM_START || 'true').toLowerCase() !== 'false';
+export const WARM_START_FILE    = path.resolve(__dirname, process.env.WARM_START_FILE || `warmstart.${ACTIVE_PROFILE.name}.json`);
+export const WARM_START_SAVE_MS = Math.max(5000, Number(process.env.WARM_START_SAVE_MS || 60_000));
+const MAX_AGE_MS                = Math.max(60_000, Number(process.env.WARM_START_MAX_AGE_MS || 6 * 3600_000));
+
+// Pool fields held as bigint in memory (JSON keeps them as decimal strings)
+const BIGINT_FIELDS = ['reserve0', 'reserve1', 'sqrtPriceX96', 'liquidity', 'reinvestL'];
+
+function encodePool(pool) {
+  const out = { ...pool };
+  for (const k of BIGINT_FIELDS) if (typeof out[k] === 'bigint') out[k] = out[k].toString();
+  return out;
+}
+
+function decodePool(pool) {
+  const out = { ...pool };
+  for (const k of BIGINT_FIELDS) {
+    if (typeof out[k] === 'string' && /^-?\d+$/.test(out[k])) out[k] = BigInt(out[k]);
+  }
+  return out;
+}
+
+/**
+ * Write { pools, decimals, tokenUsd, checkpoints } atomically.
+ * checkpoints: poller (DEX adapter) name -> last fully scanned block.
+ */
+export function saveWarmStart(state, file = WARM_START_FILE) {
+  if (!WARM_START_ENABLED) return;
+  try {
+    const tmp = path.join(path.dirname(file), `.${path.basename(file)}.tmp`);
+    fs.writeFileSync(tmp, JSON.stringify({
+      chainId: ACTIVE_PROFILE.chainId,
+      savedAt: Date.now(),
+      pools: (state.pools || []).map(encodePool),
+      decimals: state.decimals || {},
+      tokenUsd: state.tokenUsd || {},
+      checkpoints: state.checkpoints || {},
+    }));
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    console.error(`[warmstart] Failed to write ${path.basename(file)}:`, e?.message || e);
+  }
+}
+
+/** The saved state with pools decoded, or null when disabled, missing, from another chain or too old */
+export function loadWarmStart(file = WARM_START_FILE) {
+  if (!WARM_START_ENABLED || !fs.existsSync(file)) return null;
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (Number(data?.chainId) !== ACTIVE_PROFILE.chainId) return null;
+    const age = Date.now() - Number(data.savedAt || 0);
+    if (!(age >= 0 && age <= MAX_AGE_MS)) {
+      console.log(`[warmstart] Snapshot is ${Math.round(age / 60_000)} min old (max ${Math.round(MAX_AGE_MS / 60_000)}); running full discovery`);
+      return null;
+    }
+    if (!Array.isArray(data.pools) || data.pools.length === 0) return null;
+    return {
+      savedAt: Number(data.savedAt),
+      pools: data.pools.map(decodePool),
+      decimals: data.decimals || {},
+      tokenUsd: data.tokenUsd || {},
+      checkpoints: data.checkpoints || {},
+    };
+  } catch (e) {
+    console.warn(`[warmstart] ⚠️ Could not read ${path.basename(file)} (${e?.message || e}); running full discovery`);
+    return null;
+  }
+}
+
+export default { WARM_START_ENABLED, WARM_START_FILE, WARM_START_SAVE_MS, saveWarmStart, loadWarmStart };
@@ -0,0 +1,153 @@
+// wsfeed.js — optional WebSocket subscription transport (eth_subscribe newHeads + logs) with automatic reconnect
+// Enabled when WS_RPCS (or the profile's wsRpcs) is set. Consumers keep their HTTP polling loop and simply skip it while feed.live.
+import 'dotenv/config';
+import { ethers } from 'ethers';
+import { WS_RPCS, CHAIN_ID } from './rpcConfig.js';
+
+/* ----------------------------
+   Tunables
+---------------------------- */
+export const WS_ENABLED   = WS_RPCS.length > 0;
+const STALL_MS            = Math.max(2000, Number(process.env.WS_STALL_MS || 20_000));        // no newHeads for this long = dead socket
+const RECONNECT_BASE_MS   = Math.max(100,  Number(process.env.WS_RECONNECT_BASE_MS || 1000));
+const RECONNECT_MAX_MS    = Math.max(RECONNECT_BASE_MS, Number(process.env.WS_RECONNECT_MAX_MS || 30_000));
+
+function redact(url) {
+  try { return new URL(url).host; } catch { return String(url).slice(0, 32); }
+}
+
+/* ----------------------------
+   Feed (one socket per process, shared by every consumer)
+---------------------------- */
+function createFeed(urls) {
+  const network = ethers.Network.from(CHAIN_ID);
+  const headListeners = new Set();
+  const logSubs = new Set();            // { filter, onLog }
+
+  let provider = null;
+  let urlIndex = 0;
+  let attempt = 0;
+  let connectedAt = 0;
+  let reconnectTimer = null;
+  let closed = false;
+
+  const feed = {
+    live: false,                         // true once newHeads are flowing on the current socket
+    head: null,                          // last head seen over the socket
+    headAt: 0,
+    url: null,
+  };
+
+  const onBlock = (bn) => {
+    const n = Number(bn);
+    if (!Number.isFinite(n)) return;
+    feed.head = feed.head == null ? n : Math.max(feed.head, n);
+    feed.headAt = Date.now();
+    if (!feed.live) {
+      feed.live = true;
+      attempt = 0;
+      console.log(`[wsfeed] 🔌 Live on ${redact(feed.url)} (head ${n}); HTTP polling paused`);
+    }
+    for (const cb of headListeners) {
+      try { cb(n); } catch (e) { console.warn('[wsfeed] head listener error:', e?.message || e); }
+    }
+  };
+
+  const attach = (p, sub) => {
+    sub.handler = (log) => { if (!log?.removed) sub.onLog(log); };
+    p.on(sub.filter, sub.handler).catch((e) => dropped(p, `logs subscribe failed: ${e?.message || e}`));
+  };
+
+  function connect() {
+    reconnectTimer = null;
+    if (closed) return;
+    const url = urls[urlIndex % urls.length];
+    feed.url = url;
+    let p;
+    try {
+      p = new ethers.WebSocketProvider(url, network, { staticNetwork: network });
+    } catch (e) {
+      return scheduleReconnect(`connect failed: ${e?.message || e}`);
+    }
+    // destroy() rejects in-flight eth_subscribe calls inside ethers' subscriber, which nothing catches;
+    // requests cancelled by our own teardown are parked instead of surfacing as unhandled rejections
+    const send = p.send.bind(p);
+    p.send = (method, params) => send(method, params).catch((e) => {
+      if (p.destroyed) return new Promise(() => {});
+      throw e;
+    });
+    provider = p;
+    connectedAt = Date.now();
+    // ethers leaves close/error unhandled; an unhandled 'error' on the socket would crash the process
+    p.websocket.onerror = (e) => dropped(p, e?.message || 'socket error');
+    p.websocket.onclose = (e) => dropped(p, `closed${e?.code ? ` (${e.code})` : ''}`);
+    p.on('block', onBlock).catch((e) => dropped(p, `newHeads subscribe failed: ${e?.message || e}`));
+    for (const sub of logSubs) attach(p, sub);
+  }
+
+  function scheduleReconnect(why) {
+    if (closed || reconnectTimer) return;
+    urlIndex++;
+    const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempt++);
+    console.warn(`[wsfeed] ⚠️ Socket down (${why}); polling over HTTP, reconnecting in ${delay}ms`);
+    reconnectTimer = setTimeout(connect, delay);
+    reconnectTimer.unref?.();
+  }
+
+  function dropped(p, why) {
+    if (p !== provider) return;          // stale socket already replaced
+    provider = null;
+    feed.live = false;
+    try { p.destroy(); } catch {}
+    scheduleReconnect(why);
+  }
+
+  // Watchdog: a socket can stay open but stop delivering (proxy idle timeouts, stuck node)
+  const watchdog = setInterval(() => {
+    if (!provider) return;
+    const since = feed.live ? feed.headAt : connectedAt;
+    if (Date.now() - since > STALL_MS) dropped(provider, `no newHeads for ${STALL_MS}ms`);
+  }, Math.max(1000, Math.floor(STALL_MS / 4)));
+  watchdog.unref?.();
+
+  /** cb(blockNumber) on every newHeads; returns an unsubscribe fn */
+  feed.onHead = (cb) => {
+    headListeners.add(cb);
+    return () => headListeners.delete(cb);
+  };
+
+  /** cb(log) for every (non-removed) log matching { address?, topics }; survives reconnects */
+  feed.onLogs = (filter, onLog) => {
+    const sub = { filter, onLog, handler: null };
+    logSubs.add(sub);
+    if (provider) attach(provider, sub);
+    return () => {
+      logSubs.delete(sub);
+      if (provider && sub.handler) provider.off(sub.filter, sub.handler).catch(() => {});
+    };
+  };
+
+  feed.close = () => {
+    closed = true;
+    clearInterval(watchdog);
+    clearTimeout(reconnectTimer);
+    const p = provider;
+    provider = null;
+    feed.live = false;
+    if (p) { try { p.destroy(); } catch {} }
+  };
+
+  connect();
+  return feed;
+}
+
+let shared = null;
+
+/** Process-wide subscription feed (null unless WS RPCs are configured) */
+export function getSubscriptionFeed() {
+  if (!WS_ENABLED) return null;
+  shared ||= createFeed(WS_RPCS);
+  return shared;
+}
+
+export default { WS_ENABLED, getSubscriptionFeed };